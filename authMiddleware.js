@@ -1,7 +1,46 @@
 const { JWT_SECRET } = require("./config");
 const jwt = require("jsonwebtoken");
+const { findActiveSession } = require("./utils/session");
+const { isAccessToken, findActiveAccessToken, touchAccessToken } = require("./utils/accessTokens");
 
-const authMiddleware = (req, res, next) => {
+// Scopes a personal access token needs for the matched route, as declared
+// with requireScope, or null when the route doesn't accept tokens
+const getRequiredScopes = (req) => {
+  const layer = req.route && req.route.stack.find(l => l.handle.requiredScopes);
+  return layer ? layer.handle.requiredScopes : null;
+};
+
+// Personal access tokens only work on routes that declare the scopes they
+// need; everything else (account settings, tokens themselves, households,
+// claims) stays limited to signed-in sessions
+const authenticateAccessToken = async (token, req, res, next) => {
+  let accessToken;
+  try {
+    accessToken = await findActiveAccessToken(token);
+  } catch (err) {
+    return next(err);
+  }
+
+  if (!accessToken) {
+    return res.status(401).json({
+      message: "Access token is invalid, expired or revoked"
+    });
+  }
+
+  if (!getRequiredScopes(req)) {
+    return res.status(403).json({
+      message: "This route can't be used with a personal access token"
+    });
+  }
+
+  touchAccessToken(accessToken);
+  req.userId = accessToken.userId.toString();
+  req.accessTokenId = accessToken._id.toString();
+  req.tokenScopes = accessToken.scopes;
+  next();
+};
+
+const authMiddleware = async (req, res, next) => {
   const authHeader = req.headers.authorization;
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -10,20 +49,56 @@ const authMiddleware = (req, res, next) => {
 
   const token = authHeader.split(' ')[1];
 
+  if (isAccessToken(token)) {
+    return authenticateAccessToken(token, req, res, next);
+  }
+
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return res.status(403).json({});
+  }
+
+  // Tokens without a session id predate session management and can't be revoked
+  if (!decoded.userId || !decoded.sid) {
+    return res.status(403).json({});
+  }
 
-    if (decoded.userId) {
-      req.userId = decoded.userId;
-      next();
-    } else {
-      return res.status(403).json({});
+  try {
+    const session = await findActiveSession(decoded.sid, decoded.userId);
+    if (!session) {
+      return res.status(401).json({
+        message: "Session has expired or been revoked"
+      });
     }
   } catch (err) {
-    return res.status(403).json({});
+    return next(err);
   }
+
+  req.userId = decoded.userId;
+  req.sessionId = decoded.sid;
+  next();
 }
 
+// Declares the scopes a personal access token needs for a route, placed after
+// authMiddleware. Signed-in sessions have every scope.
+const requireScope = (...scopes) => {
+  const middleware = (req, res, next) => {
+    const missing = req.tokenScopes ? scopes.filter(scope => !req.tokenScopes.includes(scope)) : [];
+    if (missing.length) {
+      return res.status(403).json({
+        message: `Access token is missing the ${missing.join(', ')} scope`,
+        requiredScopes: scopes
+      });
+    }
+    next();
+  };
+  middleware.requiredScopes = scopes;
+  return middleware;
+};
+
 module.exports = {
-  authMiddleware
-}
\ No newline at end of file
+  authMiddleware,
+  requireScope
+}
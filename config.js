@@ -5,5 +5,53 @@ module.exports = {
   MONGO_URI: process.env.MONGO_URI,
   CORS_ORIGIN: process.env.CORS_ORIGIN,
   GOOGLE_CLIENT_ID: process.env.GOOGLE_CLIENT_ID,
-  GOOGLE_CLIENT_SECRET: process.env.GOOGLE_CLIENT_SECRET
-};
\ No newline at end of file
+  GOOGLE_CLIENT_SECRET: process.env.GOOGLE_CLIENT_SECRET,
+  WARRANTY_EXPIRING_SOON_DAYS: parseInt(process.env.WARRANTY_EXPIRING_SOON_DAYS, 10) || 30,
+  MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || 'smtp',
+  SMTP_URL: process.env.SMTP_URL,
+  MAIL_FROM: process.env.MAIL_FROM || 'not-RISK <no-reply@localhost>',
+  REMINDERS_ENABLED: process.env.REMINDERS_ENABLED !== 'false',
+  REMINDER_INTERVAL_MINUTES: parseInt(process.env.REMINDER_INTERVAL_MINUTES, 10) || 60,
+  REMINDER_OFFSETS_DAYS: (process.env.REMINDER_OFFSETS_DAYS || '30,7,1')
+    .split(',')
+    .map(days => parseInt(days, 10))
+    .filter(days => days > 0),
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || 'local',
+  STORAGE_LOCAL_DIR: process.env.STORAGE_LOCAL_DIR || './data/blobs',
+  STORAGE_CODEC: process.env.STORAGE_CODEC || 'gzip',
+  S3_BUCKET: process.env.S3_BUCKET,
+  S3_REGION: process.env.S3_REGION,
+  S3_ENDPOINT: process.env.S3_ENDPOINT,
+  S3_ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID,
+  S3_SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY,
+  S3_FORCE_PATH_STYLE: process.env.S3_FORCE_PATH_STYLE === 'true',
+  PUBLIC_URL: process.env.PUBLIC_URL,
+  DOWNLOAD_URL_SECRET: process.env.DOWNLOAD_URL_SECRET || process.env.JWT_SECRET,
+  DOWNLOAD_URL_TTL_SECONDS: parseInt(process.env.DOWNLOAD_URL_TTL_SECONDS, 10) || 300,
+  ACCESS_TOKEN_TTL: process.env.ACCESS_TOKEN_TTL || '15m',
+  REFRESH_TOKEN_TTL_DAYS: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30,
+  APP_URL: process.env.APP_URL || process.env.CORS_ORIGIN,
+  EMAIL_VERIFICATION_TTL_HOURS: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48,
+  PASSWORD_RESET_TTL_MINUTES: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30,
+  HOUSEHOLD_INVITE_TTL_DAYS: parseInt(process.env.HOUSEHOLD_INVITE_TTL_DAYS, 10) || 7,
+  STORAGE_QUOTA_MB: parseInt(process.env.STORAGE_QUOTA_MB, 10) || 500,
+  TRASH_RETENTION_DAYS: parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30,
+  TRASH_PURGE_INTERVAL_MINUTES: parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES, 10) || 60,
+  ACCOUNT_DELETION_GRACE_DAYS: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14,
+  ACCOUNT_PURGE_INTERVAL_MINUTES: parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES, 10) || 60,
+  DEPRECIATION_RULES_FILE: process.env.DEPRECIATION_RULES_FILE,
+  EXCHANGE_RATES_FILE: process.env.EXCHANGE_RATES_FILE,
+  TRUST_PROXY: process.env.TRUST_PROXY,
+  RATE_LIMIT_STORE: process.env.RATE_LIMIT_STORE || 'memory',
+  AUTH_RATE_LIMIT_WINDOW_MINUTES: parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MINUTES, 10) || 15,
+  AUTH_RATE_LIMIT_PER_IP: parseInt(process.env.AUTH_RATE_LIMIT_PER_IP, 10) || 30,
+  AUTH_RATE_LIMIT_PER_ACCOUNT: parseInt(process.env.AUTH_RATE_LIMIT_PER_ACCOUNT, 10) || 10,
+  LOGIN_LOCKOUT_THRESHOLD: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5,
+  LOGIN_LOCKOUT_BASE_SECONDS: parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS, 10) || 60,
+  LOGIN_LOCKOUT_MAX_SECONDS: parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS, 10) || 60 * 60,
+  LOG_LEVEL: process.env.LOG_LEVEL || 'info',
+  LOG_FORMAT: process.env.LOG_FORMAT || 'json',
+  METRICS_TOKEN: process.env.METRICS_TOKEN,
+  SHUTDOWN_TIMEOUT_SECONDS: parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS, 10) || 10,
+  MONGO_RETRY_DELAY_SECONDS: parseInt(process.env.MONGO_RETRY_DELAY_SECONDS, 10) || 5
+};
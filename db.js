@@ -1,6 +1,12 @@
 const express = require("express");
 require('dotenv').config();
 const mongoose = require("mongoose");
+const { getCoverageEnd, getManufacturerExpiry } = require("./utils/warranty");
+const { getNextDueDate } = require("./utils/maintenance");
+const { CLAIM_STATUSES } = require("./utils/claims");
+const { APPLIANCE_CATEGORIES } = require("./utils/depreciation");
+const { logger } = require("./utils/logger");
+const { MONGO_RETRY_DELAY_SECONDS } = require("./config");
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -27,9 +33,69 @@ const userSchema = new mongoose.Schema({
     type: String,
     require: true,
     minLength: 6
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // Set while the account waits out the grace period before it is deleted
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledAt: {
+    type: Date,
+    default: null
+  },
+  // Secret calendar subscription URL. Only a hash of its token is stored;
+  // regenerating the token cuts off calendars subscribed to the old URL.
+  calendarFeed: {
+    tokenHash: {
+      type: String,
+      default: null
+    },
+    createdAt: {
+      type: Date,
+      default: null
+    }
+  },
+  notifications: {
+    email: {
+      type: Boolean,
+      default: true
+    },
+    inApp: {
+      type: Boolean,
+      default: true
+    },
+    webhook: {
+      type: Boolean,
+      default: false
+    },
+    webhookUrl: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    webhookSecret: {
+      type: String,
+      default: null
+    },
+    // Days before expiry at which reminders go out; null means use the server default
+    reminderOffsets: {
+      type: [Number],
+      default: undefined
+    }
   }
 });
 
+userSchema.index({ deletionScheduledAt: 1 }, { partialFilterExpression: { deletionScheduledAt: { $type: 'date' } } });
+userSchema.index({ 'calendarFeed.tokenHash': 1 }, { unique: true, partialFilterExpression: { 'calendarFeed.tokenHash': { $type: 'string' } } });
+
 const accountSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -38,12 +104,135 @@ const accountSchema = new mongoose.Schema({
   },
 });
 
+// Metadata for a file kept in blob storage (see storage/index.js)
+const storedFileFields = {
+  key: {
+    type: String,
+    required: true
+  },
+  codec: {
+    type: String,
+    default: 'none'
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  fileSize: {
+    type: Number,
+    required: true,
+    max: 5 * 1024 * 1024 // 5MB limit
+  },
+  storedSize: {
+    type: Number,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+};
+
+const renditionFields = {
+  key: { type: String },
+  codec: { type: String },
+  contentType: { type: String },
+  fileName: { type: String },
+  fileSize: { type: Number },
+  storedSize: { type: Number },
+  width: { type: Number },
+  height: { type: Number }
+};
+
+const SERVICE_TYPES = ['repair', 'service', 'filter_change', 'technician_visit', 'inspection', 'other'];
+
+const householdSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+  members: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['owner', 'editor', 'viewer'],
+      required: true
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+householdSchema.index({ 'members.userId': 1 });
+
+const householdInviteSchema = new mongoose.Schema({
+  householdId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  role: {
+    type: String,
+    enum: ['owner', 'editor', 'viewer'],
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+householdInviteSchema.index({ householdId: 1, email: 1 });
+householdInviteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 const applianceSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
     require: true
   },
+  // Set when the appliance is shared with a household
+  householdId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Household",
+    default: null
+  },
   name: {
     type: String,
     require: true,
@@ -63,23 +252,64 @@ const applianceSchema = new mongoose.Schema({
     type: Date,
     require: true
   },
+  // Picks the depreciation rule used to value the appliance
+  category: {
+    type: String,
+    enum: APPLIANCE_CATEGORIES,
+    default: null
+  },
+  // Amounts are in `currency`, an ISO 4217 code. The replacement cost is what
+  // a like-for-like replacement would cost today, for insurance claims.
+  purchasePrice: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  replacementCost: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z]{3}$/,
+    default: null
+  },
+  // Optional only for appliances brought in by bulk import without a photo;
+  // POST /add still requires one
   productImage: {
-    data: {
+    key: {
       type: String,
-      required: true
+      default: null
     },
-    contentType: {
+    codec: {
       type: String,
-      required: true
+      default: 'none'
+    },
+    // Legacy inline gzipped base64 payload, superseded by `key`
+    data: {
+      type: String
+    },
+    contentType: {
+      type: String
     },
     fileName: {
-      type: String,
-      required: true
+      type: String
     },
     fileSize: {
       type: Number,
-      required: true,
       max: 5 * 1024 * 1024 // 5MB limit
+    },
+    storedSize: {
+      type: Number,
+      default: null
+    },
+    // Downscaled copies generated at upload time (see utils/thumbnails.js)
+    renditions: {
+      thumbnail: renditionFields,
+      medium: renditionFields
     }
   },
   receipts: [{
@@ -88,9 +318,17 @@ const applianceSchema = new mongoose.Schema({
       required: true,
       trim: true
     },
-    data: {
+    key: {
       type: String,
-      required: true
+      default: null
+    },
+    codec: {
+      type: String,
+      default: 'none'
+    },
+    // Legacy inline gzipped base64 payload, superseded by `key`
+    data: {
+      type: String
     },
     contentType: {
       type: String,
@@ -105,33 +343,651 @@ const applianceSchema = new mongoose.Schema({
       required: true,
       max: 5 * 1024 * 1024 // 5MB limit
     },
+    storedSize: {
+      type: Number,
+      default: null
+    },
     createdAt: {
       type: Date,
       default: Date.now
+    },
+    // Text layer of a PDF receipt, for search (see utils/receiptText.js).
+    // textExtractedAt is set once the file has been read, text or not.
+    text: {
+      type: String,
+      default: null
+    },
+    textExtractedAt: {
+      type: Date,
+      default: null
+    },
+    // Earlier files this receipt pointed at, oldest first
+    versions: [{
+      ...storedFileFields,
+      key: {
+        type: String,
+        default: null
+      },
+      // Legacy inline gzipped base64 payload
+      data: {
+        type: String
+      },
+      replacedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  }],
+  warranty: {
+    months: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  },
+  coverage: [{
+    type: {
+      type: String,
+      enum: ['extended', 'insurance'],
+      required: true
+    },
+    provider: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    policyNumber: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    endDate: {
+      type: Date,
+      required: true
+    },
+    receiptId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    }
+  }],
+  maintenanceSchedules: [{
+    task: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    serviceType: {
+      type: String,
+      enum: SERVICE_TYPES,
+      default: 'service'
+    },
+    intervalValue: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    intervalUnit: {
+      type: String,
+      enum: ['days', 'weeks', 'months'],
+      required: true
+    },
+    // First cycle starts here; defaults to the purchase date
+    startDate: {
+      type: Date,
+      default: null
+    },
+    // Date of the latest service record logged against this schedule
+    lastDoneAt: {
+      type: Date,
+      default: null
+    },
+    nextDueAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  // Denormalized latest coverage end date so expiry queries can use an index
+  warrantyExpiresAt: {
+    type: Date,
+    default: null
+  },
+  // Set while the appliance is in the trash, until it is restored or purged
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+});
+
+applianceSchema.index({ householdId: 1 });
+applianceSchema.index({ userId: 1, purchaseDate: -1, _id: -1 });
+applianceSchema.index({ userId: 1, name: 1, _id: 1 }, { collation: { locale: 'en', strength: 2 } });
+// Existing databases need the backfill:receipt-text script to rebuild this
+// index once receipt text was added to it
+applianceSchema.index(
+  { name: 'text', modelNumber: 'text', companyName: 'text', 'receipts.name': 'text', 'receipts.text': 'text' },
+  { name: 'appliance_text', weights: { name: 10, modelNumber: 5, companyName: 3, 'receipts.name': 2, 'receipts.text': 1 } }
+);
+applianceSchema.index({ userId: 1, warrantyExpiresAt: 1 });
+applianceSchema.index({ userId: 1, 'warranty.expiresAt': 1 });
+applianceSchema.index({ userId: 1, 'coverage.endDate': 1 });
+applianceSchema.index({ 'maintenanceSchedules.nextDueAt': 1 });
+applianceSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+
+applianceSchema.pre('validate', function (next) {
+  this.set('warranty.expiresAt', getManufacturerExpiry(this));
+  this.warrantyExpiresAt = getCoverageEnd(this);
+  this.maintenanceSchedules.forEach(schedule => {
+    schedule.nextDueAt = getNextDueDate(schedule, this.purchaseDate);
+  });
+  next();
+});
+
+// One document per reminder delivered, so restarts and multiple instances never
+// send the same reminder twice. Inserting the document claims the reminder.
+const reminderLogSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  applianceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appliance',
+    required: true
+  },
+  // "manufacturer" or the _id of the coverage entry
+  coverageKey: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  offsetDays: {
+    type: Number,
+    required: true
+  },
+  channels: [String],
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reminderLogSchema.index(
+  { userId: 1, applianceId: 1, coverageKey: 1, expiresAt: 1, offsetDays: 1 },
+  { unique: true }
+);
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+
+// One session per signed-in device. The refresh token itself is never stored,
+// only its hash; rotating it moves the old hash to previousTokenHash so a
+// replayed token can be detected.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  method: {
+    type: String,
+    enum: ['password', 'google', 'signup'],
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let Mongo clean up sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Single-use tokens mailed to the user (email verification, password reset).
+// Only a hash is stored; the raw token exists only in the email.
+const userTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['email_verification', 'password_reset'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+userTokenSchema.index({ userId: 1, type: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ACCESS_TOKEN_SCOPES = ['appliances:read', 'appliances:write', 'receipts:upload'];
+
+// Personal access tokens let scripts call the API without the user's
+// password. Only a hash is stored; the prefix lets users tell tokens apart.
+const accessTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: ACCESS_TOKEN_SCOPES
+    }],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  // null means the token never expires
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+accessTokenSchema.index({ userId: 1, revokedAt: 1 });
+
+const serviceRecordSchema = new mongoose.Schema({
+  applianceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appliance',
+    required: true
+  },
+  // Who logged the entry
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: SERVICE_TYPES,
+    required: true
+  },
+  cost: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  provider: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxLength: 5000,
+    default: null
+  },
+  attachments: [{
+    name: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    ...storedFileFields
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+serviceRecordSchema.index({ applianceId: 1, date: -1 });
+serviceRecordSchema.index({ applianceId: 1, scheduleId: 1, date: -1 });
+
+const claimSchema = new mongoose.Schema({
+  applianceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appliance',
+    required: true
+  },
+  // Who opened the claim
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  claimNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Reference issued by the manufacturer or insurer
+  referenceNumber: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['manufacturer', 'extended', 'insurance'],
+    required: true
+  },
+  // The appliance coverage entry the claim is made under, if any
+  coverageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  receiptIds: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  provider: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxLength: 5000,
+    default: null
+  },
+  incidentDate: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: CLAIM_STATUSES,
+    default: 'draft'
+  },
+  timeline: [{
+    // Null for entries that only add a note or correspondence
+    status: {
+      type: String,
+      enum: CLAIM_STATUSES,
+      default: null
+    },
+    fromStatus: {
+      type: String,
+      enum: CLAIM_STATUSES,
+      default: null
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxLength: 5000,
+      default: null
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    attachments: [{
+      name: {
+        type: String,
+        trim: true,
+        default: null
+      },
+      ...storedFileFields
+    }],
+    at: {
+      type: Date,
+      default: Date.now
     }
   }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
 });
 
+claimSchema.index({ applianceId: 1, status: 1 });
+
+// Append-only record of who changed what. Entries are never edited or removed.
+const auditLogSchema = new mongoose.Schema({
+  // Who made the change; null for anonymous actions such as a failed sign in
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['appliance', 'user'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Field-level diff for updates
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  request: {
+    requestId: String,
+    ip: String,
+    userAgent: String,
+    method: String,
+    path: String,
+    sessionId: String,
+    accessTokenId: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+
+const rejectAuditChange = function (next) {
+  next(new Error('Audit log entries are append-only'));
+};
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectAuditChange
+);
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return rejectAuditChange(next);
+  }
+  next();
+});
+
+// Shared state for the rate limiter's Mongo store
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 const User = mongoose.model("User", userSchema);
 const Account = mongoose.model("Account", accountSchema);
 const Appliance = mongoose.model("Appliance", applianceSchema);
+const ReminderLog = mongoose.model("ReminderLog", reminderLogSchema);
+const Notification = mongoose.model("Notification", notificationSchema);
+const Session = mongoose.model("Session", sessionSchema);
+const UserToken = mongoose.model("UserToken", userTokenSchema);
+const AccessToken = mongoose.model("AccessToken", accessTokenSchema);
+const Household = mongoose.model("Household", householdSchema);
+const HouseholdInvite = mongoose.model("HouseholdInvite", householdInviteSchema);
+const ServiceRecord = mongoose.model("ServiceRecord", serviceRecordSchema);
+const Claim = mongoose.model("Claim", claimSchema);
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
 
-// Create a promise-based connection
+// Connects to MongoDB, retrying until it succeeds. Failing to connect doesn't
+// stop the server; /readyz reports not ready until the connection is up.
+// Rejects when no connection string is configured, since retrying can't help.
+// Nothing connects on import: the server and the scripts that need the
+// database call this themselves.
 const connectDB = async () => {
-  try {
-    const mongoURI = process.env.MONGO_URI;
-    if (!mongoURI) {
-      throw new Error('MongoDB connection string is not defined in environment variables');
+  const mongoURI = process.env.MONGO_URI;
+  if (!mongoURI) {
+    throw new Error('MongoDB connection string is not defined in environment variables');
+  }
+
+  for (;;) {
+    try {
+      await mongoose.connect(mongoURI);
+      logger.info('Successfully connected to MongoDB');
+      return;
+    } catch (error) {
+      logger.error('MongoDB connection error, retrying', { err: error, retryInSeconds: MONGO_RETRY_DELAY_SECONDS });
+      await new Promise(resolve => setTimeout(resolve, MONGO_RETRY_DELAY_SECONDS * 1000));
     }
-    await mongoose.connect(mongoURI);
-    console.log('Successfully connected to MongoDB Atlas');
-  } catch (error) {
-    console.error('MongoDB connection error:', error);
-    process.exit(1);
   }
 };
 
-// Connect to MongoDB
-connectDB();
-
-module.exports = { User, Account, Appliance, connectDB };
\ No newline at end of file
+module.exports = { User, Account, Appliance, ReminderLog, Notification, Session, UserToken, AccessToken, ACCESS_TOKEN_SCOPES, Household, HouseholdInvite, ServiceRecord, SERVICE_TYPES, Claim, AuditLog, RateLimit, connectDB };
\ No newline at end of file
@@ -1,15 +1,70 @@
 const express = require("express");
 const cors = require("cors");
 const path = require("path");
+const mongoose = require("mongoose");
+
+const { TRUST_PROXY, METRICS_TOKEN, SHUTDOWN_TIMEOUT_SECONDS } = require("./config");
+const { logger } = require("./utils/logger");
+const { requestId, requestLogger } = require("./utils/requestContext");
+const { registry, metricsMiddleware } = require("./utils/metrics");
+const { stopAllJobs } = require("./utils/scheduler");
 
 const app = express();
 
+// Behind a reverse proxy the client IP, which rate limits key on, comes from
+// X-Forwarded-For
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : TRUST_PROXY === 'true' || TRUST_PROXY);
+}
+
+app.use(requestId);
+app.use(requestLogger);
+app.use(metricsMiddleware);
+
+let shuttingDown = false;
+
+// Probes and metrics are for infrastructure, not browsers, so they sit ahead
+// of the CORS handling
+
+// Liveness: the process is up and serving requests
+app.get("/healthz", (req, res) => {
+  res.json({
+    status: "ok",
+    uptime: process.uptime()
+  });
+});
+
+// Readiness: safe to route traffic here, i.e. connected to Mongo and not
+// shutting down
+app.get("/readyz", (req, res) => {
+  const mongoReady = mongoose.connection.readyState === 1;
+  const ready = mongoReady && !shuttingDown;
+  res.status(ready ? 200 : 503).json({
+    status: ready ? "ready" : "not_ready",
+    checks: {
+      mongo: mongoReady ? "connected" : mongoose.STATES[mongoose.connection.readyState],
+      shuttingDown
+    }
+  });
+});
+
+app.get("/metrics", async (req, res) => {
+  if (METRICS_TOKEN && req.get('authorization') !== `Bearer ${METRICS_TOKEN}`) {
+    return res.status(401).json({
+      message: "Invalid metrics token"
+    });
+  }
+  res.set('Content-Type', registry.contentType);
+  res.send(await registry.metrics());
+});
+
 // Enhanced CORS configuration
 app.use(cors({
   origin: process.env.CORS_ORIGIN,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-Id', 'Range', 'If-None-Match', 'If-Range'],
+  exposedHeaders: ['X-Request-Id', 'ETag', 'Content-Range', 'Content-Disposition', 'Accept-Ranges', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 }));
 
 // Security headers
@@ -18,7 +73,8 @@ app.use((req, res, next) => {
   res.setHeader('Access-Control-Allow-Origin', process.env.CORS_ORIGIN);
   res.setHeader('Access-Control-Allow-Credentials', 'true');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-Request-Id, Range, If-None-Match, If-Range');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id, ETag, Content-Range, Content-Disposition, Accept-Ranges, Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset');
   next();
 });
 
@@ -32,7 +88,11 @@ app.use((req, res, next) => {
   next();
 });
 
+const { connectDB } = require("./db");
 const mainRouter = require("./routes/index");
+const { startWarrantyReminders } = require("./jobs/warrantyReminders");
+const { startTrashPurge } = require("./jobs/purgeTrash");
+const { startAccountPurge } = require("./jobs/purgeAccounts");
 
 app.get("/testing", (req, res) => {
   return res.status(200).json({
@@ -42,15 +102,70 @@ app.get("/testing", (req, res) => {
 
 app.use("/api/v1", mainRouter);
 
+// Errors carrying a 4xx status (upload validation, body parsing) are the
+// client's fault and are answered as such, everything else is a 500
 app.use((err, req, res, next) => {
-  console.error('Error details:', err);
+  const status = err.status || err.statusCode || 500;
+  if (status < 500) {
+    return res.status(status).json({
+      message: err.message,
+      field: err.field
+    });
+  }
+
+  logger.error('Unhandled error', { err });
   res.status(500).json({ 
     message: err.message || 'Internal server error',
+    requestId: req.id,
     error: process.env.NODE_ENV === 'development' ? err : {}
   });
 });
 
+// The server starts without the database and reports not ready until it's up
+connectDB().catch(error => {
+  logger.error('Error connecting to MongoDB', { err: error });
+});
+
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
+const server = app.listen(PORT, () => {
+  logger.info('Server is running', { port: Number(PORT) });
+  startWarrantyReminders();
+  startTrashPurge();
+  startAccountPurge();
+});
+
+// Stop taking new work, let in-flight requests finish, then disconnect.
+// Requests still running after the timeout are cut off.
+const shutdown = (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info('Shutting down', { signal });
+
+  stopAllJobs();
+  const forceExit = setTimeout(() => {
+    logger.error('Shutdown timed out, exiting', { timeoutSeconds: SHUTDOWN_TIMEOUT_SECONDS });
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_SECONDS * 1000);
+  forceExit.unref();
+
+  server.close(async (error) => {
+    try {
+      // A connection attempt still in progress is simply abandoned
+      if (mongoose.connection.readyState === 1) {
+        await mongoose.disconnect();
+      }
+    } catch (disconnectError) {
+      logger.error('Error disconnecting from MongoDB', { err: disconnectError });
+    }
+    logger.info('Shutdown complete');
+    process.exit(error ? 1 : 0);
+  });
+  // Idle keep-alive connections would otherwise hold the server open
+  server.closeIdleConnections();
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('unhandledRejection', (reason) => {
+  logger.error('Unhandled promise rejection', { err: reason });
 });
\ No newline at end of file
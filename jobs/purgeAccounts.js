@@ -0,0 +1,42 @@
+const { User } = require('../db');
+const { scheduleJob } = require('../utils/scheduler');
+const { deleteAccount } = require('../utils/accountDeletion');
+const { recordAudit } = require('../utils/audit');
+const { ACCOUNT_PURGE_INTERVAL_MINUTES } = require('../config');
+const { logger } = require('../utils/logger');
+
+// Deletes accounts whose deletion grace period has run out
+const runAccountPurge = async (now = new Date()) => {
+  const cursor = User.find({ deletionScheduledAt: { $ne: null, $lte: now } }).cursor();
+
+  let deleted = 0;
+  for await (const user of cursor) {
+    try {
+      await deleteAccount(user);
+      await recordAudit(null, {
+        action: 'user.delete',
+        targetType: 'user',
+        targetId: user._id,
+        details: { requestedAt: user.deletionRequestedAt }
+      });
+      deleted++;
+    } catch (error) {
+      logger.error('Error deleting account', { userId: user._id, err: error });
+    }
+  }
+  return deleted;
+};
+
+const startAccountPurge = () => {
+  return scheduleJob('account-purge', ACCOUNT_PURGE_INTERVAL_MINUTES * 60 * 1000, async () => {
+    const deleted = await runAccountPurge();
+    if (deleted) {
+      logger.info('Deleted accounts past their grace period', { deleted });
+    }
+  });
+};
+
+module.exports = {
+  runAccountPurge,
+  startAccountPurge
+};
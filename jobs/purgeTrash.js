@@ -0,0 +1,45 @@
+const { Appliance } = require('../db');
+const { scheduleJob } = require('../utils/scheduler');
+const { purgeAppliance } = require('../utils/trash');
+const { recordAudit } = require('../utils/audit');
+const { DAY_MS } = require('../utils/warranty');
+const { TRASH_RETENTION_DAYS, TRASH_PURGE_INTERVAL_MINUTES } = require('../config');
+const { logger } = require('../utils/logger');
+
+// Permanently deletes appliances that have been in the trash for longer than
+// the retention period
+const runTrashPurge = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+  const cursor = Appliance.find({ deletedAt: { $ne: null, $lte: cutoff } }).cursor();
+
+  let purged = 0;
+  for await (const appliance of cursor) {
+    try {
+      await purgeAppliance(appliance);
+      await recordAudit(null, {
+        action: 'appliance.purge',
+        targetType: 'appliance',
+        targetId: appliance._id,
+        details: { name: appliance.name, reason: 'retention_expired' }
+      });
+      purged++;
+    } catch (error) {
+      logger.error('Error purging appliance', { applianceId: appliance._id, err: error });
+    }
+  }
+  return purged;
+};
+
+const startTrashPurge = () => {
+  return scheduleJob('trash-purge', TRASH_PURGE_INTERVAL_MINUTES * 60 * 1000, async () => {
+    const purged = await runTrashPurge();
+    if (purged) {
+      logger.info('Purged appliances from the trash', { purged });
+    }
+  });
+};
+
+module.exports = {
+  runTrashPurge,
+  startTrashPurge
+};
@@ -0,0 +1,147 @@
+const { Appliance, User, ReminderLog } = require('../db');
+const { notify, hasEnabledChannel } = require('../notifiers');
+const { scheduleJob } = require('../utils/scheduler');
+const { getDaysRemaining, DAY_MS } = require('../utils/warranty');
+const {
+  REMINDERS_ENABLED,
+  REMINDER_INTERVAL_MINUTES,
+  REMINDER_OFFSETS_DAYS
+} = require('../config');
+const { logger } = require('../utils/logger');
+
+// Upper bound on how far ahead a user may ask to be reminded
+const MAX_REMINDER_OFFSET_DAYS = 90;
+
+const COVERAGE_LABELS = {
+  manufacturer: 'manufacturer warranty',
+  extended: 'extended warranty',
+  insurance: 'insurance policy'
+};
+
+const getReminderOffsets = (user) => {
+  const offsets = user.notifications && user.notifications.reminderOffsets;
+  return offsets && offsets.length ? offsets : REMINDER_OFFSETS_DAYS;
+};
+
+// Coverage items on an appliance that end inside [now, until]
+const getExpiringItems = (appliance, now, until) => {
+  const items = [];
+  const inWindow = (date) => date && date >= now && date <= until;
+
+  if (appliance.warranty && inWindow(appliance.warranty.expiresAt)) {
+    items.push({ key: 'manufacturer', type: 'manufacturer', provider: appliance.companyName, expiresAt: appliance.warranty.expiresAt });
+  }
+  (appliance.coverage || []).forEach(entry => {
+    if (inWindow(entry.endDate)) {
+      items.push({ key: entry._id.toString(), type: entry.type, provider: entry.provider, expiresAt: entry.endDate });
+    }
+  });
+
+  return items;
+};
+
+const buildNotification = (appliance, item, daysRemaining, offsetDays) => {
+  const label = COVERAGE_LABELS[item.type] || 'coverage';
+  const when = daysRemaining <= 0 ? 'today' : `in ${daysRemaining} day${daysRemaining === 1 ? '' : 's'}`;
+
+  return {
+    type: 'warranty_expiry',
+    title: `The ${label} on your ${appliance.name} expires ${when}`,
+    message: `The ${label}${item.provider ? ` from ${item.provider}` : ''} on your ${appliance.name}` +
+      `${appliance.modelNumber ? ` (${appliance.modelNumber})` : ''} expires on ` +
+      `${new Date(item.expiresAt).toDateString()}.`,
+    data: {
+      applianceId: appliance._id,
+      coverageType: item.type,
+      coverageKey: item.key,
+      expiresAt: item.expiresAt,
+      daysRemaining,
+      offsetDays
+    }
+  };
+};
+
+const runWarrantyReminders = async (now = new Date()) => {
+  const until = new Date(now.getTime() + MAX_REMINDER_OFFSET_DAYS * DAY_MS);
+  const window = { $gte: now, $lte: until };
+
+  const appliances = await Appliance.find({
+    deletedAt: null,
+    $or: [
+      { 'warranty.expiresAt': window },
+      { 'coverage.endDate': window }
+    ]
+  }).select('userId name companyName modelNumber warranty coverage').lean();
+
+  if (!appliances.length) return 0;
+
+  const userIds = [...new Set(appliances.map(appliance => appliance.userId.toString()))];
+  const users = await User.find({ _id: { $in: userIds } }).select('username firstName notifications');
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  let sent = 0;
+
+  for (const appliance of appliances) {
+    const user = usersById.get(appliance.userId.toString());
+    if (!user || !hasEnabledChannel(user)) continue;
+
+    const offsets = getReminderOffsets(user);
+
+    for (const item of getExpiringItems(appliance, now, until)) {
+      const daysRemaining = getDaysRemaining(item.expiresAt, now);
+      // Only the closest due offset is sent, so an item added 5 days before
+      // expiry gets the 7-day reminder rather than the 30-day and 7-day ones.
+      const due = offsets.filter(offset => daysRemaining <= offset);
+      if (!due.length) continue;
+      const offsetDays = Math.min(...due);
+
+      let claim;
+      try {
+        claim = await ReminderLog.create({
+          userId: user._id,
+          applianceId: appliance._id,
+          coverageKey: item.key,
+          expiresAt: item.expiresAt,
+          offsetDays
+        });
+      } catch (error) {
+        if (error.code === 11000) continue; // Already sent
+        throw error;
+      }
+
+      const channels = await notify(user, buildNotification(appliance, item, daysRemaining, offsetDays));
+
+      if (channels.length) {
+        claim.channels = channels;
+        await claim.save();
+        sent++;
+      } else {
+        // Nothing delivered, release the claim so the next run retries
+        await ReminderLog.deleteOne({ _id: claim._id });
+      }
+    }
+  }
+
+  return sent;
+};
+
+const startWarrantyReminders = () => {
+  if (!REMINDERS_ENABLED) {
+    logger.info('Warranty reminders are disabled');
+    return null;
+  }
+  return scheduleJob('warranty-reminders', REMINDER_INTERVAL_MINUTES * 60 * 1000, async () => {
+    const sent = await runWarrantyReminders();
+    if (sent) {
+      logger.info('Sent warranty reminders', { sent });
+    }
+  });
+};
+
+module.exports = {
+  MAX_REMINDER_OFFSET_DAYS,
+  COVERAGE_LABELS,
+  getReminderOffsets,
+  runWarrantyReminders,
+  startWarrantyReminders
+};
@@ -0,0 +1,15 @@
+const { sendMail } = require('../utils/mailer');
+
+module.exports = {
+  name: 'email',
+
+  isEnabled: (user) => user.notifications.email !== false && Boolean(user.username),
+
+  send: async (user, notification) => {
+    await sendMail({
+      to: user.username,
+      subject: notification.title,
+      text: notification.message
+    });
+  }
+};
@@ -0,0 +1,17 @@
+const { Notification } = require('../db');
+
+module.exports = {
+  name: 'inApp',
+
+  isEnabled: (user) => user.notifications.inApp !== false,
+
+  send: async (user, notification) => {
+    await Notification.create({
+      userId: user._id,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      data: notification.data
+    });
+  }
+};
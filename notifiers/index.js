@@ -0,0 +1,41 @@
+const email = require('./email');
+const webhook = require('./webhook');
+const inApp = require('./inApp');
+const { logger } = require('../utils/logger');
+
+// Every notifier implements { name, isEnabled(user), send(user, notification) }
+const notifiers = [email, webhook, inApp];
+
+const registerNotifier = (notifier) => {
+  if (!notifier.name || typeof notifier.send !== 'function' || typeof notifier.isEnabled !== 'function') {
+    throw new Error('Notifiers must provide a name, isEnabled(user) and send(user, notification)');
+  }
+  notifiers.push(notifier);
+};
+
+const hasEnabledChannel = (user) => notifiers.some(notifier => notifier.isEnabled(user));
+
+// Sends to every channel the user has enabled. Resolves with the names of the
+// channels that delivered; a failing channel does not stop the others.
+const notify = async (user, notification) => {
+  const delivered = [];
+
+  for (const notifier of notifiers) {
+    if (!notifier.isEnabled(user)) continue;
+    try {
+      await notifier.send(user, notification);
+      delivered.push(notifier.name);
+    } catch (error) {
+      logger.error('Error sending notification', { notifier: notifier.name, userId: user._id, err: error });
+    }
+  }
+
+  return delivered;
+};
+
+module.exports = {
+  notifiers,
+  registerNotifier,
+  hasEnabledChannel,
+  notify
+};
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const { checkWebhookUrl } = require('../utils/webhookUrl');
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+const MAX_WEBHOOK_REDIRECTS = 3;
+
+// Only redirects that keep the method and body are followed, and each target
+// is checked like the URL the user saved
+const post = async (url, options, redirects = 0) => {
+  const response = await fetch(await checkWebhookUrl(url), { ...options, redirect: 'manual' });
+  if (![307, 308].includes(response.status)) {
+    return response;
+  }
+  if (redirects >= MAX_WEBHOOK_REDIRECTS) {
+    throw new Error('Webhook redirected too many times');
+  }
+  return post(new URL(response.headers.get('location'), url).href, options, redirects + 1);
+};
+
+module.exports = {
+  name: 'webhook',
+
+  isEnabled: (user) => Boolean(user.notifications.webhook && user.notifications.webhookUrl),
+
+  send: async (user, notification) => {
+    const body = JSON.stringify({
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      data: notification.data,
+      sentAt: new Date().toISOString()
+    });
+
+    const headers = { 'Content-Type': 'application/json' };
+    // Lets the receiver verify the payload came from us
+    if (user.notifications.webhookSecret) {
+      headers['X-Signature'] = 'sha256=' + crypto
+        .createHmac('sha256', user.notifications.webhookSecret)
+        .update(body)
+        .digest('hex');
+    }
+
+    const response = await post(user.notifications.webhookUrl, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with status ${response.status}`);
+    }
+  }
+};
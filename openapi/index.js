@@ -0,0 +1,94 @@
+const { OpenApiGeneratorV3 } = require('@asteasolutions/zod-to-openapi');
+const { registry, toOpenApiPath } = require('./registry');
+const { version } = require('../package.json');
+const { mountPath } = require('../utils/routerPaths');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+let document = null;
+
+// Notes which personal access token scopes each authenticated operation needs,
+// taken from the requireScope declarations on the routes `router` serves
+const describeScopes = (paths, router) => {
+  const scopesByRoute = new Map(listRoutes(router)
+    .map(({ method, path, scopes }) => [`${method} ${toOpenApiPath(path)}`, scopes]));
+
+  Object.entries(paths).forEach(([path, operations]) => {
+    Object.entries(operations).forEach(([method, operation]) => {
+      if (!HTTP_METHODS.includes(method) || !operation.security || !operation.security.length) return;
+      const scopes = scopesByRoute.get(`${method} ${path}`);
+      const note = scopes
+        ? `Personal access tokens need the ${scopes.join(' and ')} scope${scopes.length > 1 ? 's' : ''}.`
+        : 'Not available to personal access tokens.';
+      operation['x-token-scopes'] = scopes || [];
+      operation.description = operation.description ? `${operation.description}\n\n${note}` : note;
+    });
+  });
+};
+
+// Built once, on first use, after every router has registered its routes
+const getDocument = (router) => {
+  if (!document) {
+    document = new OpenApiGeneratorV3(registry.definitions).generateDocument({
+      openapi: '3.0.3',
+      info: {
+        title: 'Appliance Warranty API',
+        version,
+        description: 'Appliances, receipts, warranties, service history and claims. ' +
+          'Authenticate with the token from /user/signin as `Authorization: Bearer <token>`.'
+      },
+      servers: [{ url: '/api/v1' }]
+    });
+    describeScopes(document.paths, router);
+  }
+  return document;
+};
+
+// An optional parameter (/:size?) makes two routes, with and without it
+const expandOptional = (path) => {
+  const match = /\/:\w+\?/.exec(path);
+  if (!match) return [path];
+  return [
+    ...expandOptional(path.slice(0, match.index) + path.slice(match.index + match[0].length) || '/'),
+    ...expandOptional(path.replace(match[0], match[0].slice(0, -1)))
+  ];
+};
+
+// Every method and path an Express router serves, nested routers included,
+// with the access token scopes the route declares (null when it accepts none)
+const listRoutes = (router, prefix = '') => {
+  return router.stack.flatMap(layer => {
+    if (layer.route) {
+      const methods = Object.keys(layer.route.methods).filter(method => HTTP_METHODS.includes(method));
+      const scoped = layer.route.stack.find(l => l.handle.requiredScopes);
+      const scopes = scoped ? scoped.handle.requiredScopes : null;
+      return expandOptional(`${prefix}${layer.route.path}`.replace(/(.)\/$/, '$1'))
+        .flatMap(path => methods.map(method => ({ method, path, scopes })));
+    }
+    if (layer.handle && layer.handle.stack) {
+      return listRoutes(layer.handle, `${prefix}${mountPath(layer)}`);
+    }
+    return [];
+  });
+};
+
+// Compares the routes `router` serves with the documented ones. Returns the
+// routes missing from the document and the documented routes nothing serves.
+const compareWithRoutes = (router) => {
+  const paths = getDocument(router).paths;
+  const served = listRoutes(router).map(({ method, path }) => ({ method, path: toOpenApiPath(path) }));
+  const servedKeys = new Set(served.map(({ method, path }) => `${method} ${path}`));
+
+  const undocumented = served.filter(({ method, path }) => !(paths[path] && paths[path][method]));
+  const unserved = Object.entries(paths)
+    .flatMap(([path, operations]) => Object.keys(operations).filter(method => HTTP_METHODS.includes(method)).map(method => ({ method, path })))
+    .filter(({ method, path }) => !servedKeys.has(`${method} ${path}`));
+
+  return { undocumented, unserved };
+};
+
+module.exports = {
+  getDocument,
+  listRoutes,
+  compareWithRoutes
+};
@@ -0,0 +1,166 @@
+const zod = require('zod');
+const { OpenAPIRegistry } = require('@asteasolutions/zod-to-openapi');
+const { ErrorResponse, LimitedResponse, QuotaExceededResponse } = require('./schemas');
+
+// Every documented route, registered by the router that serves it
+const registry = new OpenAPIRegistry();
+
+registry.registerComponent('securitySchemes', 'bearerAuth', {
+  type: 'http',
+  scheme: 'bearer',
+  description: 'The token from /user/signin, or a personal access token (pat_...) from /user/tokens ' +
+    'on routes that list the scopes it needs'
+});
+
+const STATUS_DESCRIPTIONS = {
+  200: 'Success',
+  201: 'Created',
+  400: 'Invalid input',
+  401: 'Session has expired or been revoked',
+  403: 'Missing or invalid access token',
+  404: 'Not found',
+  413: 'Upload too large or storage quota exceeded',
+  415: 'Unsupported file type',
+  423: 'Account temporarily locked',
+  429: 'Too many requests',
+  500: 'Unexpected server error'
+};
+
+const ERROR_SCHEMAS = {
+  413: zod.union([QuotaExceededResponse, ErrorResponse]),
+  423: LimitedResponse,
+  429: LimitedResponse
+};
+
+// "/appliance/:id/image" -> "/appliance/{id}/image"
+const toOpenApiPath = (path) => path.replace(/:(\w+)\??/g, '{$1}');
+
+const json = (schema) => ({ 'application/json': { schema } });
+
+const binary = zod.string().openapi({ type: 'string', format: 'binary' });
+
+// Download routes are authenticated by the signature of a link issued by the
+// matching .../link route rather than a bearer token
+const signedLinkQuery = zod.object({
+  expires: zod.string().openapi({ description: 'Expiry of the link, in seconds since the epoch' }),
+  signature: zod.string()
+});
+
+// A response whose body is a file of one of `contentTypes`
+const fileResponse = (description, contentTypes = ['application/pdf', 'image/jpeg', 'image/png']) => ({
+  description,
+  content: Object.fromEntries(contentTypes.map(contentType => [contentType, { schema: binary }]))
+});
+
+const downloadResponses = (description) => {
+  return {
+    200: fileResponse(description),
+    206: fileResponse('The requested byte range'),
+    304: { description: 'Not modified since the ETag sent in If-None-Match' },
+    403: 'Invalid or expired download link',
+    416: { description: 'Requested range not satisfiable' }
+  };
+};
+
+// Multipart forms carry the validated text fields plus the uploaded files
+const multipartBody = (fields = zod.object({}), files) => {
+  const fileFields = Object.fromEntries(Object.entries(files).map(([name, { description, required, maxCount }]) => {
+    const schema = maxCount ? zod.array(binary).max(maxCount) : binary;
+    return [name, (required ? schema : schema.optional()).openapi({ description })];
+  }));
+  return {
+    required: true,
+    content: {
+      'multipart/form-data': { schema: fields.extend(fileFields) }
+    }
+  };
+};
+
+// A response is either a zod schema for a JSON body, a description of an
+// error answered with the usual { message } body, or a complete response
+// object (e.g. for file downloads)
+const toResponse = (status, response) => {
+  if (response instanceof zod.ZodType) {
+    return { description: STATUS_DESCRIPTIONS[status] || 'Success', content: json(response) };
+  }
+  if (typeof response === 'string') {
+    return { description: response, content: json(ERROR_SCHEMAS[status] || ErrorResponse) };
+  }
+  return response;
+};
+
+const registerRoute = (method, path, { tag, summary, description, public: isPublic, query, body, files, download, responses }) => {
+  if (download) {
+    isPublic = true;
+    query = signedLinkQuery;
+    responses = { ...downloadResponses(download), ...responses };
+  }
+
+  const params = [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+
+  const request = {};
+  if (params.length) {
+    request.params = zod.object(Object.fromEntries(params.map(name => [name, zod.string()])));
+  }
+  if (query) {
+    request.query = query;
+  }
+  if (files) {
+    request.body = multipartBody(body, files);
+  } else if (body) {
+    request.body = { required: true, content: json(body) };
+  }
+
+  // Failures every route of its kind can answer with, unless the route
+  // describes them more precisely
+  const defaults = {};
+  if ((query || body || files) && !download) {
+    defaults[400] = STATUS_DESCRIPTIONS[400];
+  }
+  if (files) {
+    defaults[413] = STATUS_DESCRIPTIONS[413];
+    defaults[415] = STATUS_DESCRIPTIONS[415];
+  }
+  if (!isPublic) {
+    defaults[401] = STATUS_DESCRIPTIONS[401];
+    defaults[403] = STATUS_DESCRIPTIONS[403];
+  }
+  defaults[500] = STATUS_DESCRIPTIONS[500];
+
+  const allResponses = { ...defaults, ...responses };
+  registry.registerPath({
+    method,
+    path: toOpenApiPath(path),
+    tags: [tag],
+    summary,
+    description,
+    security: isPublic ? [] : [{ bearerAuth: [] }],
+    request,
+    responses: Object.fromEntries(Object.entries(allResponses).map(([status, response]) => [status, toResponse(status, response)]))
+  });
+};
+
+// Documents the routes of the router mounted at `basePath` (relative to
+// /api/v1). Paths are written the way Express declares them, e.g.
+//
+//   api.put('/:id', { summary, body, responses: { 200: schema, 404: 'Appliance not found' } })
+//
+// Routes are authenticated unless `public: true`; uploads list their file
+// fields in `files`, next to the text fields in `body`. Signed download routes
+// set `download` to a description of the file they send.
+const describeRoutes = (basePath, tag) => {
+  const describe = (method) => (path, spec) => registerRoute(method, `${basePath}${path === '/' ? '' : path}` || '/', { tag, ...spec });
+  return {
+    get: describe('get'),
+    post: describe('post'),
+    put: describe('put'),
+    delete: describe('delete')
+  };
+};
+
+module.exports = {
+  registry,
+  toOpenApiPath,
+  fileResponse,
+  describeRoutes
+};
@@ -0,0 +1,505 @@
+const zod = require('zod');
+const { extendZodWithOpenApi } = require('@asteasolutions/zod-to-openapi');
+const { SERVICE_TYPES, ACCESS_TOKEN_SCOPES } = require('../db');
+const { CLAIM_STATUSES } = require('../utils/claims');
+const { APPLIANCE_CATEGORIES } = require('../utils/depreciation');
+
+// Adds .openapi() to zod schemas. Schemas named with .openapi('Name') become
+// reusable components of the generated document.
+extendZodWithOpenApi(zod);
+
+// Response shapes, as the routes build them. Request bodies are documented
+// with the zod schemas the routes validate against.
+
+const objectId = zod.string().regex(/^[a-f0-9]{24}$/).openapi({ example: '665f1c2e9b1d4a3f8c0e1a2b' });
+const dateTime = zod.string().datetime();
+
+const ErrorResponse = zod.object({
+  message: zod.string(),
+  errors: zod.array(zod.object({
+    code: zod.string(),
+    path: zod.array(zod.union([zod.string(), zod.number()])),
+    message: zod.string()
+  }).passthrough()).optional().openapi({ description: 'Validation issues, one per invalid field' }),
+  field: zod.string().optional().openapi({ description: 'Upload field the error is about' }),
+  error: zod.string().optional().openapi({ description: 'Error detail, only in development' })
+}).openapi('Error');
+
+const LimitedResponse = zod.object({
+  message: zod.string(),
+  retryAfter: zod.number().int().openapi({ description: 'Seconds until another attempt is allowed, also sent as Retry-After' })
+}).openapi('Limited');
+
+const StorageQuota = zod.object({
+  limitBytes: zod.number().int(),
+  usedBytes: zod.number().int(),
+  remainingBytes: zod.number().int()
+}).openapi('StorageQuota');
+
+const QuotaExceededResponse = zod.object({
+  message: zod.string(),
+  quota: StorageQuota.extend({
+    requestedBytes: zod.number().int()
+  })
+}).openapi('QuotaExceeded');
+
+const MessageResponse = zod.object({
+  message: zod.string()
+}).openapi('Message');
+
+// `{ message, ...fields }`, the usual answer to a change
+const messageResponse = (fields = {}) => MessageResponse.extend(fields);
+
+const SessionTokens = zod.object({
+  token: zod.string().openapi({ description: 'Access token, sent as `Authorization: Bearer <token>`' }),
+  refreshToken: zod.string(),
+  expiresIn: zod.number().int().openapi({ description: 'Seconds until the access token expires' }),
+  sessionId: objectId
+}).openapi('SessionTokens');
+
+const SignedUrl = zod.object({
+  url: zod.string().url(),
+  expiresAt: dateTime
+}).openapi('SignedUrl');
+
+const StoredFile = zod.object({
+  _id: objectId.optional(),
+  contentType: zod.string(),
+  fileName: zod.string(),
+  fileSize: zod.number().int(),
+  storedSize: zod.number().int().nullable(),
+  createdAt: dateTime.optional()
+}).openapi('StoredFile');
+
+const Attachment = StoredFile.extend({
+  name: zod.string()
+}).openapi('Attachment');
+
+const Receipt = StoredFile.extend({
+  name: zod.string(),
+  hasText: zod.boolean().openapi({ description: 'Whether text was extracted from the PDF for search' }),
+  textExtractedAt: dateTime.nullable().optional(),
+  versions: zod.array(StoredFile.extend({ replacedAt: dateTime }))
+}).openapi('Receipt');
+
+const ReceiptSearchResult = zod.object({
+  applianceId: objectId,
+  applianceName: zod.string(),
+  receiptId: objectId,
+  name: zod.string(),
+  fileName: zod.string(),
+  contentType: zod.string(),
+  createdAt: dateTime,
+  snippet: zod.string().nullable().openapi({ description: 'Text around the match; null when only the name matched' })
+}).openapi('ReceiptSearchResult');
+
+const ReceiptSuggestions = zod.object({
+  purchaseDate: zod.string().nullable().openapi({ example: '2024-03-15' }),
+  total: zod.object({
+    amount: zod.number(),
+    currency: zod.string().nullable().openapi({ description: 'ISO 4217 code, when the receipt shows one', example: 'USD' })
+  }).nullable(),
+  retailer: zod.string().nullable(),
+  modelNumber: zod.string().nullable()
+}).openapi('ReceiptSuggestions');
+
+const Rendition = zod.object({
+  contentType: zod.string(),
+  width: zod.number().int(),
+  height: zod.number().int(),
+  fileSize: zod.number().int()
+});
+
+const ProductImage = StoredFile.extend({
+  renditions: zod.object({
+    thumbnail: Rendition.optional(),
+    medium: Rendition.optional()
+  })
+}).openapi('ProductImage');
+
+const ProductImageWithLinks = ProductImage.extend({
+  url: zod.string().url(),
+  thumbnailUrl: zod.string().url(),
+  mediumUrl: zod.string().url(),
+  expiresAt: dateTime
+}).openapi('ProductImageWithLinks');
+
+const WARRANTY_STATUSES = ['active', 'expiring_soon', 'expired', 'unknown'];
+
+const Expiry = {
+  expiresAt: dateTime.nullable(),
+  daysRemaining: zod.number().int().nullable(),
+  status: zod.enum(WARRANTY_STATUSES)
+};
+
+const WarrantyOverall = zod.object(Expiry).openapi('WarrantyStatus');
+
+const Warranty = zod.object({
+  months: zod.number().int().nullable(),
+  ...Expiry,
+  coverage: zod.array(zod.object({
+    _id: objectId,
+    type: zod.enum(['extended', 'insurance']),
+    provider: zod.string().nullable(),
+    policyNumber: zod.string().nullable(),
+    receiptId: objectId.nullable(),
+    ...Expiry
+  })),
+  overall: WarrantyOverall
+}).openapi('Warranty');
+
+const MaintenanceSchedule = zod.object({
+  _id: objectId,
+  task: zod.string(),
+  serviceType: zod.enum(SERVICE_TYPES),
+  interval: zod.object({
+    value: zod.number().int(),
+    unit: zod.enum(['days', 'weeks', 'months'])
+  }),
+  startDate: dateTime.nullable(),
+  lastDoneAt: dateTime.nullable(),
+  nextDueAt: dateTime.nullable(),
+  daysRemaining: zod.number().int().nullable(),
+  status: zod.enum(['overdue', 'due_soon', 'upcoming']).nullable()
+}).openapi('MaintenanceSchedule');
+
+const category = zod.enum(APPLIANCE_CATEGORIES).nullable();
+const currency = zod.string().nullable().openapi({ description: 'ISO 4217 code', example: 'USD' });
+
+const Pricing = {
+  purchasePrice: zod.number().nullable(),
+  replacementCost: zod.number().nullable().openapi({ description: 'What replacing the appliance would cost today' }),
+  currency
+};
+
+// Full appliance document, as returned after a change
+const ApplianceResponse = zod.object({
+  _id: objectId,
+  userId: objectId,
+  householdId: objectId.nullable(),
+  name: zod.string(),
+  companyName: zod.string().nullable(),
+  modelNumber: zod.string(),
+  purchaseDate: dateTime,
+  category,
+  ...Pricing,
+  warranty: Warranty,
+  coverage: zod.array(zod.object({
+    _id: objectId,
+    type: zod.enum(['extended', 'insurance']),
+    provider: zod.string().nullable(),
+    policyNumber: zod.string().nullable(),
+    endDate: dateTime,
+    receiptId: objectId.nullable()
+  })),
+  maintenanceSchedules: zod.array(zod.object({}).passthrough()),
+  productImage: ProductImage.nullable(),
+  receipts: zod.array(Receipt),
+  warrantyExpiresAt: dateTime.nullable(),
+  deletedAt: dateTime.nullable()
+}).openapi('Appliance');
+
+const ApplianceSummary = zod.object({
+  id: objectId,
+  name: zod.string(),
+  companyName: zod.string().nullable(),
+  modelNumber: zod.string(),
+  purchaseDate: dateTime,
+  category,
+  householdId: objectId.nullable(),
+  warranty: WarrantyOverall,
+  nextMaintenance: MaintenanceSchedule.nullable(),
+  receiptCount: zod.number().int(),
+  productImage: ProductImageWithLinks.nullable()
+}).openapi('ApplianceSummary');
+
+const ApplianceDetail = zod.object({
+  _id: objectId,
+  householdId: objectId.nullable(),
+  role: zod.enum(['owner', 'editor', 'viewer']).openapi({ description: "The caller's role on the appliance" }),
+  name: zod.string(),
+  modelNumber: zod.string(),
+  purchaseDate: dateTime,
+  companyName: zod.string().nullable(),
+  category,
+  ...Pricing,
+  currentValue: zod.number().nullable().openapi({ description: 'Purchase price depreciated by the rule for the category' }),
+  warranty: Warranty,
+  maintenance: zod.array(MaintenanceSchedule),
+  nextMaintenance: MaintenanceSchedule.nullable(),
+  productImage: ProductImageWithLinks.nullable(),
+  receipts: zod.array(Receipt)
+}).openapi('ApplianceDetail');
+
+const ValuationTotals = {
+  count: zod.number().int(),
+  purchasePrice: zod.number(),
+  currentValue: zod.number(),
+  replacementCost: zod.number().openapi({ description: 'Counts appliances without a replacement cost at their purchase price' })
+};
+
+const ApplianceRef = zod.object({
+  id: objectId,
+  name: zod.string()
+});
+
+const ValuationReport = zod.object({
+  currency: currency.openapi({ description: 'Currency every amount is in; null when nothing is priced' }),
+  generatedAt: dateTime,
+  exchangeRates: zod.object({
+    base: zod.string(),
+    asOf: zod.string().nullable()
+  }).nullable().openapi({ description: 'The rate table used, null when none is configured' }),
+  totals: zod.object(ValuationTotals),
+  categories: zod.array(zod.object({
+    category: zod.enum(APPLIANCE_CATEGORIES),
+    depreciation: zod.object({
+      method: zod.enum(['straight_line', 'declining_balance']),
+      usefulLifeYears: zod.number().optional(),
+      rate: zod.number().optional().openapi({ description: 'Share of the remaining value lost each year' }),
+      salvagePercent: zod.number()
+    }),
+    ...ValuationTotals,
+    appliances: zod.array(ApplianceRef.extend({
+      modelNumber: zod.string(),
+      purchaseDate: dateTime,
+      ageYears: zod.number(),
+      originalCurrency: currency,
+      purchasePrice: zod.number().nullable(),
+      currentValue: zod.number().nullable(),
+      replacementCost: zod.number().nullable()
+    }))
+  })),
+  unpriced: zod.array(ApplianceRef).openapi({ description: 'Appliances with neither a purchase price nor a replacement cost' }),
+  unconverted: zod.array(ApplianceRef.extend({ currency })).openapi({ description: 'Appliances in a currency the rate table has no rate for' })
+}).openapi('ValuationReport');
+
+const ImportRowReport = zod.object({
+  row: zod.number().int().openapi({ description: "Position of the appliance in the file, from 1" }),
+  line: zod.number().int().optional().openapi({ description: "Line of the CSV file the row ends on" }),
+  name: zod.string().nullable(),
+  errors: zod.array(zod.object({
+    field: zod.string().nullable(),
+    message: zod.string()
+  }))
+}).openapi('ImportRowReport');
+
+const ExpiringAppliance = zod.object({
+  id: objectId,
+  name: zod.string(),
+  companyName: zod.string().nullable(),
+  modelNumber: zod.string(),
+  warranty: Warranty,
+  expiring: zod.array(zod.object({
+    type: zod.enum(['manufacturer', 'extended', 'insurance']),
+    coverageId: objectId.optional(),
+    provider: zod.string().nullable().optional(),
+    expiresAt: dateTime,
+    daysRemaining: zod.number().int()
+  }))
+}).openapi('ExpiringAppliance');
+
+const AuditEntry = zod.object({
+  id: objectId,
+  action: zod.string().openapi({ example: 'appliance.update' }),
+  actor: zod.object({
+    id: objectId,
+    username: zod.string().nullable(),
+    firstName: zod.string().nullable(),
+    lastName: zod.string().nullable()
+  }).nullable(),
+  targetType: zod.enum(['appliance', 'user']),
+  targetId: objectId,
+  changes: zod.array(zod.object({
+    field: zod.string(),
+    from: zod.any(),
+    to: zod.any()
+  })),
+  details: zod.record(zod.any()),
+  request: zod.object({
+    requestId: zod.string().nullable(),
+    ip: zod.string().nullable(),
+    userAgent: zod.string().nullable(),
+    method: zod.string().nullable(),
+    path: zod.string().nullable(),
+    sessionId: objectId.nullable(),
+    accessTokenId: objectId.nullable().optional()
+  }).nullable().openapi({ description: "Where the change was made from; only shown on the caller's own entries in appliance history" }),
+  createdAt: dateTime
+}).openapi('AuditEntry');
+
+const ServiceRecordResponse = zod.object({
+  _id: objectId,
+  applianceId: objectId,
+  userId: objectId,
+  scheduleId: objectId.nullable(),
+  date: dateTime,
+  type: zod.enum(SERVICE_TYPES),
+  cost: zod.number().nullable(),
+  provider: zod.string().nullable(),
+  notes: zod.string().nullable(),
+  attachments: zod.array(Attachment),
+  createdAt: dateTime
+}).openapi('ServiceRecord');
+
+const ClaimResponse = zod.object({
+  _id: objectId,
+  claimNumber: zod.string(),
+  referenceNumber: zod.string().nullable(),
+  applianceId: objectId,
+  userId: objectId,
+  type: zod.enum(['manufacturer', 'extended', 'insurance']),
+  coverageId: objectId.nullable(),
+  receiptIds: zod.array(objectId),
+  provider: zod.string().nullable(),
+  description: zod.string().nullable(),
+  incidentDate: dateTime.nullable(),
+  status: zod.enum(CLAIM_STATUSES),
+  allowedTransitions: zod.array(zod.enum(CLAIM_STATUSES)),
+  timeline: zod.array(zod.object({
+    _id: objectId,
+    status: zod.enum(CLAIM_STATUSES),
+    fromStatus: zod.enum(CLAIM_STATUSES).nullable(),
+    note: zod.string().nullable(),
+    userId: objectId,
+    attachments: zod.array(Attachment),
+    at: dateTime
+  })),
+  createdAt: dateTime,
+  updatedAt: dateTime
+}).openapi('Claim');
+
+const HouseholdRole = zod.enum(['owner', 'editor', 'viewer']).openapi('HouseholdRole');
+
+const HouseholdResponse = zod.object({
+  id: objectId,
+  name: zod.string(),
+  role: HouseholdRole,
+  createdAt: dateTime,
+  members: zod.array(zod.object({
+    userId: objectId,
+    role: HouseholdRole,
+    joinedAt: dateTime,
+    firstName: zod.string().nullable(),
+    lastName: zod.string().nullable(),
+    username: zod.string().nullable()
+  }))
+}).openapi('Household');
+
+const HouseholdInviteResponse = zod.object({
+  id: objectId,
+  email: zod.string().email(),
+  role: HouseholdRole,
+  invitedBy: objectId.optional(),
+  expiresAt: dateTime
+}).openapi('HouseholdInvite');
+
+const UserProfile = zod.object({
+  firstName: zod.string(),
+  lastName: zod.string(),
+  username: zod.string().email(),
+  emailVerified: zod.boolean().optional(),
+  deletionScheduledAt: dateTime.nullable().optional().openapi({ description: "When the account will be deleted, if deletion was requested" })
+}).openapi('UserProfile');
+
+const SessionResponse = zod.object({
+  id: objectId,
+  method: zod.string(),
+  userAgent: zod.string().nullable(),
+  ip: zod.string().nullable(),
+  createdAt: dateTime,
+  lastUsedAt: dateTime,
+  expiresAt: dateTime,
+  current: zod.boolean()
+}).openapi('Session');
+
+const AccessTokenResponse = zod.object({
+  id: objectId,
+  name: zod.string(),
+  prefix: zod.string().openapi({ description: 'First characters of the token, to tell tokens apart', example: 'pat_Xk3f9Q' }),
+  scopes: zod.array(zod.enum(ACCESS_TOKEN_SCOPES)),
+  expiresAt: dateTime.nullable(),
+  lastUsedAt: dateTime.nullable(),
+  createdAt: dateTime
+}).openapi('AccessToken');
+
+const CalendarFeed = zod.object({
+  enabled: zod.boolean(),
+  createdAt: dateTime.nullable().openapi({ description: 'When the current feed URL was issued' })
+}).openapi('CalendarFeed');
+
+const NotificationPreferences = zod.object({
+  email: zod.boolean(),
+  inApp: zod.boolean(),
+  webhook: zod.boolean(),
+  webhookUrl: zod.string().url().nullable(),
+  hasWebhookSecret: zod.boolean(),
+  reminderOffsets: zod.array(zod.number().int())
+}).openapi('NotificationPreferences');
+
+const NotificationResponse = zod.object({
+  _id: objectId,
+  userId: objectId,
+  type: zod.string(),
+  title: zod.string(),
+  message: zod.string(),
+  data: zod.record(zod.any()),
+  readAt: dateTime.nullable(),
+  createdAt: dateTime
+}).openapi('Notification');
+
+const StorageTotals = {
+  files: zod.number().int(),
+  originalBytes: zod.number().int(),
+  storedBytes: zod.number().int()
+};
+
+const StorageUsage = zod.object({
+  quota: StorageQuota,
+  ...StorageTotals,
+  byType: zod.record(zod.object(StorageTotals)),
+  byKind: zod.record(zod.object(StorageTotals)),
+  byAppliance: zod.array(zod.object({
+    applianceId: objectId,
+    name: zod.string(),
+    inTrash: zod.boolean(),
+    ...StorageTotals,
+    byKind: zod.record(zod.object(StorageTotals))
+  }))
+}).openapi('StorageUsage');
+
+module.exports = {
+  objectId,
+  ErrorResponse,
+  LimitedResponse,
+  QuotaExceededResponse,
+  MessageResponse,
+  messageResponse,
+  SessionTokens,
+  SignedUrl,
+  StoredFile,
+  Receipt,
+  ReceiptSearchResult,
+  ReceiptSuggestions,
+  ProductImageWithLinks,
+  Warranty,
+  MaintenanceSchedule,
+  ApplianceResponse,
+  ApplianceSummary,
+  ApplianceDetail,
+  ValuationReport,
+  ImportRowReport,
+  ExpiringAppliance,
+  AuditEntry,
+  ServiceRecordResponse,
+  ClaimResponse,
+  HouseholdResponse,
+  HouseholdInviteResponse,
+  UserProfile,
+  SessionResponse,
+  AccessTokenResponse,
+  CalendarFeed,
+  NotificationPreferences,
+  NotificationResponse,
+  StorageUsage
+};
@@ -0,0 +1,125 @@
+const { createMemoryStore } = require('./memoryStore');
+const { createMongoStore } = require('./mongoStore');
+const {
+  RATE_LIMIT_STORE,
+  LOGIN_LOCKOUT_THRESHOLD,
+  LOGIN_LOCKOUT_BASE_SECONDS,
+  LOGIN_LOCKOUT_MAX_SECONDS
+} = require('../config');
+const { logger } = require('../utils/logger');
+
+// Failed sign ins are forgotten after a day without another failure
+const LOGIN_FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// A store keeps, per key, a counter for the current window and an optional
+// lock: increment(key, windowMs), get(key), lockUntil(key, date), reset(key)
+const createStore = (driver = RATE_LIMIT_STORE) => {
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore();
+    case 'mongo':
+      return createMongoStore();
+    default:
+      throw new Error(`Unknown rate limit store: ${driver}`);
+  }
+};
+
+let store = null;
+
+const getStore = () => {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+};
+
+// Replace the store, e.g. with a fresh in-memory one when testing
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Normalises an email so "Bob@x.com " and "bob@x.com" share one counter
+const accountKey = (username) => (typeof username === 'string' ? username.trim().toLowerCase() : '');
+
+const sendLimited = (res, status, message, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(status).json({
+    message,
+    retryAfter
+  });
+};
+
+// Express middleware allowing `max` requests per `windowMs` for each value of
+// `key(req)`; requests the key function returns nothing for aren't counted.
+// If the store is unavailable requests are let through rather than locking
+// everyone out.
+const rateLimit = ({ name, max, windowMs, key = (req) => req.ip, message = "Too many requests, please try again later" }) => {
+  return async (req, res, next) => {
+    const id = key(req);
+    if (!id) {
+      return next();
+    }
+
+    let state;
+    try {
+      state = await getStore().increment(`${name}:${id}`, windowMs);
+    } catch (error) {
+      logger.error('Rate limiter unavailable', { limiter: name, err: error });
+      return next();
+    }
+
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - state.count)),
+      'RateLimit-Reset': String(secondsUntil(state.resetAt))
+    });
+    if (state.count > max) {
+      return sendLimited(res, 429, message, secondsUntil(state.resetAt));
+    }
+    next();
+  };
+};
+
+const loginKey = (username) => `login-failures:${accountKey(username)}`;
+
+// Seconds until a locked account may try again, or null when it isn't locked
+const getLoginLockout = async (username) => {
+  const state = await getStore().get(loginKey(username));
+  if (state && state.lockedUntil && state.lockedUntil > new Date()) {
+    return secondsUntil(state.lockedUntil);
+  }
+  return null;
+};
+
+// Counts a failed sign in. From the threshold on every failure locks the
+// account, each lock twice as long as the previous one up to the maximum.
+const recordLoginFailure = async (username) => {
+  const key = loginKey(username);
+  const { count } = await getStore().increment(key, LOGIN_FAILURE_WINDOW_MS);
+  if (count < LOGIN_LOCKOUT_THRESHOLD) {
+    return null;
+  }
+
+  const seconds = Math.min(
+    LOGIN_LOCKOUT_BASE_SECONDS * 2 ** (count - LOGIN_LOCKOUT_THRESHOLD),
+    LOGIN_LOCKOUT_MAX_SECONDS
+  );
+  await getStore().lockUntil(key, new Date(Date.now() + seconds * 1000));
+  return seconds;
+};
+
+const clearLoginFailures = (username) => getStore().reset(loginKey(username));
+
+module.exports = {
+  createStore,
+  getStore,
+  setStore,
+  accountKey,
+  sendLimited,
+  rateLimit,
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures
+};
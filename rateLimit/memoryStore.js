@@ -0,0 +1,67 @@
+// Keeps limiter state in process memory. Fine for a single instance; counters
+// are not shared between instances and reset on restart.
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const entries = new Map();
+
+  const isExpired = (entry, now) => entry.resetAt <= now && (!entry.lockedUntil || entry.lockedUntil <= now);
+
+  const sweep = () => {
+    const now = new Date();
+    entries.forEach((entry, key) => {
+      if (isExpired(entry, now)) entries.delete(key);
+    });
+  };
+  const timer = setInterval(sweep, sweepIntervalMs);
+  timer.unref();
+
+  const getEntry = (key, now) => {
+    const entry = entries.get(key);
+    if (entry && isExpired(entry, now)) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  return {
+    name: 'memory',
+
+    increment: async (key, windowMs) => {
+      const now = new Date();
+      let entry = getEntry(key, now);
+      if (!entry) {
+        entry = { count: 0, resetAt: new Date(now.getTime() + windowMs), lockedUntil: null };
+        entries.set(key, entry);
+      } else if (entry.resetAt <= now) {
+        // Window is over but a lock is still running: start a new window
+        entry.count = 0;
+        entry.resetAt = new Date(now.getTime() + windowMs);
+      }
+      entry.count++;
+      return { ...entry };
+    },
+
+    get: async (key) => {
+      const entry = getEntry(key, new Date());
+      return entry ? { ...entry } : null;
+    },
+
+    lockUntil: async (key, until) => {
+      const entry = getEntry(key, new Date()) || { count: 0, resetAt: new Date(0), lockedUntil: null };
+      if (!entry.lockedUntil || entry.lockedUntil < until) {
+        entry.lockedUntil = until;
+      }
+      entries.set(key, entry);
+    },
+
+    reset: async (key) => {
+      entries.delete(key);
+    },
+
+    close: () => clearInterval(timer)
+  };
+};
+
+module.exports = {
+  createMemoryStore
+};
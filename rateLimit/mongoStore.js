@@ -0,0 +1,80 @@
+const { RateLimit } = require('../db');
+
+const DUPLICATE_KEY = 11000;
+
+// Two instances upserting the same new key at once both try to insert it;
+// the loser retries and then finds the winner's document
+const withUpsertRetry = async (operation) => {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY) throw error;
+    return operation();
+  }
+};
+
+// Documents expire once both the counting window and any lock are over
+const EXPIRES_AT = { $set: { expiresAt: { $max: ['$resetAt', '$lockedUntil'] } } };
+
+const toState = (doc) => doc && {
+  count: doc.count,
+  resetAt: doc.resetAt,
+  lockedUntil: doc.lockedUntil || null
+};
+
+// Shares limiter state between every instance through MongoDB. Updates are
+// single atomic pipeline updates, so concurrent requests can't lose counts.
+const createMongoStore = () => ({
+  name: 'mongo',
+
+  increment: async (key, windowMs) => {
+    const now = new Date();
+    const inWindow = { $gt: ['$resetAt', now] };
+    const doc = await withUpsertRetry(() => RateLimit.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            count: { $cond: [inWindow, { $add: ['$count', 1] }, 1] },
+            resetAt: { $cond: [inWindow, '$resetAt', new Date(now.getTime() + windowMs)] }
+          }
+        },
+        EXPIRES_AT
+      ],
+      { upsert: true, new: true }
+    ).lean());
+    return toState(doc);
+  },
+
+  get: async (key) => {
+    const doc = await RateLimit.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    return toState(doc);
+  },
+
+  lockUntil: async (key, until) => {
+    await withUpsertRetry(() => RateLimit.updateOne(
+      { key },
+      [
+        {
+          $set: {
+            count: { $ifNull: ['$count', 0] },
+            resetAt: { $ifNull: ['$resetAt', new Date(0)] },
+            lockedUntil: { $max: ['$lockedUntil', until] }
+          }
+        },
+        EXPIRES_AT
+      ],
+      { upsert: true }
+    ));
+  },
+
+  reset: async (key) => {
+    await RateLimit.deleteOne({ key });
+  },
+
+  close: () => {}
+});
+
+module.exports = {
+  createMongoStore
+};
@@ -1,44 +1,171 @@
 const express = require("express");
-const multer = require("multer");
-const { Appliance } = require("../db");
-const { authMiddleware } = require("../authMiddleware");
-const { compressBuffer, decompressBuffer } = require("../utils/compression");
+const mongoose = require("mongoose");
+const archiver = require("archiver");
+const { Appliance, Claim } = require("../db");
+const { authMiddleware, requireScope } = require("../authMiddleware");
+const { removeFile } = require("../storage");
+const { describeWarranty, getDaysRemaining, parseWithinDays, DAY_MS } = require("../utils/warranty");
 const zod = require("zod");
-const jwt = require("jsonwebtoken");
+const { buildSignedUrl, verifyResource } = require("../utils/signedUrl");
+const { sendStoredFile } = require("../utils/download");
+const { accessibleApplianceFilter, findApplianceWithRole, hasRole } = require("../utils/access");
+const { applianceSchema, applyPricing, resolveHousehold, buildCoverage } = require("../utils/applianceInput");
+const { upload, fileSummary, receiptSummary, hasProductImage, storeUpload, fileResource, getBaseUrl } = require("../utils/applianceFiles");
+const { describeSchedule, getNextMaintenance } = require("../utils/maintenance");
+const { listQuerySchema, buildListQuery, encodeCursor } = require("../utils/applianceQuery");
+const { RENDITIONS, prepareRenditions, saveRenditions, imageFiles } = require("../utils/thumbnails");
+const { checkStorageQuota } = require("../utils/storageUsage");
+const { MAX_FILE_SIZE } = require("../utils/uploads");
+const { MAX_IMPORT_ROWS, importUpload, parseImportFile, prepareImport, runImport } = require("../utils/applianceImport");
+const { EXPORT_FORMATS, toImportRow, toCsv, toJson, writeZipExport } = require("../utils/applianceExport");
+const { openZip } = require("../utils/zip");
+const { receiptTextFields, suggestPurchaseFields, matchReceipt } = require("../utils/receiptText");
+const { getCurrentValue } = require("../utils/depreciation");
+const { loadExchangeRates, buildValuationReport } = require("../utils/valuation");
+const { auditQuerySchema, diffFields, recordAudit, listAuditEntries } = require("../utils/audit");
+const { getPurgeAt, purgeAppliance } = require("../utils/trash");
+const { TRASH_RETENTION_DAYS } = require("../config");
+const serviceRouter = require("./service");
+const { logger } = require("../utils/logger");
+const { describeRoutes, fileResponse } = require("../openapi/registry");
+const {
+  objectId,
+  MessageResponse,
+  messageResponse,
+  SignedUrl,
+  Receipt,
+  ProductImageWithLinks,
+  ApplianceResponse,
+  ApplianceSummary,
+  ApplianceDetail,
+  ImportRowReport,
+  ReceiptSearchResult,
+  ReceiptSuggestions,
+  ValuationReport,
+  ExpiringAppliance,
+  AuditEntry
+} = require("../openapi/schemas");
 
 const router = express.Router();
 
-const storage = multer.memoryStorage();
-const upload = multer({ 
-  storage,
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = ['image/jpeg', 'image/png', 'application/pdf'];
-    if (!allowedTypes.includes(file.mimetype)) {
-      return cb(new Error('only JPEG, PNG and PDF files are allowed'), false);
-    }
-    cb(null, true);
-  },
-  limits: {fileSize: 5 * 1024 * 1024},
+const api = describeRoutes("/appliance", "Appliances");
+
+const withWarranty = (appliance) => {
+  const result = {
+    ...appliance.toObject(),
+    warranty: describeWarranty(appliance)
+  };
+  result.productImage = hasProductImage(appliance.productImage) ? imageSummary(appliance.productImage) : null;
+  result.receipts = appliance.receipts.map(receiptSummary);
+  return result;
+};
+
+// Editable fields whose changes are recorded in the audit log
+const auditSnapshot = (appliance) => ({
+  name: appliance.name,
+  companyName: appliance.companyName,
+  modelNumber: appliance.modelNumber,
+  purchaseDate: appliance.purchaseDate,
+  warrantyMonths: appliance.warranty ? appliance.warranty.months : null,
+  category: appliance.category || null,
+  purchasePrice: appliance.purchasePrice ?? null,
+  replacementCost: appliance.replacementCost ?? null,
+  currency: appliance.currency || null,
+  coverage: (appliance.coverage || []).map(entry => ({
+    type: entry.type,
+    provider: entry.provider,
+    policyNumber: entry.policyNumber,
+    endDate: entry.endDate,
+    receiptId: entry.receiptId || null
+  })),
+  householdId: appliance.householdId || null
 });
 
-const applianceSchema = zod.object({
-  name: zod.string().min(1, "Name is required"),
-  companyName: zod.string().nullable().optional(),
-  modelNumber: zod.string().min(1, "Model number is required"),
-  purchaseDate: zod.string().refine((date) => !isNaN(Date.parse(date)), {
-    message: "Invalid date format"
-  })
+const auditAppliance = (req, appliance, action, fields = {}) => recordAudit(req, {
+  action,
+  targetType: 'appliance',
+  targetId: appliance._id,
+  ...fields
 });
 
-router.post("/add", authMiddleware, upload.fields([
+const IMAGE_SIZES = ['original', ...Object.keys(RENDITIONS)];
+
+// Stored file for an image size, falling back to the original for images
+// without renditions (e.g. ones that couldn't be decoded)
+const getImageFile = (productImage, size) => {
+  const rendition = size !== 'original' && productImage.renditions && productImage.renditions[size];
+  return rendition && rendition.key ? rendition : productImage;
+};
+
+const imageResource = (applianceId, productImage, size) => {
+  return fileResource(applianceId, size === 'original' ? 'image' : `image-${size}`, getImageFile(productImage, size));
+};
+
+const imageSummary = (productImage) => {
+  const { renditions, ...summary } = fileSummary(productImage);
+  return {
+    ...summary,
+    renditions: Object.fromEntries(Object.keys(RENDITIONS)
+      .filter(size => renditions && renditions[size] && renditions[size].key)
+      .map(size => [size, {
+        contentType: renditions[size].contentType,
+        width: renditions[size].width,
+        height: renditions[size].height,
+        fileSize: renditions[size].fileSize
+      }]))
+  };
+};
+
+// Signed URLs for the original image and each rendition
+const imageLinks = (req, appliance) => {
+  const links = {};
+  let expiresAt;
+  IMAGE_SIZES.forEach(size => {
+    const path = size === 'original' ? `/${appliance._id}/image` : `/${appliance._id}/image/${size}`;
+    const signed = buildSignedUrl(getBaseUrl(req), path, imageResource(appliance._id, appliance.productImage, size));
+    links[size === 'original' ? 'url' : `${size}Url`] = signed.url;
+    expiresAt = signed.expiresAt;
+  });
+  return { ...links, expiresAt };
+};
+
+// Null for appliances imported without a photo
+const imageWithLinks = (req, appliance) => {
+  if (!hasProductImage(appliance.productImage)) return null;
+  return {
+    ...imageSummary(appliance.productImage),
+    ...imageLinks(req, appliance)
+  };
+};
+
+api.post("/add", {
+  summary: "Add an appliance",
+  description: "`coverage` is sent as a JSON-encoded array. A coverage entry's `receiptId` may name " +
+    "the upload field (`originalReceipt` or `insuranceReceipt`) of a receipt uploaded with it.",
+  body: applianceSchema.extend({
+    originalReceiptType: zod.string().optional().openapi({ description: "Name for the original receipt" }),
+    insuranceReceiptType: zod.string().optional().openapi({ description: "Name for the insurance receipt" })
+  }),
+  files: {
+    productImage: { description: "Photo of the appliance, JPEG or PNG", required: true },
+    originalReceipt: { description: "Proof of purchase, JPEG, PNG or PDF", required: true },
+    insuranceReceipt: { description: "Insurance or extended warranty document" }
+  },
+  responses: {
+    200: messageResponse({ appliance: ApplianceResponse }),
+    403: "Missing or invalid access token, or not an editor of the household"
+  }
+});
+router.post("/add", authMiddleware, requireScope('appliances:write', 'receipts:upload'), upload.fields([
   { name: "productImage", maxCount: 1 },
   { name: "originalReceipt", maxCount: 1 },
   { name: "insuranceReceipt", maxCount: 1 },
 ]), async (req, res) => {
+  const storedFiles = [];
   try {
 
     if (!req.files || !req.files["originalReceipt"]) {
-      console.error('Missing original receipt');
+      logger.warn('Missing original receipt');
       return res.status(400).json({
         message: "Original receipt is required"
       });
@@ -52,7 +179,7 @@ router.post("/add", authMiddleware, upload.fields([
         throw new Error('Invalid date');
       }
     } catch (error) {
-      console.error('Date parsing error:', error, 'Input date:', req.body.purchaseDate);
+      logger.warn('Date parsing error', { purchaseDate: req.body.purchaseDate, err: error });
       return res.status(400).json({
         message: "Invalid date format",
         details: `Unable to parse date: ${req.body.purchaseDate}`
@@ -64,7 +191,7 @@ router.post("/add", authMiddleware, upload.fields([
       purchaseDate: purchaseDate.toISOString()
     });
     if (!success) {
-      console.error('Validation errors:', error.errors);
+      logger.warn('Validation errors', { errors: error.errors });
       return res.status(400).json({
         message: "Invalid input data",
         errors: error.errors,
@@ -72,63 +199,93 @@ router.post("/add", authMiddleware, upload.fields([
     }
 
     if (!req.files["productImage"]) {
-      console.error('Missing product image');
+      logger.warn('Missing product image');
       return res.status(400).json({
         message: "Product image is required"
       });
     }
 
+    // Reuses the image decoded when the upload was checked
     const productImage = req.files["productImage"][0];
-    const compressedProductImage = await compressBuffer(productImage.buffer);
-    const productImageData = {
-      data: compressedProductImage.toString('base64'),
-      contentType: productImage.mimetype,
-      fileName: productImage.originalname,
-      fileSize: productImage.size
+    const renditions = await prepareRenditions(productImage.buffer, productImage.mimetype, { source: productImage.image });
+
+    const quotaError = await checkStorageQuota(req.userId, [...Object.values(req.files).flat(), ...Object.values(renditions)]);
+    if (quotaError) {
+      return res.status(quotaError.status).json({
+        message: quotaError.message,
+        quota: quotaError.quota
+      });
+    }
+
+    const householdId = await resolveHousehold(data.householdId, req.userId);
+
+    const appliance = new Appliance({
+      userId: req.userId,
+      householdId,
+      name: data.name,
+      modelNumber: data.modelNumber,
+      companyName: data.companyName,
+      purchaseDate: new Date(data.purchaseDate),
+      warranty: { months: data.warrantyMonths ?? null }
+    });
+    applyPricing(appliance, data);
+
+    const store = async (file) => {
+      const stored = await storeUpload(file, appliance._id);
+      storedFiles.push(stored);
+      return stored;
     };
 
+    const productImageData = await store(productImage);
+    productImageData.renditions = await saveRenditions(renditions, appliance._id, productImage.originalname);
+    storedFiles.push(...Object.values(productImageData.renditions));
+
     const originalReceipt = req.files["originalReceipt"][0];
-    const compressedOriginalReceipt = await compressBuffer(originalReceipt.buffer);
     const originalReceiptData = {
       name: req.body.originalReceiptType || "Original Receipt",
-      data: compressedOriginalReceipt.toString('base64'),
-      contentType: originalReceipt.mimetype,
-      fileName: originalReceipt.originalname,
-      fileSize: originalReceipt.size
+      ...await store(originalReceipt),
+      ...await receiptTextFields(originalReceipt)
     };
 
     let insuranceReceiptData;
     if (req.files["insuranceReceipt"]) {
       const insuranceReceipt = req.files["insuranceReceipt"][0];
-      const compressedInsuranceReceipt = await compressBuffer(insuranceReceipt.buffer);
       insuranceReceiptData = {
         name: req.body.insuranceReceiptType || "Insurance Receipt",
-        data: compressedInsuranceReceipt.toString('base64'),
-        contentType: insuranceReceipt.mimetype,
-        fileName: insuranceReceipt.originalname,
-        fileSize: insuranceReceipt.size
+        ...await store(insuranceReceipt),
+        ...await receiptTextFields(insuranceReceipt)
       };
     }
 
-    const appliance = await Appliance.create({
-      userId: req.userId,
-      name: data.name,
-      modelNumber: data.modelNumber,
-      companyName: data.companyName,
-      purchaseDate: new Date(data.purchaseDate),
-      productImage: productImageData,
-      receipts: [
-        originalReceiptData,
-        ...(insuranceReceiptData ? [insuranceReceiptData] : [])
-      ]
+    appliance.productImage = productImageData;
+    appliance.receipts = [
+      originalReceiptData,
+      ...(insuranceReceiptData ? [insuranceReceiptData] : [])
+    ];
+
+    if (data.coverage) {
+      appliance.coverage = buildCoverage(data.coverage, appliance.receipts, {
+        originalReceipt: appliance.receipts[0],
+        ...(insuranceReceiptData ? { insuranceReceipt: appliance.receipts[1] } : {})
+      });
+    }
+
+    await appliance.save();
+    await auditAppliance(req, appliance, 'appliance.create', {
+      details: { name: appliance.name, receipts: appliance.receipts.length }
     });
 
     res.json({
       message: "Appliance added successfully!",
-      appliance,
+      appliance: withWarranty(appliance),
     });
   } catch (error) {
-    console.error('Error in add appliance route:', error);
+    // Don't leave orphaned blobs behind when the appliance wasn't saved
+    await Promise.all(storedFiles.map(file => removeFile(file).catch(() => {})));
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    logger.error('Error in add appliance route', { err: error });
     res.status(500).json({
       message: "Error adding appliance",
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
@@ -136,232 +293,1411 @@ router.post("/add", authMiddleware, upload.fields([
   }
 });
 
-router.get("/get", authMiddleware, async (req, res) => {
-  const filter = req.query.filter || "";
-
-  const appliances = await Appliance.find({
-    userId: req.userId,
-    $or: [{
-      name: {
-        "$regex": filter,
-        "$options": "i"
-      }
-    }]
-  })
-
-  const decompressedAppliances = await Promise.all(appliances.map(async appliance => {
-    try {
-      const decompressedImageData = Buffer.from(appliance.productImage.data, 'base64');
-      const decompressedImage = await decompressBuffer(decompressedImageData);
-      return {
-        name: appliance.name,
-        id: appliance._id,
-        companyName: appliance.companyName,
-        productImage: {
-          ...appliance.productImage,
-          data: decompressedImage.toString('base64')
-        }
-      };
-    } catch (error) {
-      console.error(`Error processing image for appliance ${appliance._id}:`, error);
-      // Return the appliance with the original image data if decompression fails
-      return {
-        name: appliance.name,
-        id: appliance._id,
-        companyName: appliance.companyName,
-        productImage: appliance.productImage
-      };
-    }
-  }));
+// Fields needed to build list summaries; file payloads are never loaded here
+const SUMMARY_FIELDS = [
+  'userId', 'householdId', 'name', 'companyName', 'modelNumber', 'purchaseDate', 'category',
+  'warranty', 'coverage', 'warrantyExpiresAt', 'maintenanceSchedules', 'receipts._id',
+  'productImage.key', 'productImage.contentType', 'productImage.fileName', 'productImage.fileSize',
+  'productImage.renditions'
+].join(' ');
 
-  res.json({
-    appliance: decompressedAppliances
-  })
-})
+const applianceSummary = (appliance, req) => {
+  const warranty = describeWarranty(appliance);
+  return {
+    id: appliance._id,
+    name: appliance.name,
+    companyName: appliance.companyName,
+    modelNumber: appliance.modelNumber,
+    purchaseDate: appliance.purchaseDate,
+    category: appliance.category || null,
+    householdId: appliance.householdId,
+    warranty: warranty.overall,
+    nextMaintenance: getNextMaintenance(appliance),
+    receiptCount: appliance.receipts.length,
+    productImage: imageWithLinks(req, appliance)
+  };
+};
 
-router.put("/:id", authMiddleware, async (req, res) => {
+api.get("/get", {
+  summary: "List appliances",
+  description: "Search, filter and sort the appliances the user can see, a page at a time. " +
+    "`q` is a full-text search that matches whole words; the older `filter` matches part of the name, " +
+    "e.g. `fri` for \"Fridge\". Pass `nextCursor` as `cursor` for the next page.",
+  query: listQuerySchema,
+  responses: {
+    200: zod.object({
+      appliance: zod.array(ApplianceSummary),
+      nextCursor: zod.string().nullable(),
+      hasMore: zod.boolean()
+    })
+  }
+});
+router.get("/get", authMiddleware, requireScope('appliances:read'), async (req, res) => {
   try {
-    const { success, data, error } = applianceSchema.safeParse(req.body);
+    const { success, data, error } = listQuerySchema.safeParse(req.query);
     if (!success) {
       return res.status(400).json({
-        message: "Invalid input data",
-        errors: error.errors,
+        message: "Invalid query parameters",
+        errors: error.errors
       });
     }
 
-    const updatedAppliance = await Appliance.findByIdAndUpdate(
-      req.params.id,
-      {
-        ...data,
-        companyName: data.companyName || null
-      },
-      { new: true, runValidators: true }
-    );
-
-    if (!updatedAppliance) {
-      return res.status(404).json({
-        message: "Appliance not found",
+    const query = buildListQuery(data, await accessibleApplianceFilter(req.userId));
+    if (query.error) {
+      return res.status(400).json({
+        message: query.error
       });
     }
 
+    // Fetch one extra item to know whether another page exists
+    const find = Appliance.find(query.filter)
+      .select(SUMMARY_FIELDS)
+      .sort(query.sort)
+      .limit(query.limit + 1)
+      .lean();
+    if (query.collation) {
+      find.collation(query.collation);
+    }
+    const appliances = await find;
+
+    const hasMore = appliances.length > query.limit;
+    const page = hasMore ? appliances.slice(0, query.limit) : appliances;
+
     res.json({
-      message: "Appliance updated successfully!",
-      appliance: updatedAppliance,
+      appliance: page.map(appliance => applianceSummary(appliance, req)),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], data.sort) : null,
+      hasMore
     });
   } catch (error) {
+    logger.error('Error listing appliances', { err: error });
     res.status(500).json({
-      message: "Error fetching appliance",
-      error: error.message,
+      message: "Error fetching appliances",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
-router.get("/:id", authMiddleware, async (req, res) => {
+api.get("/expiring", {
+  summary: "List appliances with a warranty or coverage expiring soon",
+  query: zod.object({
+    within: zod.string().optional().openapi({ description: "Duration such as 30d, 2w or 3m, or a number of days", example: "30d" })
+  }),
+  responses: {
+    200: zod.object({
+      within: zod.number().int().openapi({ description: "Window in days" }),
+      appliances: zod.array(ExpiringAppliance)
+    })
+  }
+});
+router.get("/expiring", authMiddleware, requireScope('appliances:read'), async (req, res) => {
   try {
-    const appliance = await Appliance.findById(req.params.id);
-
-    if (!appliance) {
-      return res.status(404).json({
-        message: "Appliance not found"
+    const withinDays = parseWithinDays(req.query.within);
+    if (withinDays === null) {
+      return res.status(400).json({
+        message: "Invalid 'within' value, expected a duration such as 30d, 2w or 3m"
       });
     }
 
-    const decompressedImageData = Buffer.from(appliance.productImage.data, 'base64');
-    const decompressedImage = await decompressBuffer(decompressedImageData);
+    const now = new Date();
+    const until = new Date(now.getTime() + withinDays * DAY_MS);
+    const inWindow = { $gte: now, $lte: until };
 
-    res.json({
-      appliance: {
-        _id: appliance._id,
+    const appliances = await Appliance.find({
+      $and: [
+        await accessibleApplianceFilter(req.userId),
+        {
+          $or: [
+            { 'warranty.expiresAt': inWindow },
+            { 'coverage.endDate': inWindow }
+          ]
+        }
+      ]
+    }).select('-productImage -receipts.data');
+
+    const isInWindow = (date) => date && date >= now && date <= until;
+
+    const expiring = appliances.map(appliance => {
+      const items = [];
+      if (isInWindow(appliance.warranty.expiresAt)) {
+        items.push({ type: 'manufacturer', expiresAt: appliance.warranty.expiresAt });
+      }
+      appliance.coverage.forEach(entry => {
+        if (isInWindow(entry.endDate)) {
+          items.push({ type: entry.type, coverageId: entry._id, provider: entry.provider, expiresAt: entry.endDate });
+        }
+      });
+      items.forEach(item => { item.daysRemaining = getDaysRemaining(item.expiresAt, now); });
+      items.sort((a, b) => a.expiresAt - b.expiresAt);
+
+      return {
+        id: appliance._id,
         name: appliance.name,
+        companyName: appliance.companyName,
         modelNumber: appliance.modelNumber,
-        purchaseDate: appliance.purchaseDate,
-        companyName: appliance.companyName || null,
-        productImage: {
-          ...appliance.productImage,
-          data: decompressedImage.toString('base64')
-        },
-        receipts: appliance.receipts
-      }
+        warranty: describeWarranty(appliance, now),
+        expiring: items
+      };
+    }).sort((a, b) => a.expiring[0].expiresAt - b.expiring[0].expiresAt);
+
+    res.json({
+      within: withinDays,
+      appliances: expiring
     });
   } catch (error) {
+    logger.error('Error fetching expiring appliances', { err: error });
     res.status(500).json({
-      message: "Error fetching appliance",
+      message: "Error fetching expiring appliances",
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
-router.delete("/:id", authMiddleware, async (req, res) => {
+api.get("/trash", {
+  summary: "List deleted appliances",
+  description: "Deleted appliances are purged for good after the retention period.",
+  responses: {
+    200: zod.object({
+      retentionDays: zod.number().int(),
+      appliances: zod.array(ApplianceSummary.extend({
+        deletedAt: zod.string().datetime(),
+        purgeAt: zod.string().datetime()
+      }))
+    })
+  }
+});
+router.get("/trash", authMiddleware, requireScope('appliances:read'), async (req, res) => {
   try {
-    const appliance = await Appliance.findOne({
-      _id: req.params.id,
-      userId: req.userId
+    const appliances = await Appliance.find(await accessibleApplianceFilter(req.userId, { trashed: true }))
+      .select(`${SUMMARY_FIELDS} deletedAt`)
+      .sort({ deletedAt: -1 })
+      .lean();
+
+    res.json({
+      retentionDays: TRASH_RETENTION_DAYS,
+      appliances: appliances.map(appliance => ({
+        ...applianceSummary(appliance, req),
+        deletedAt: appliance.deletedAt,
+        purgeAt: getPurgeAt(appliance)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching trash",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  }
+});
 
-    if (!appliance) {
-      return res.status(404).json({
-        message: "Appliance not found or unauthorized"
+const importQuerySchema = zod.object({
+  dryRun: zod.enum(["true", "false"]).optional().openapi({ description: "Only validate, report every row and create nothing" })
+});
+
+api.post("/import", {
+  summary: "Import appliances in bulk",
+  description: `Takes a CSV (with a header row) or JSON array of up to ${MAX_IMPORT_ROWS} appliances with the fields of ` +
+    "`POST /add`: `name`, `companyName`, `modelNumber`, `purchaseDate`, `warrantyMonths`, `coverage` (a JSON-encoded " +
+    "array in CSV) and `householdId`. Photos and receipts come in the optional `attachments` ZIP: a row names them by " +
+    "their path in it with `productImage` and `receipts` (semicolon separated in CSV, paths or `{ name, file }` in JSON), " +
+    "and a coverage entry's `receiptId` may name one of those receipt paths. Imports are all or nothing: when any row " +
+    "has errors nothing is created and every row's errors are reported. `appliances.json` from the ZIP export imports " +
+    "with that archive as `attachments`.",
+  query: importQuerySchema,
+  files: {
+    file: { description: "CSV or JSON file of appliances", required: true },
+    attachments: { description: "ZIP archive with the photos and receipts the rows name" }
+  },
+  responses: {
+    200: zod.object({
+      message: zod.string(),
+      dryRun: zod.boolean(),
+      total: zod.number().int(),
+      invalid: zod.number().int(),
+      rows: zod.array(ImportRowReport)
+    }).openapi({ description: "Dry run report" }),
+    201: messageResponse({
+      imported: zod.number().int(),
+      appliances: zod.array(zod.object({ row: zod.number().int(), id: objectId, name: zod.string() }))
+    }),
+    400: "Unreadable file, too many rows, or rows with errors (reported per row)",
+    413: "Upload too large, an attachment over 5MB, or not enough storage quota left"
+  }
+});
+router.post("/import", authMiddleware, requireScope('appliances:write', 'receipts:upload'), importUpload.fields([
+  { name: "file", maxCount: 1 },
+  { name: "attachments", maxCount: 1 }
+]), async (req, res) => {
+  let zip = null;
+  try {
+    const { success, data: query, error } = importQuerySchema.safeParse(req.query);
+    if (!success) {
+      return res.status(400).json({
+        message: "Invalid query parameters",
+        errors: error.errors
       });
     }
+    const dryRun = query.dryRun === 'true';
 
-    await Appliance.findByIdAndDelete(req.params.id);
+    const source = req.files && req.files["file"] && req.files["file"][0];
+    if (!source) {
+      return res.status(400).json({
+        message: "A CSV or JSON file of appliances is required"
+      });
+    }
 
-    res.json({
-      message: "Appliance deleted successfully"
+    const rows = parseImportFile(source);
+    if (!rows.length) {
+      return res.status(400).json({
+        message: "The file has no appliances"
+      });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        message: `At most ${MAX_IMPORT_ROWS} appliances can be imported at once, the file has ${rows.length}`
+      });
+    }
+
+    if (req.files["attachments"]) {
+      zip = await openZip(req.files["attachments"][0].buffer, { maxEntrySize: MAX_FILE_SIZE });
+    }
+
+    const prepared = await prepareImport(rows, { userId: req.userId, zip });
+    const report = prepared.map(({ row, line, name, errors }) => ({ row, line, name, errors }));
+    const invalid = report.filter(row => row.errors.length).length;
+
+    if (invalid) {
+      return res.status(dryRun ? 200 : 400).json({
+        message: `${invalid} of ${rows.length} rows have errors${dryRun ? '' : ', nothing was imported'}`,
+        dryRun,
+        total: rows.length,
+        invalid,
+        rows: report
+      });
+    }
+
+    const quotaError = await checkStorageQuota(req.userId, [{ size: prepared.reduce((sum, { plan }) => sum + plan.bytes, 0) }]);
+    if (quotaError) {
+      return res.status(quotaError.status).json({
+        message: quotaError.message,
+        quota: quotaError.quota
+      });
+    }
+
+    if (dryRun) {
+      return res.json({
+        message: `All ${rows.length} rows are valid`,
+        dryRun,
+        total: rows.length,
+        invalid: 0,
+        rows: report
+      });
+    }
+
+    const created = await runImport(prepared, { userId: req.userId });
+    for (const { appliance } of created) {
+      await auditAppliance(req, appliance, 'appliance.create', {
+        details: { name: appliance.name, receipts: appliance.receipts.length, source: 'import' }
+      });
+    }
+
+    res.status(201).json({
+      message: `Imported ${created.length} appliances`,
+      imported: created.length,
+      appliances: created.map(({ row, appliance }) => ({ row, id: appliance._id, name: appliance.name }))
     });
   } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    logger.error('Error importing appliances', { err: error });
     res.status(500).json({
-      message: "Error deleting appliance",
+      message: "Error importing appliances",
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  } finally {
+    if (zip) {
+      zip.close();
+    }
   }
 });
 
-router.put("/:id/receipt", authMiddleware, upload.single("originalReceipt"), async (req, res) => {
+api.get("/export", {
+  summary: "Export appliances",
+  description: "Every appliance the user can see, outside the trash. `csv` and `json` carry the fields `POST /import` " +
+    "reads; `zip` adds each product image and current receipt, with `appliances.json` and `appliances.csv` " +
+    "pointing at them, and imports again as the `attachments` of its own `appliances.json`.",
+  query: zod.object({
+    format: zod.enum(EXPORT_FORMATS).default("csv")
+  }),
+  responses: {
+    200: fileResponse("The exported appliances", ["text/csv", "application/json", "application/zip"])
+  }
+});
+router.get("/export", authMiddleware, requireScope('appliances:read'), async (req, res) => {
+  let archive;
   try {
-    const appliance = await Appliance.findOne({
-      _id: req.params.id,
-      userId: req.userId
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        message: `Invalid format, expected one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const appliances = await Appliance.find(await accessibleApplianceFilter(req.userId))
+      .select(format === 'zip' ? '-receipts.versions' : '-productImage -receipts')
+      .sort({ purchaseDate: 1, _id: 1 });
+
+    const fileName = `appliances-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (format === 'csv') {
+      res.type('text/csv');
+      return res.send(toCsv(appliances.map(appliance => toImportRow(appliance))));
+    }
+    if (format === 'json') {
+      res.type('application/json');
+      return res.send(toJson(appliances.map(appliance => toImportRow(appliance))));
+    }
+
+    archive = archiver('zip', { zlib: { level: 6 } });
+    res.type('application/zip');
+    archive.pipe(res);
+    await writeZipExport(archive, appliances);
+  } catch (error) {
+    logger.error('Error exporting appliances', { err: error });
+    // A ZIP that has started streaming can only be cut off
+    if (res.headersSent) {
+      archive.abort();
+      return res.destroy(error);
+    }
+    res.removeHeader('Content-Type');
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({
+      message: "Error exporting appliances",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  }
+});
 
-    if (!appliance) {
-      return res.status(404).json({
-        message: "Appliance not found or unauthorized"
+// Also the number of appliances whose receipts are searched
+const MAX_RECEIPT_SEARCH_RESULTS = 50;
+
+const receiptSearchQuery = zod.object({
+  q: zod.string().trim().min(1, "Search text is required").max(200),
+  limit: zod.coerce.number().int().min(1).max(MAX_RECEIPT_SEARCH_RESULTS).default(20)
+});
+
+api.get("/receipts/search", {
+  summary: "Search receipts",
+  description: "Finds receipts by name and by the text of PDF receipts, e.g. `q=\"extended care\"`. " +
+    "Words match any form of the word; quote phrases to require them, prefix a word with `-` to exclude it. " +
+    "Best matches come first, each with a snippet of the text around the match.",
+  query: receiptSearchQuery,
+  responses: {
+    200: zod.object({ results: zod.array(ReceiptSearchResult) })
+  }
+});
+router.get("/receipts/search", authMiddleware, requireScope('appliances:read'), async (req, res) => {
+  try {
+    const { success, data, error } = receiptSearchQuery.safeParse(req.query);
+    if (!success) {
+      return res.status(400).json({
+        message: "Invalid search",
+        errors: error.errors
       });
     }
 
+    // The text index narrows things down to appliances; which of their
+    // receipts matched is worked out here
+    const appliances = await Appliance.find({
+      ...await accessibleApplianceFilter(req.userId),
+      $text: { $search: data.q }
+    })
+      .select({
+        score: { $meta: 'textScore' },
+        name: 1,
+        'receipts._id': 1,
+        'receipts.name': 1,
+        'receipts.fileName': 1,
+        'receipts.contentType': 1,
+        'receipts.createdAt': 1,
+        'receipts.text': 1
+      })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(MAX_RECEIPT_SEARCH_RESULTS)
+      .lean();
+
+    const results = appliances
+      .flatMap(appliance => appliance.receipts.map(receipt => ({ appliance, receipt, match: matchReceipt(receipt, data.q) })))
+      .filter(({ match }) => match)
+      .sort((a, b) => b.match.score - a.match.score)
+      .slice(0, data.limit);
+
+    res.json({
+      results: results.map(({ appliance, receipt, match }) => ({
+        applianceId: appliance._id,
+        applianceName: appliance.name,
+        receiptId: receipt._id,
+        name: receipt.name,
+        fileName: receipt.fileName,
+        contentType: receipt.contentType,
+        createdAt: receipt.createdAt,
+        snippet: match.snippet
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error searching receipts",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.post("/receipt/suggestions", {
+  summary: "Suggest appliance fields from a receipt",
+  description: "Reads the text of a PDF receipt and suggests the purchase date, total, retailer and model number " +
+    "to pre-fill `POST /add`. Nothing is stored. Photos and scanned PDFs have no text to read, so `hasText` is " +
+    "false and every suggestion null; so is any field the text gives no clear answer for.",
+  files: {
+    receipt: { description: "Receipt, JPEG, PNG or PDF", required: true }
+  },
+  responses: {
+    200: zod.object({ hasText: zod.boolean(), suggestions: ReceiptSuggestions })
+  }
+});
+router.post("/receipt/suggestions", authMiddleware, requireScope('receipts:upload'), upload.single("receipt"), async (req, res) => {
+  try {
     if (!req.file) {
       return res.status(400).json({
         message: "Receipt file is required"
       });
     }
 
-    const receiptData = {
-      name: req.body.name || "Additional Receipt",
-      data: req.file.buffer.toString('base64'),
-      contentType: req.file.mimetype,
-      fileName: req.file.originalname,
-      fileSize: req.file.size
-    };
-
-    appliance.receipts.push(receiptData);
-    await appliance.save();
+    const { text } = await receiptTextFields(req.file);
 
     res.json({
-      message: "Receipt added successfully",
-      appliance
+      hasText: Boolean(text),
+      suggestions: suggestPurchaseFields(text)
     });
   } catch (error) {
-    console.error('Error adding receipt:', error);
+    logger.error('Error suggesting appliance fields', { err: error });
     res.status(500).json({
-      message: "Error adding receipt",
+      message: "Error reading receipt",
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
-router.get("/:id/receipt/:receiptId", async (req, res) => {
+const valuationQuery = zod.object({
+  currency: zod.string().trim().toUpperCase().regex(/^[A-Z]{3}$/, "Currency must be a three-letter ISO 4217 code").optional()
+});
+
+api.get("/valuation", {
+  summary: "Value the appliances for insurance",
+  description: "Estimates what every appliance the user can see, outside the trash, is worth today by depreciating " +
+    "its purchase price with the rule for its category (straight-line or declining balance), and totals purchase " +
+    "prices, current values and replacement costs by category. Replacement totals count an appliance without a " +
+    "replacement cost at its purchase price. Amounts are converted to `currency` (by default the one most " +
+    "appliances use) with the server's exchange rate table; appliances it has no rate for are listed in " +
+    "`unconverted` and those without a price in `unpriced`, and neither counts towards the totals.",
+  query: valuationQuery,
+  responses: {
+    200: ValuationReport
+  }
+});
+router.get("/valuation", authMiddleware, requireScope('appliances:read'), async (req, res) => {
   try {
-    const token = req.query.token;
-    if (!token) {
-      return res.status(401).json({ message: "No token provided" });
+    const { success, data, error } = valuationQuery.safeParse(req.query);
+    if (!success) {
+      return res.status(400).json({
+        message: "Invalid input data",
+        errors: error.errors
+      });
     }
 
-    // Verify the token and get userId
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const userId = decoded.userId;
+    const appliances = await Appliance.find(await accessibleApplianceFilter(req.userId))
+      .select('name modelNumber purchaseDate category purchasePrice replacementCost currency')
+      .sort({ purchaseDate: 1, _id: 1 })
+      .lean();
 
-    const appliance = await Appliance.findOne({
-      _id: req.params.id,
-      userId: userId
+    res.json(buildValuationReport(appliances, {
+      currency: data.currency,
+      rates: await loadExchangeRates()
+    }));
+  } catch (error) {
+    logger.error('Error building valuation report', { err: error });
+    res.status(500).json({
+      message: "Error building valuation report",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  }
+});
 
-    if (!appliance) {
-      return res.status(404).json({
-        message: "Appliance not found or unauthorized"
+api.put("/:id", {
+  summary: "Update an appliance",
+  description: "Requires the editor role; moving the appliance to another household requires the owner role.",
+  body: applianceSchema,
+  responses: {
+    200: messageResponse({ appliance: ApplianceResponse }),
+    403: "Missing or invalid access token, or the role is insufficient",
+    404: "Appliance not found"
+  }
+});
+router.put("/:id", authMiddleware, requireScope('appliances:write'), async (req, res) => {
+  try {
+    const { success, data, error } = applianceSchema.safeParse(req.body);
+    if (!success) {
+      return res.status(400).json({
+        message: "Invalid input data",
+        errors: error.errors,
       });
     }
 
-    const receipt = appliance.receipts.find(r => r._id.toString() === req.params.receiptId);
+    const { appliance: updatedAppliance, role, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'editor');
 
-    if (!receipt) {
-      return res.status(404).json({
-        message: "Receipt not found"
+    if (!updatedAppliance) {
+      return res.status(status).json({
+        message,
       });
     }
 
-    res.setHeader('Content-Type', receipt.contentType);
-    res.setHeader('Content-Disposition', `inline; filename="${receipt.fileName || 'receipt'}"`); 
-    const compressedBuffer = Buffer.from(receipt.data, 'base64');
-    const decompressedBuffer = await decompressBuffer(compressedBuffer);
-    res.send(decompressedBuffer);
+    const before = auditSnapshot(updatedAppliance);
+    updatedAppliance.set({
+      name: data.name,
+      modelNumber: data.modelNumber,
+      purchaseDate: new Date(data.purchaseDate),
+      companyName: data.companyName || null
+    });
+    if (data.warrantyMonths !== undefined) {
+      updatedAppliance.set('warranty.months', data.warrantyMonths);
+    }
+    applyPricing(updatedAppliance, data);
+    if (data.coverage) {
+      updatedAppliance.coverage = buildCoverage(data.coverage, updatedAppliance.receipts);
+    }
+    if (data.householdId !== undefined && String(data.householdId) !== String(updatedAppliance.householdId)) {
+      // Moving an appliance between households changes who can see it
+      if (!hasRole(role, 'owner')) {
+        return res.status(403).json({
+          message: "Changing the household requires the owner role"
+        });
+      }
+      updatedAppliance.householdId = await resolveHousehold(data.householdId, req.userId);
+    }
+
+    // save() rather than findByIdAndUpdate so the warranty expiry hooks run
+    await updatedAppliance.save();
+
+    const changes = diffFields(before, auditSnapshot(updatedAppliance));
+    if (changes.length) {
+      await auditAppliance(req, updatedAppliance, 'appliance.update', { changes });
+    }
+
+    res.json({
+      message: "Appliance updated successfully!",
+      appliance: withWarranty(updatedAppliance),
+    });
   } catch (error) {
-    console.error('Error fetching receipt:', error);
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({
-      message: "Error fetching receipt",
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      message: "Error fetching appliance",
+      error: error.message,
     });
   }
 });
 
+api.get("/:id", {
+  summary: "Get an appliance",
+  responses: {
+    200: zod.object({ appliance: ApplianceDetail }),
+    404: "Appliance not found"
+  }
+});
+router.get("/:id", authMiddleware, requireScope('appliances:read'), async (req, res) => {
+  try {
+    const { appliance, role, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'viewer');
+
+    if (!appliance) {
+      return res.status(status).json({
+        message
+      });
+    }
+
+    res.json({
+      appliance: {
+        _id: appliance._id,
+        householdId: appliance.householdId,
+        role,
+        name: appliance.name,
+        modelNumber: appliance.modelNumber,
+        purchaseDate: appliance.purchaseDate,
+        companyName: appliance.companyName || null,
+        category: appliance.category || null,
+        purchasePrice: appliance.purchasePrice ?? null,
+        replacementCost: appliance.replacementCost ?? null,
+        currency: appliance.currency || null,
+        currentValue: getCurrentValue(appliance),
+        warranty: describeWarranty(appliance),
+        maintenance: appliance.maintenanceSchedules.map(schedule => describeSchedule(schedule)),
+        nextMaintenance: getNextMaintenance(appliance),
+        productImage: imageWithLinks(req, appliance),
+        receipts: appliance.receipts.map(receiptSummary)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching appliance",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Audit trail of changes to the appliance, newest first
+api.get("/:id/history", {
+  summary: "List changes to an appliance, newest first",
+  description: "`request` is only included on the caller's own entries; it is null on changes made by other household members.",
+  query: auditQuerySchema,
+  responses: {
+    200: zod.object({
+      history: zod.array(AuditEntry),
+      nextCursor: objectId.nullable()
+    }),
+    404: "Appliance not found"
+  }
+});
+router.get("/:id/history", authMiddleware, requireScope('appliances:read'), async (req, res) => {
+  try {
+    const { success, data, error } = auditQuerySchema.safeParse(req.query);
+    if (!success) {
+      return res.status(400).json({
+        message: "Invalid query parameters",
+        errors: error.errors
+      });
+    }
+
+    const { appliance, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'viewer', '_id');
+
+    if (!appliance) {
+      return res.status(status).json({
+        message
+      });
+    }
+
+    const { entries, nextCursor } = await listAuditEntries(
+      { targetType: 'appliance', targetId: appliance._id },
+      { ...data, viewerId: req.userId }
+    );
+
+    res.json({
+      history: entries,
+      nextCursor
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching appliance history",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.delete("/:id", {
+  summary: "Move an appliance to the trash",
+  description: "Requires the owner role. The appliance can be restored until `purgeAt`.",
+  responses: {
+    200: messageResponse({
+      deletedAt: zod.string().datetime(),
+      purgeAt: zod.string().datetime()
+    }),
+    403: "Missing or invalid access token, or not the owner",
+    404: "Appliance not found"
+  }
+});
+router.delete("/:id", authMiddleware, requireScope('appliances:write'), async (req, res) => {
+  try {
+    const { appliance, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'owner');
+
+    if (!appliance) {
+      return res.status(status).json({
+        message
+      });
+    }
+
+    // Deleting only moves the appliance to the trash, receipts are proof of
+    // purchase and shouldn't be lost to a misclick
+    appliance.deletedAt = new Date();
+    appliance.deletedBy = req.userId;
+    await appliance.save();
+    await auditAppliance(req, appliance, 'appliance.delete', {
+      details: { name: appliance.name }
+    });
+
+    res.json({
+      message: "Appliance moved to trash",
+      deletedAt: appliance.deletedAt,
+      purgeAt: getPurgeAt(appliance)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error deleting appliance",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.post("/:id/restore", {
+  summary: "Restore an appliance from the trash",
+  responses: {
+    200: messageResponse({ appliance: ApplianceResponse }),
+    403: "Missing or invalid access token, or not the owner",
+    404: "Appliance not found in the trash"
+  }
+});
+router.post("/:id/restore", authMiddleware, requireScope('appliances:write'), async (req, res) => {
+  try {
+    const { appliance, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'owner', null, { trashed: true });
+
+    if (!appliance) {
+      return res.status(status).json({
+        message
+      });
+    }
+
+    appliance.deletedAt = null;
+    appliance.deletedBy = null;
+    await appliance.save();
+    await auditAppliance(req, appliance, 'appliance.restore', {
+      details: { name: appliance.name }
+    });
+
+    res.json({
+      message: "Appliance restored successfully",
+      appliance: withWarranty(appliance)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error restoring appliance",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Permanently deletes a trashed appliance and all of its files
+api.delete("/:id/purge", {
+  summary: "Permanently delete a trashed appliance and its files",
+  responses: {
+    200: MessageResponse,
+    403: "Missing or invalid access token, or not the owner",
+    404: "Appliance not found in the trash"
+  }
+});
+router.delete("/:id/purge", authMiddleware, requireScope('appliances:write'), async (req, res) => {
+  try {
+    const { appliance, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'owner', null, { trashed: true });
+
+    if (!appliance) {
+      return res.status(status).json({
+        message
+      });
+    }
+
+    await purgeAppliance(appliance);
+    await auditAppliance(req, appliance, 'appliance.purge', {
+      details: { name: appliance.name }
+    });
+
+    res.json({
+      message: "Appliance permanently deleted"
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error purging appliance",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.put("/:id/receipt", {
+  summary: "Add a receipt",
+  body: zod.object({
+    name: zod.string().optional().openapi({ description: 'Defaults to "Additional Receipt"' })
+  }),
+  files: {
+    originalReceipt: { description: "Receipt, JPEG, PNG or PDF", required: true }
+  },
+  responses: {
+    200: messageResponse({ appliance: ApplianceResponse }),
+    403: "Missing or invalid access token, or not an editor",
+    404: "Appliance not found"
+  }
+});
+router.put("/:id/receipt", authMiddleware, requireScope('receipts:upload'), upload.single("originalReceipt"), async (req, res) => {
+  try {
+    const { appliance, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'editor');
+
+    if (!appliance) {
+      return res.status(status).json({
+        message
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        message: "Receipt file is required"
+      });
+    }
+
+    const quotaError = await checkStorageQuota(appliance.userId, [req.file]);
+    if (quotaError) {
+      return res.status(quotaError.status).json({
+        message: quotaError.message,
+        quota: quotaError.quota
+      });
+    }
+
+    const receiptData = {
+      name: req.body.name || "Additional Receipt",
+      ...await storeUpload(req.file, appliance._id),
+      ...await receiptTextFields(req.file)
+    };
+
+    appliance.receipts.push(receiptData);
+    try {
+      await appliance.save();
+    } catch (error) {
+      await removeFile(receiptData).catch(() => {});
+      throw error;
+    }
+
+    const receipt = appliance.receipts[appliance.receipts.length - 1];
+    await auditAppliance(req, appliance, 'receipt.add', {
+      details: { receiptId: receipt._id, name: receipt.name, fileName: receipt.fileName }
+    });
+
+    res.json({
+      message: "Receipt added successfully",
+      appliance: withWarranty(appliance)
+    });
+  } catch (error) {
+    logger.error('Error adding receipt', { err: error });
+    res.status(500).json({
+      message: "Error adding receipt",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+const receiptRenameBody = zod.object({
+  name: zod.string().trim().min(1, "Name is required").max(200)
+});
+
+const findReceipt = (appliance, receiptId) => {
+  return mongoose.isValidObjectId(receiptId) ? appliance.receipts.id(receiptId) : null;
+};
+
+api.get("/:id/receipts", {
+  summary: "List receipts with their previous versions",
+  responses: {
+    200: zod.object({ receipts: zod.array(Receipt) }),
+    404: "Appliance not found"
+  }
+});
+router.get("/:id/receipts", authMiddleware, requireScope('appliances:read'), async (req, res) => {
+  try {
+    const { appliance, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'viewer', '-receipts.data -receipts.versions.data -productImage');
+
+    if (!appliance) {
+      return res.status(status).json({
+        message
+      });
+    }
+
+    res.json({
+      receipts: appliance.receipts.map(receiptSummary)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching receipts",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.put("/:id/receipt/:receiptId", {
+  summary: "Rename a receipt",
+  body: receiptRenameBody,
+  responses: {
+    200: messageResponse({ receipt: Receipt }),
+    403: "Missing or invalid access token, or not an editor",
+    404: "Appliance or receipt not found"
+  }
+});
+router.put("/:id/receipt/:receiptId", authMiddleware, requireScope('appliances:write'), async (req, res) => {
+  try {
+    const { success, data, error } = receiptRenameBody.safeParse(req.body);
+    if (!success) {
+      return res.status(400).json({
+        message: "Invalid input data",
+        errors: error.errors
+      });
+    }
+
+    const { appliance, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'editor');
+
+    if (!appliance) {
+      return res.status(status).json({
+        message
+      });
+    }
+
+    const receipt = findReceipt(appliance, req.params.receiptId);
+    if (!receipt) {
+      return res.status(404).json({
+        message: "Receipt not found"
+      });
+    }
+
+    const previousName = receipt.name;
+    receipt.name = data.name;
+    await appliance.save();
+    await auditAppliance(req, appliance, 'receipt.rename', {
+      changes: diffFields({ name: previousName }, { name: receipt.name }),
+      details: { receiptId: receipt._id }
+    });
+
+    res.json({
+      message: "Receipt renamed successfully",
+      receipt: receiptSummary(receipt)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error renaming receipt",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Replaces the file behind a receipt, keeping the previous file as a version
+api.post("/:id/receipt/:receiptId/replace", {
+  summary: "Replace a receipt's file",
+  description: "The previous file is kept as a version of the receipt.",
+  files: {
+    receipt: { description: "New receipt file, JPEG, PNG or PDF", required: true }
+  },
+  responses: {
+    200: messageResponse({ receipt: Receipt }),
+    403: "Missing or invalid access token, or not an editor",
+    404: "Appliance or receipt not found"
+  }
+});
+router.post("/:id/receipt/:receiptId/replace", authMiddleware, requireScope('receipts:upload'), upload.single("receipt"), async (req, res) => {
+  try {
+    const { appliance, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'editor');
+
+    if (!appliance) {
+      return res.status(status).json({
+        message
+      });
+    }
+
+    const receipt = findReceipt(appliance, req.params.receiptId);
+    if (!receipt) {
+      return res.status(404).json({
+        message: "Receipt not found"
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        message: "Receipt file is required"
+      });
+    }
+
+    const quotaError = await checkStorageQuota(appliance.userId, [req.file]);
+    if (quotaError) {
+      return res.status(quotaError.status).json({
+        message: quotaError.message,
+        quota: quotaError.quota
+      });
+    }
+
+    const stored = await storeUpload(req.file, appliance._id);
+    const previousFileName = receipt.fileName;
+
+    receipt.versions.push({
+      key: receipt.key,
+      codec: receipt.codec,
+      data: receipt.data,
+      contentType: receipt.contentType,
+      fileName: receipt.fileName,
+      fileSize: receipt.fileSize,
+      storedSize: receipt.storedSize,
+      createdAt: receipt.createdAt
+    });
+    receipt.set({
+      ...stored,
+      ...await receiptTextFields(req.file),
+      data: undefined,
+      createdAt: new Date()
+    });
+
+    try {
+      await appliance.save();
+    } catch (error) {
+      await removeFile(stored).catch(() => {});
+      throw error;
+    }
+
+    await auditAppliance(req, appliance, 'receipt.replace', {
+      details: { receiptId: receipt._id, name: receipt.name, fileName: receipt.fileName, previousFileName }
+    });
+
+    res.json({
+      message: "Receipt replaced successfully",
+      receipt: receiptSummary(receipt)
+    });
+  } catch (error) {
+    logger.error('Error replacing receipt', { err: error });
+    res.status(500).json({
+      message: "Error replacing receipt",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.delete("/:id/receipt/:receiptId", {
+  summary: "Delete a receipt and its versions",
+  responses: {
+    200: MessageResponse,
+    403: "Missing or invalid access token, or not an editor",
+    404: "Appliance or receipt not found"
+  }
+});
+router.delete("/:id/receipt/:receiptId", authMiddleware, requireScope('appliances:write'), async (req, res) => {
+  try {
+    const { appliance, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'editor');
+
+    if (!appliance) {
+      return res.status(status).json({
+        message
+      });
+    }
+
+    const receipt = findReceipt(appliance, req.params.receiptId);
+    if (!receipt) {
+      return res.status(404).json({
+        message: "Receipt not found"
+      });
+    }
+
+    appliance.receipts.pull(receipt._id);
+    appliance.coverage.forEach(entry => {
+      if (entry.receiptId && entry.receiptId.equals(receipt._id)) {
+        entry.receiptId = null;
+      }
+    });
+    await appliance.save();
+    await Claim.updateMany({ applianceId: appliance._id }, { $pull: { receiptIds: receipt._id } });
+    await auditAppliance(req, appliance, 'receipt.delete', {
+      details: { receiptId: receipt._id, name: receipt.name, fileName: receipt.fileName }
+    });
+
+    const files = [receipt, ...receipt.versions];
+    await Promise.all(files.map(file => removeFile(file).catch(error => {
+      logger.error('Error removing blob', { key: file.key, err: error });
+    })));
+
+    res.json({
+      message: "Receipt deleted successfully"
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error deleting receipt",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.put("/:id/image", {
+  summary: "Replace the product image",
+  files: {
+    productImage: { description: "Photo of the appliance, JPEG or PNG", required: true }
+  },
+  responses: {
+    200: messageResponse({ productImage: ProductImageWithLinks }),
+    403: "Missing or invalid access token, or not an editor",
+    404: "Appliance not found"
+  }
+});
+router.put("/:id/image", authMiddleware, requireScope('appliances:write'), upload.single("productImage"), async (req, res) => {
+  try {
+    const { appliance, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'editor');
+
+    if (!appliance) {
+      return res.status(status).json({
+        message
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        message: "Product image is required"
+      });
+    }
+
+    const previousFiles = imageFiles(appliance.productImage.toObject());
+    const generated = await prepareRenditions(req.file.buffer, req.file.mimetype, { source: req.file.image, applianceId: appliance._id });
+    const quotaError = await checkStorageQuota(appliance.userId, [req.file, ...Object.values(generated)], {
+      freedBytes: previousFiles.reduce((sum, file) => sum + (file.fileSize || 0), 0)
+    });
+    if (quotaError) {
+      return res.status(quotaError.status).json({
+        message: quotaError.message,
+        quota: quotaError.quota
+      });
+    }
+
+    const stored = await storeUpload(req.file, appliance._id);
+    let renditions = {};
+
+    try {
+      renditions = await saveRenditions(generated, appliance._id, req.file.originalname);
+      appliance.productImage = { ...stored, renditions };
+      await appliance.save();
+    } catch (error) {
+      await Promise.all([stored, ...Object.values(renditions)].map(file => removeFile(file).catch(() => {})));
+      throw error;
+    }
+
+    await Promise.all(previousFiles.map(file => removeFile(file).catch(error => {
+      logger.error('Error removing blob', { key: file.key, err: error });
+    })));
+    await auditAppliance(req, appliance, 'image.update', {
+      details: { fileName: appliance.productImage.fileName, previousFileName: previousFiles[0] && previousFiles[0].fileName }
+    });
+
+    res.json({
+      message: "Product image updated successfully",
+      productImage: imageWithLinks(req, appliance)
+    });
+  } catch (error) {
+    logger.error('Error updating product image', { err: error });
+    res.status(500).json({
+      message: "Error updating product image",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.post("/:id/receipt/:receiptId/versions/:versionId/link", {
+  summary: "Create a download link for a previous receipt version",
+  responses: {
+    200: SignedUrl,
+    404: "Appliance or receipt version not found"
+  }
+});
+router.post("/:id/receipt/:receiptId/versions/:versionId/link", authMiddleware, requireScope('appliances:read'), async (req, res) => {
+  try {
+    const { appliance, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'viewer', 'receipts._id receipts.versions._id receipts.versions.key');
+
+    if (!appliance) {
+      return res.status(status).json({
+        message
+      });
+    }
+
+    const receipt = findReceipt(appliance, req.params.receiptId);
+    const version = receipt && mongoose.isValidObjectId(req.params.versionId) && receipt.versions.id(req.params.versionId);
+    if (!version) {
+      return res.status(404).json({
+        message: "Receipt version not found"
+      });
+    }
+
+    res.json(buildSignedUrl(
+      getBaseUrl(req),
+      `/${appliance._id}/receipt/${receipt._id}/versions/${version._id}`,
+      fileResource(appliance._id, 'receipt-version', version)
+    ));
+  } catch (error) {
+    res.status(500).json({
+      message: "Error creating receipt link",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.post("/:id/receipt/:receiptId/link", {
+  summary: "Create a download link for a receipt",
+  responses: {
+    200: SignedUrl,
+    404: "Appliance or receipt not found"
+  }
+});
+router.post("/:id/receipt/:receiptId/link", authMiddleware, requireScope('appliances:read'), async (req, res) => {
+  try {
+    const { appliance, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'viewer', 'receipts._id receipts.key');
+
+    if (!appliance) {
+      return res.status(status).json({
+        message
+      });
+    }
+
+    const receipt = appliance.receipts.find(r => r._id.toString() === req.params.receiptId);
+
+    if (!receipt) {
+      return res.status(404).json({
+        message: "Receipt not found"
+      });
+    }
+
+    res.json(buildSignedUrl(
+      getBaseUrl(req),
+      `/${appliance._id}/receipt/${receipt._id}`,
+      fileResource(appliance._id, 'receipt', receipt)
+    ));
+  } catch (error) {
+    logger.error('Error creating receipt link', { err: error });
+    res.status(500).json({
+      message: "Error creating receipt link",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.post("/:id/image/link", {
+  summary: "Create a download link for the product image",
+  query: zod.object({
+    size: zod.enum(IMAGE_SIZES).default("original")
+  }),
+  responses: {
+    200: SignedUrl,
+    404: "Appliance not found, or it has no product image"
+  }
+});
+router.post("/:id/image/link", authMiddleware, requireScope('appliances:read'), async (req, res) => {
+  try {
+    const size = req.query.size || 'original';
+    if (!IMAGE_SIZES.includes(size)) {
+      return res.status(400).json({
+        message: `Invalid size, expected one of: ${IMAGE_SIZES.join(', ')}`
+      });
+    }
+
+    const { appliance, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'viewer', 'productImage.key productImage.fileName productImage.renditions');
+
+    if (!appliance) {
+      return res.status(status).json({
+        message
+      });
+    }
+
+    if (!hasProductImage(appliance.productImage)) {
+      return res.status(404).json({
+        message: "Appliance has no product image"
+      });
+    }
+
+    res.json(buildSignedUrl(
+      getBaseUrl(req),
+      size === 'original' ? `/${appliance._id}/image` : `/${appliance._id}/image/${size}`,
+      imageResource(appliance._id, appliance.productImage, size)
+    ));
+  } catch (error) {
+    logger.error('Error creating image link', { err: error });
+    res.status(500).json({
+      message: "Error creating image link",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Download routes are authenticated only by the signature issued above
+api.get("/:id/receipt/:receiptId", {
+  summary: "Download a receipt",
+  download: "The receipt file"
+});
+router.get("/:id/receipt/:receiptId", async (req, res) => {
+  try {
+    const appliance = mongoose.isValidObjectId(req.params.id) && await Appliance.findOne({ _id: req.params.id, deletedAt: null }).select('receipts');
+    const receipt = appliance && appliance.receipts.find(r => r._id.toString() === req.params.receiptId);
+
+    if (!receipt || !verifyResource(fileResource(appliance._id, 'receipt', receipt), req.query.expires, req.query.signature)) {
+      return res.status(403).json({
+        message: "Invalid or expired download link"
+      });
+    }
+
+    await sendStoredFile(req, res, receipt, { fallbackName: 'receipt' });
+  } catch (error) {
+    logger.error('Error fetching receipt', { err: error });
+    res.status(500).json({
+      message: "Error fetching receipt",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.get("/:id/receipt/:receiptId/versions/:versionId", {
+  summary: "Download a previous receipt version",
+  download: "The receipt file"
+});
+router.get("/:id/receipt/:receiptId/versions/:versionId", async (req, res) => {
+  try {
+    const appliance = mongoose.isValidObjectId(req.params.id) && await Appliance.findOne({ _id: req.params.id, deletedAt: null }).select('receipts');
+    const receipt = appliance && findReceipt(appliance, req.params.receiptId);
+    const version = receipt && mongoose.isValidObjectId(req.params.versionId) && receipt.versions.id(req.params.versionId);
+
+    if (!version || !verifyResource(fileResource(appliance._id, 'receipt-version', version), req.query.expires, req.query.signature)) {
+      return res.status(403).json({
+        message: "Invalid or expired download link"
+      });
+    }
+
+    await sendStoredFile(req, res, version, { fallbackName: 'receipt' });
+  } catch (error) {
+    logger.error('Error fetching receipt version', { err: error });
+    res.status(500).json({
+      message: "Error fetching receipt",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.get("/:id/image", {
+  summary: "Download the product image",
+  download: "The original image"
+});
+api.get("/:id/image/:size", {
+  summary: "Download a resized product image",
+  description: "Images that couldn't be resized are served at their original size.",
+  download: "The image at the requested size"
+});
+router.get("/:id/image/:size?", async (req, res) => {
+  try {
+    const size = req.params.size || 'original';
+    const appliance = IMAGE_SIZES.includes(size) && mongoose.isValidObjectId(req.params.id) &&
+      await Appliance.findOne({ _id: req.params.id, deletedAt: null }).select('productImage');
+
+    if (!appliance || !hasProductImage(appliance.productImage) ||
+      !verifyResource(imageResource(appliance._id, appliance.productImage, size), req.query.expires, req.query.signature)) {
+      return res.status(403).json({
+        message: "Invalid or expired download link"
+      });
+    }
+
+    await sendStoredFile(req, res, getImageFile(appliance.productImage, size), { fallbackName: 'image' });
+  } catch (error) {
+    logger.error('Error fetching product image', { err: error });
+    res.status(500).json({
+      message: "Error fetching product image",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.use("/:id/service", serviceRouter);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,607 @@
+const express = require("express");
+const zod = require("zod");
+const mongoose = require("mongoose");
+const { Appliance, Claim } = require("../db");
+const { authMiddleware } = require("../authMiddleware");
+const { removeFile } = require("../storage");
+const { accessibleApplianceFilter, findApplianceWithRole } = require("../utils/access");
+const { upload, fileSummary, storeUpload, fileResource, getBaseUrl } = require("../utils/applianceFiles");
+const { buildSignedUrl, verifyResource } = require("../utils/signedUrl");
+const { sendStoredFile } = require("../utils/download");
+const { checkStorageQuota } = require("../utils/storageUsage");
+const {
+  CLAIM_STATUSES,
+  CLAIM_TRANSITIONS,
+  OPEN_CLAIM_STATUSES,
+  canTransition,
+  generateClaimNumber
+} = require("../utils/claims");
+const { logger } = require("../utils/logger");
+const { describeRoutes } = require("../openapi/registry");
+const { MessageResponse, messageResponse, SignedUrl, ClaimResponse } = require("../openapi/schemas");
+
+const router = express.Router();
+
+const api = describeRoutes("/claim", "Claims");
+
+const MAX_ATTACHMENTS = 5;
+const MAX_CLAIM_NUMBER_ATTEMPTS = 5;
+
+// Claim numbers are random within a day and unique, so on the rare clash
+// another one is drawn
+const createClaim = async (fields) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await Claim.create({ ...fields, claimNumber: generateClaimNumber() });
+    } catch (error) {
+      const clash = error.code === 11000 && error.keyPattern && error.keyPattern.claimNumber;
+      if (!clash || attempt >= MAX_CLAIM_NUMBER_ATTEMPTS) throw error;
+    }
+  }
+};
+
+const emptyToNull = (value) => (value === '' || value === 'null' ? null : value);
+
+const objectIdString = zod.string().regex(/^[a-f0-9]{24}$/, "Invalid id");
+
+const dateString = zod.string().refine((date) => !isNaN(Date.parse(date)), {
+  message: "Invalid date format"
+});
+
+const claimBody = zod.object({
+  applianceId: objectIdString,
+  type: zod.enum(['manufacturer', 'extended', 'insurance']),
+  coverageId: objectIdString.nullable().optional(),
+  receiptIds: zod.array(objectIdString).optional(),
+  provider: zod.string().nullable().optional(),
+  referenceNumber: zod.string().nullable().optional(),
+  description: zod.string().max(5000).nullable().optional(),
+  incidentDate: dateString.nullable().optional()
+});
+
+const claimUpdateBody = claimBody.omit({ applianceId: true }).partial();
+
+const statusBody = zod.object({
+  status: zod.enum(CLAIM_STATUSES),
+  note: zod.preprocess(emptyToNull, zod.string().max(5000).nullable().optional()),
+  referenceNumber: zod.preprocess(emptyToNull, zod.string().nullable().optional())
+});
+
+const noteBody = zod.object({
+  note: zod.preprocess(emptyToNull, zod.string().max(5000).nullable().optional())
+});
+
+const formatClaim = (claim) => ({
+  _id: claim._id,
+  claimNumber: claim.claimNumber,
+  referenceNumber: claim.referenceNumber,
+  applianceId: claim.applianceId,
+  userId: claim.userId,
+  type: claim.type,
+  coverageId: claim.coverageId,
+  receiptIds: claim.receiptIds,
+  provider: claim.provider,
+  description: claim.description,
+  incidentDate: claim.incidentDate,
+  status: claim.status,
+  allowedTransitions: CLAIM_TRANSITIONS[claim.status],
+  timeline: claim.timeline.map(entry => ({
+    _id: entry._id,
+    status: entry.status,
+    fromStatus: entry.fromStatus,
+    note: entry.note,
+    userId: entry.userId,
+    attachments: entry.attachments.map(fileSummary),
+    at: entry.at
+  })),
+  createdAt: claim.createdAt,
+  updatedAt: claim.updatedAt
+});
+
+// Checks coverage and receipt references point at the claim's appliance.
+// Returns an error message, or null when they are valid.
+const validateReferences = (appliance, { coverageId, receiptIds }) => {
+  if (coverageId && !appliance.coverage.id(coverageId)) {
+    return "Coverage entry not found on this appliance";
+  }
+  const missing = (receiptIds || []).filter(id => !appliance.receipts.id(id));
+  if (missing.length) {
+    return `Receipt(s) not found on this appliance: ${missing.join(', ')}`;
+  }
+  return null;
+};
+
+// Loads a claim and checks the user's role on its appliance. Resolves with
+// { claim, appliance } or { status, message }.
+const findClaimWithRole = async (claimId, userId, minRole, projection = 'coverage receipts._id') => {
+  if (!mongoose.isValidObjectId(claimId)) {
+    return { status: 404, message: "Claim not found" };
+  }
+  const claim = await Claim.findById(claimId);
+  if (!claim) {
+    return { status: 404, message: "Claim not found" };
+  }
+  const { appliance, status, message } = await findApplianceWithRole(claim.applianceId, userId, minRole, projection);
+  if (!appliance) {
+    // Hide claims on appliances the user can't see
+    return status === 404 ? { status: 404, message: "Claim not found" } : { status, message };
+  }
+  return { claim, appliance };
+};
+
+const storeAttachments = async (files, applianceId) => {
+  const stored = [];
+  try {
+    for (const file of files || []) {
+      stored.push({
+        name: file.originalname,
+        ...await storeUpload(file, applianceId)
+      });
+    }
+  } catch (error) {
+    await Promise.all(stored.map(file => removeFile(file).catch(() => {})));
+    throw error;
+  }
+  return stored;
+};
+
+// Appends a timeline entry with any uploaded correspondence and saves
+const addTimelineEntry = async (claim, entry, files) => {
+  const attachments = await storeAttachments(files, claim.applianceId);
+  claim.timeline.push({ ...entry, attachments });
+  claim.updatedAt = new Date();
+  try {
+    await claim.save();
+  } catch (error) {
+    await Promise.all(attachments.map(file => removeFile(file).catch(() => {})));
+    throw error;
+  }
+};
+
+api.get("/", {
+  summary: "List warranty claims",
+  query: zod.object({
+    status: zod.string().default("open").openapi({
+      description: `"open", "all" or a comma separated list of: ${CLAIM_STATUSES.join(", ")}`
+    }),
+    applianceId: objectIdString.optional()
+  }),
+  responses: {
+    200: zod.object({
+      claims: zod.array(ClaimResponse.extend({
+        appliance: zod.object({
+          id: zod.string(),
+          name: zod.string(),
+          companyName: zod.string().nullable(),
+          modelNumber: zod.string()
+        })
+      }))
+    })
+  }
+});
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const statusFilter = req.query.status || 'open';
+    const statuses = statusFilter === 'open'
+      ? OPEN_CLAIM_STATUSES
+      : statusFilter === 'all' ? CLAIM_STATUSES : String(statusFilter).split(',');
+
+    if (statuses.some(status => !CLAIM_STATUSES.includes(status))) {
+      return res.status(400).json({
+        message: `Invalid status filter, expected open, all or any of: ${CLAIM_STATUSES.join(', ')}`
+      });
+    }
+
+    const applianceQuery = await accessibleApplianceFilter(req.userId);
+    if (req.query.applianceId) {
+      if (!mongoose.isValidObjectId(req.query.applianceId)) {
+        return res.status(400).json({ message: "Invalid appliance id" });
+      }
+      applianceQuery._id = req.query.applianceId;
+    }
+    const appliances = await Appliance.find(applianceQuery).select('name companyName modelNumber');
+    const appliancesById = new Map(appliances.map(appliance => [appliance._id.toString(), appliance]));
+
+    const claims = await Claim.find({
+      applianceId: { $in: appliances.map(appliance => appliance._id) },
+      status: { $in: statuses }
+    }).sort({ updatedAt: -1 });
+
+    res.json({
+      claims: claims.map(claim => {
+        const appliance = appliancesById.get(claim.applianceId.toString());
+        return {
+          ...formatClaim(claim),
+          appliance: {
+            id: appliance._id,
+            name: appliance.name,
+            companyName: appliance.companyName,
+            modelNumber: appliance.modelNumber
+          }
+        };
+      })
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching claims",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.post("/", {
+  summary: "Open a claim for an appliance",
+  description: "Claims start as drafts.",
+  body: claimBody,
+  responses: {
+    201: messageResponse({ claim: ClaimResponse }),
+    403: "Missing or invalid access token, or not an editor of the appliance",
+    404: "Appliance not found"
+  }
+});
+router.post("/", authMiddleware, async (req, res) => {
+  try {
+    const { success, data, error } = claimBody.safeParse(req.body);
+    if (!success) {
+      return res.status(400).json({
+        message: "Invalid input data",
+        errors: error.errors
+      });
+    }
+
+    const { appliance, status, message } = await findApplianceWithRole(data.applianceId, req.userId, 'editor', 'coverage receipts._id');
+    if (!appliance) {
+      return res.status(status).json({ message });
+    }
+
+    const referenceError = validateReferences(appliance, data);
+    if (referenceError) {
+      return res.status(400).json({ message: referenceError });
+    }
+
+    const claim = await createClaim({
+      applianceId: appliance._id,
+      userId: req.userId,
+      referenceNumber: data.referenceNumber || null,
+      type: data.type,
+      coverageId: data.coverageId || null,
+      receiptIds: data.receiptIds || [],
+      provider: data.provider || null,
+      description: data.description || null,
+      incidentDate: data.incidentDate ? new Date(data.incidentDate) : null,
+      timeline: [{ status: 'draft', userId: req.userId, note: "Claim created" }]
+    });
+
+    res.status(201).json({
+      message: "Claim created successfully",
+      claim: formatClaim(claim)
+    });
+  } catch (error) {
+    logger.error('Error creating claim', { err: error });
+    res.status(500).json({
+      message: "Error creating claim",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.get("/:id", {
+  summary: "Get a claim",
+  responses: {
+    200: zod.object({ claim: ClaimResponse }),
+    404: "Claim not found"
+  }
+});
+router.get("/:id", authMiddleware, async (req, res) => {
+  try {
+    const { claim, status, message } = await findClaimWithRole(req.params.id, req.userId, 'viewer');
+    if (!claim) {
+      return res.status(status).json({ message });
+    }
+
+    res.json({
+      claim: formatClaim(claim)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching claim",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.put("/:id", {
+  summary: "Update a claim",
+  body: claimUpdateBody,
+  responses: {
+    200: messageResponse({ claim: ClaimResponse }),
+    403: "Missing or invalid access token, or not an editor of the appliance",
+    404: "Claim not found",
+    409: "Closed claims can't be edited"
+  }
+});
+router.put("/:id", authMiddleware, async (req, res) => {
+  try {
+    const { success, data, error } = claimUpdateBody.safeParse(req.body);
+    if (!success) {
+      return res.status(400).json({
+        message: "Invalid input data",
+        errors: error.errors
+      });
+    }
+
+    const { claim, appliance, status, message } = await findClaimWithRole(req.params.id, req.userId, 'editor');
+    if (!claim) {
+      return res.status(status).json({ message });
+    }
+
+    if (claim.status === 'closed') {
+      return res.status(409).json({
+        message: "Closed claims can't be edited"
+      });
+    }
+
+    const referenceError = validateReferences(appliance, data);
+    if (referenceError) {
+      return res.status(400).json({ message: referenceError });
+    }
+
+    claim.set({
+      ...data,
+      ...(data.incidentDate !== undefined ? { incidentDate: data.incidentDate ? new Date(data.incidentDate) : null } : {}),
+      updatedAt: new Date()
+    });
+    await claim.save();
+
+    res.json({
+      message: "Claim updated successfully",
+      claim: formatClaim(claim)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error updating claim",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.delete("/:id", {
+  summary: "Delete a draft claim",
+  responses: {
+    200: MessageResponse,
+    403: "Missing or invalid access token, or not an editor of the appliance",
+    404: "Claim not found",
+    409: "Only draft claims can be deleted"
+  }
+});
+router.delete("/:id", authMiddleware, async (req, res) => {
+  try {
+    const { claim, status, message } = await findClaimWithRole(req.params.id, req.userId, 'editor');
+    if (!claim) {
+      return res.status(status).json({ message });
+    }
+
+    // Once submitted a claim is part of the record; close it instead
+    if (claim.status !== 'draft') {
+      return res.status(409).json({
+        message: "Only draft claims can be deleted"
+      });
+    }
+
+    await Claim.deleteOne({ _id: claim._id });
+    const files = claim.timeline.flatMap(entry => entry.attachments);
+    await Promise.all(files.map(file => removeFile(file).catch(error => {
+      logger.error('Error removing blob', { key: file.key, err: error });
+    })));
+
+    res.json({
+      message: "Claim deleted successfully"
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error deleting claim",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.post("/:id/status", {
+  summary: "Move a claim to another status",
+  description: "Only the claim's `allowedTransitions` are accepted. The change is added to the timeline " +
+    "with the optional note and correspondence.",
+  body: statusBody,
+  files: {
+    attachments: { description: `Correspondence, JPEG, PNG or PDF, up to ${MAX_ATTACHMENTS}`, maxCount: MAX_ATTACHMENTS }
+  },
+  responses: {
+    200: messageResponse({ claim: ClaimResponse }),
+    403: "Missing or invalid access token, or not an editor of the appliance",
+    404: "Claim not found",
+    409: "The claim can't move to that status"
+  }
+});
+router.post("/:id/status", authMiddleware, upload.array("attachments", MAX_ATTACHMENTS), async (req, res) => {
+  try {
+    const { success, data, error } = statusBody.safeParse(req.body);
+    if (!success) {
+      return res.status(400).json({
+        message: "Invalid input data",
+        errors: error.errors
+      });
+    }
+
+    const { claim, appliance, status, message } = await findClaimWithRole(req.params.id, req.userId, 'editor');
+    if (!claim) {
+      return res.status(status).json({ message });
+    }
+
+    if (!canTransition(claim.status, data.status)) {
+      return res.status(409).json({
+        message: `Can't change claim status from ${claim.status} to ${data.status}`,
+        allowedTransitions: CLAIM_TRANSITIONS[claim.status]
+      });
+    }
+
+    const quotaError = await checkStorageQuota(appliance.userId, req.files);
+    if (quotaError) {
+      return res.status(quotaError.status).json({
+        message: quotaError.message,
+        quota: quotaError.quota
+      });
+    }
+
+    const fromStatus = claim.status;
+    claim.status = data.status;
+    if (data.referenceNumber) {
+      claim.referenceNumber = data.referenceNumber;
+    }
+    await addTimelineEntry(claim, {
+      status: data.status,
+      fromStatus,
+      note: data.note || null,
+      userId: req.userId
+    }, req.files);
+
+    res.json({
+      message: "Claim status updated",
+      claim: formatClaim(claim)
+    });
+  } catch (error) {
+    logger.error('Error updating claim status', { err: error });
+    res.status(500).json({
+      message: "Error updating claim status",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Adds a note and/or correspondence to the timeline without changing status
+api.post("/:id/notes", {
+  summary: "Add a note or correspondence to a claim's timeline",
+  body: noteBody,
+  files: {
+    attachments: { description: `Correspondence, JPEG, PNG or PDF, up to ${MAX_ATTACHMENTS}`, maxCount: MAX_ATTACHMENTS }
+  },
+  responses: {
+    201: messageResponse({ claim: ClaimResponse }),
+    400: "Invalid input, or neither a note nor an attachment",
+    403: "Missing or invalid access token, or not an editor of the appliance",
+    404: "Claim not found"
+  }
+});
+router.post("/:id/notes", authMiddleware, upload.array("attachments", MAX_ATTACHMENTS), async (req, res) => {
+  try {
+    const { success, data, error } = noteBody.safeParse(req.body);
+    if (!success) {
+      return res.status(400).json({
+        message: "Invalid input data",
+        errors: error.errors
+      });
+    }
+
+    if (!data.note && !(req.files && req.files.length)) {
+      return res.status(400).json({
+        message: "A note or at least one attachment is required"
+      });
+    }
+
+    const { claim, appliance, status, message } = await findClaimWithRole(req.params.id, req.userId, 'editor');
+    if (!claim) {
+      return res.status(status).json({ message });
+    }
+
+    const quotaError = await checkStorageQuota(appliance.userId, req.files);
+    if (quotaError) {
+      return res.status(quotaError.status).json({
+        message: quotaError.message,
+        quota: quotaError.quota
+      });
+    }
+
+    await addTimelineEntry(claim, {
+      note: data.note || null,
+      userId: req.userId
+    }, req.files);
+
+    res.status(201).json({
+      message: "Note added",
+      claim: formatClaim(claim)
+    });
+  } catch (error) {
+    logger.error('Error adding claim note', { err: error });
+    res.status(500).json({
+      message: "Error adding note",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+const findAttachment = (claim, entryId, attachmentId) => {
+  if (!mongoose.isValidObjectId(entryId) || !mongoose.isValidObjectId(attachmentId)) return null;
+  const entry = claim.timeline.id(entryId);
+  return entry ? entry.attachments.id(attachmentId) : null;
+};
+
+api.post("/:id/timeline/:entryId/attachments/:attachmentId/link", {
+  summary: "Create a download link for a claim attachment",
+  responses: {
+    200: SignedUrl,
+    404: "Claim or attachment not found"
+  }
+});
+router.post("/:id/timeline/:entryId/attachments/:attachmentId/link", authMiddleware, async (req, res) => {
+  try {
+    const { claim, status, message } = await findClaimWithRole(req.params.id, req.userId, 'viewer', '_id');
+    if (!claim) {
+      return res.status(status).json({ message });
+    }
+
+    const attachment = findAttachment(claim, req.params.entryId, req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        message: "Attachment not found"
+      });
+    }
+
+    res.json(buildSignedUrl(
+      getBaseUrl(req),
+      `/${claim._id}/timeline/${req.params.entryId}/attachments/${attachment._id}`,
+      fileResource(claim._id, 'claim-attachment', attachment)
+    ));
+  } catch (error) {
+    res.status(500).json({
+      message: "Error creating attachment link",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Authenticated only by the signature issued above
+api.get("/:id/timeline/:entryId/attachments/:attachmentId", {
+  summary: "Download a claim attachment",
+  download: "The attachment file"
+});
+router.get("/:id/timeline/:entryId/attachments/:attachmentId", async (req, res) => {
+  try {
+    const claim = mongoose.isValidObjectId(req.params.id) && await Claim.findById(req.params.id);
+    const attachment = claim && findAttachment(claim, req.params.entryId, req.params.attachmentId);
+    // Like receipts, attachments of claims on trashed appliances can't be downloaded
+    const applianceActive = attachment && await Appliance.exists({ _id: claim.applianceId, deletedAt: null });
+
+    if (!applianceActive || !verifyResource(fileResource(claim._id, 'claim-attachment', attachment), req.query.expires, req.query.signature)) {
+      return res.status(403).json({
+        message: "Invalid or expired download link"
+      });
+    }
+
+    await sendStoredFile(req, res, attachment, { fallbackName: 'attachment' });
+  } catch (error) {
+    logger.error('Error fetching claim attachment', { err: error });
+    res.status(500).json({
+      message: "Error fetching attachment",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,560 @@
+const express = require("express");
+const router = express.Router();
+const zod = require("zod");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { Household, HouseholdInvite, Appliance, User } = require("../db");
+const { authMiddleware } = require("../authMiddleware");
+const { hasRole } = require("../utils/access");
+const { hashToken } = require("../utils/session");
+const { sendHouseholdInviteEmail } = require("../utils/accountEmails");
+const { DAY_MS } = require("../utils/warranty");
+const { HOUSEHOLD_INVITE_TTL_DAYS } = require("../config");
+const { logger } = require("../utils/logger");
+const { describeRoutes } = require("../openapi/registry");
+const { MessageResponse, messageResponse, HouseholdResponse, HouseholdInviteResponse } = require("../openapi/schemas");
+
+const api = describeRoutes("/household", "Households");
+
+const roleSchema = zod.enum(['owner', 'editor', 'viewer']);
+
+const householdBody = zod.object({
+  name: zod.string().trim().min(1, "Name is required").max(100)
+});
+
+const inviteBody = zod.object({
+  email: zod.string().email(),
+  role: roleSchema
+});
+
+const memberBody = zod.object({
+  role: roleSchema
+});
+
+const getMember = (household, userId) => {
+  return household.members.find(m => m.userId.toString() === userId.toString());
+};
+
+const countOwners = (household) => household.members.filter(m => m.role === 'owner').length;
+
+// Loads a household the user belongs to and checks their role. Resolves with
+// { household, member } or { status, message }.
+const findHouseholdWithRole = async (householdId, userId, minRole) => {
+  if (!mongoose.isValidObjectId(householdId)) {
+    return { status: 404, message: "Household not found" };
+  }
+  const household = await Household.findById(householdId);
+  const member = household && getMember(household, userId);
+  if (!member) {
+    return { status: 404, message: "Household not found" };
+  }
+  if (!hasRole(member.role, minRole)) {
+    return { status: 403, message: `This action requires the ${minRole} role` };
+  }
+  return { household, member };
+};
+
+const formatHousehold = async (household, userId) => {
+  const users = await User.find({ _id: { $in: household.members.map(m => m.userId) } })
+    .select('firstName lastName username');
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  return {
+    id: household._id,
+    name: household.name,
+    role: getMember(household, userId).role,
+    createdAt: household.createdAt,
+    members: household.members.map(member => {
+      const user = usersById.get(member.userId.toString());
+      return {
+        userId: member.userId,
+        role: member.role,
+        joinedAt: member.joinedAt,
+        firstName: user ? user.firstName : null,
+        lastName: user ? user.lastName : null,
+        username: user ? user.username : null
+      };
+    })
+  };
+};
+
+api.post("/", {
+  summary: "Create a household",
+  description: "The creator becomes its owner.",
+  body: householdBody,
+  responses: {
+    201: messageResponse({ household: HouseholdResponse })
+  }
+});
+router.post("/", authMiddleware, async (req, res) => {
+  try {
+    const { success, data, error } = householdBody.safeParse(req.body);
+    if (!success) {
+      return res.status(400).json({
+        message: "Invalid input data",
+        errors: error.errors
+      });
+    }
+
+    const household = await Household.create({
+      name: data.name,
+      members: [{ userId: req.userId, role: 'owner' }]
+    });
+
+    res.status(201).json({
+      message: "Household created successfully",
+      household: await formatHousehold(household, req.userId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error creating household",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.get("/", {
+  summary: "List the user's households",
+  responses: {
+    200: zod.object({
+      households: zod.array(zod.object({
+        id: zod.string(),
+        name: zod.string(),
+        role: roleSchema,
+        memberCount: zod.number().int()
+      }))
+    })
+  }
+});
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const households = await Household.find({ 'members.userId': req.userId }).sort({ createdAt: 1 });
+
+    res.json({
+      households: households.map(household => ({
+        id: household._id,
+        name: household.name,
+        role: getMember(household, req.userId).role,
+        memberCount: household.members.length
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching households",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.post("/invites/accept", {
+  summary: "Accept an invitation",
+  description: "Invitations can only be accepted by the email address they were sent to.",
+  body: zod.object({
+    token: zod.string().openapi({ description: "Token from the invitation email" })
+  }),
+  responses: {
+    200: messageResponse({ household: HouseholdResponse }),
+    400: "Missing token, or an invalid or expired invitation",
+    404: "User or household not found"
+  }
+});
+router.post("/invites/accept", authMiddleware, async (req, res) => {
+  try {
+    if (!req.body.token) {
+      return res.status(400).json({
+        message: "Invitation token is required"
+      });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({
+        message: "User not found"
+      });
+    }
+
+    // Invitations are bound to the address they were sent to
+    const invite = await HouseholdInvite.findOneAndUpdate(
+      {
+        tokenHash: hashToken(String(req.body.token)),
+        email: user.username,
+        acceptedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { $set: { acceptedAt: new Date() } },
+      { new: true }
+    );
+    if (!invite) {
+      return res.status(400).json({
+        message: "Invalid or expired invitation"
+      });
+    }
+
+    const household = await Household.findById(invite.householdId);
+    if (!household) {
+      return res.status(404).json({
+        message: "Household not found"
+      });
+    }
+
+    const member = getMember(household, req.userId);
+    if (member) {
+      // Accepting an invitation never lowers an existing role
+      if (!hasRole(member.role, invite.role)) {
+        member.role = invite.role;
+      }
+    } else {
+      household.members.push({ userId: req.userId, role: invite.role });
+    }
+    await household.save();
+
+    res.json({
+      message: "Joined household successfully",
+      household: await formatHousehold(household, req.userId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error accepting invitation",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.get("/:id", {
+  summary: "Get a household and its members",
+  responses: {
+    200: zod.object({ household: HouseholdResponse }),
+    404: "Household not found"
+  }
+});
+router.get("/:id", authMiddleware, async (req, res) => {
+  try {
+    const { household, status, message } = await findHouseholdWithRole(req.params.id, req.userId, 'viewer');
+    if (!household) {
+      return res.status(status).json({ message });
+    }
+
+    res.json({
+      household: await formatHousehold(household, req.userId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching household",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.put("/:id", {
+  summary: "Rename a household",
+  body: householdBody,
+  responses: {
+    200: messageResponse({ household: HouseholdResponse }),
+    403: "Missing or invalid access token, or not an owner",
+    404: "Household not found"
+  }
+});
+router.put("/:id", authMiddleware, async (req, res) => {
+  try {
+    const { success, data, error } = householdBody.safeParse(req.body);
+    if (!success) {
+      return res.status(400).json({
+        message: "Invalid input data",
+        errors: error.errors
+      });
+    }
+
+    const { household, status, message } = await findHouseholdWithRole(req.params.id, req.userId, 'owner');
+    if (!household) {
+      return res.status(status).json({ message });
+    }
+
+    household.name = data.name;
+    await household.save();
+
+    res.json({
+      message: "Household updated successfully",
+      household: await formatHousehold(household, req.userId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error updating household",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.delete("/:id", {
+  summary: "Delete a household",
+  description: "Its appliances stay with the members who added them.",
+  responses: {
+    200: MessageResponse,
+    403: "Missing or invalid access token, or not an owner",
+    404: "Household not found"
+  }
+});
+router.delete("/:id", authMiddleware, async (req, res) => {
+  try {
+    const { household, status, message } = await findHouseholdWithRole(req.params.id, req.userId, 'owner');
+    if (!household) {
+      return res.status(status).json({ message });
+    }
+
+    // Appliances stay with whoever added them
+    await Appliance.updateMany({ householdId: household._id }, { $set: { householdId: null } });
+    await HouseholdInvite.deleteMany({ householdId: household._id });
+    await Household.deleteOne({ _id: household._id });
+
+    res.json({
+      message: "Household deleted successfully"
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error deleting household",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.post("/:id/invites", {
+  summary: "Invite someone by email",
+  body: inviteBody,
+  responses: {
+    201: messageResponse({ invite: HouseholdInviteResponse }),
+    403: "Missing or invalid access token, or not an owner",
+    404: "Household not found",
+    409: "User is already a member of this household"
+  }
+});
+router.post("/:id/invites", authMiddleware, async (req, res) => {
+  try {
+    const { success, data, error } = inviteBody.safeParse(req.body);
+    if (!success) {
+      return res.status(400).json({
+        message: "Invalid input data",
+        errors: error.errors
+      });
+    }
+
+    const { household, status, message } = await findHouseholdWithRole(req.params.id, req.userId, 'owner');
+    if (!household) {
+      return res.status(status).json({ message });
+    }
+
+    const email = data.email.toLowerCase();
+    const invitee = await User.findOne({ username: email }).select('_id');
+    if (invitee && getMember(household, invitee._id)) {
+      return res.status(409).json({
+        message: "User is already a member of this household"
+      });
+    }
+
+    // A new invitation replaces any pending one for the same address
+    await HouseholdInvite.deleteMany({ householdId: household._id, email, acceptedAt: null });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const invite = await HouseholdInvite.create({
+      householdId: household._id,
+      email,
+      role: data.role,
+      invitedBy: req.userId,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + HOUSEHOLD_INVITE_TTL_DAYS * DAY_MS)
+    });
+
+    const inviter = await User.findById(req.userId).select('firstName lastName');
+    await sendHouseholdInviteEmail({ email, role: data.role, household, inviter, token });
+
+    res.status(201).json({
+      message: "Invitation sent",
+      invite: {
+        id: invite._id,
+        email: invite.email,
+        role: invite.role,
+        expiresAt: invite.expiresAt
+      }
+    });
+  } catch (error) {
+    logger.error('Error sending household invitation', { err: error });
+    res.status(500).json({
+      message: "Error sending invitation",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.get("/:id/invites", {
+  summary: "List pending invitations",
+  responses: {
+    200: zod.object({ invites: zod.array(HouseholdInviteResponse) }),
+    403: "Missing or invalid access token, or not an owner",
+    404: "Household not found"
+  }
+});
+router.get("/:id/invites", authMiddleware, async (req, res) => {
+  try {
+    const { household, status, message } = await findHouseholdWithRole(req.params.id, req.userId, 'owner');
+    if (!household) {
+      return res.status(status).json({ message });
+    }
+
+    const invites = await HouseholdInvite.find({
+      householdId: household._id,
+      acceptedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ expiresAt: 1 });
+
+    res.json({
+      invites: invites.map(invite => ({
+        id: invite._id,
+        email: invite.email,
+        role: invite.role,
+        invitedBy: invite.invitedBy,
+        expiresAt: invite.expiresAt
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching invitations",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.delete("/:id/invites/:inviteId", {
+  summary: "Revoke an invitation",
+  responses: {
+    200: MessageResponse,
+    403: "Missing or invalid access token, or not an owner",
+    404: "Household or invitation not found"
+  }
+});
+router.delete("/:id/invites/:inviteId", authMiddleware, async (req, res) => {
+  try {
+    const { household, status, message } = await findHouseholdWithRole(req.params.id, req.userId, 'owner');
+    if (!household) {
+      return res.status(status).json({ message });
+    }
+
+    const result = await HouseholdInvite.deleteOne({
+      _id: mongoose.isValidObjectId(req.params.inviteId) ? req.params.inviteId : null,
+      householdId: household._id,
+      acceptedAt: null
+    });
+    if (!result.deletedCount) {
+      return res.status(404).json({
+        message: "Invitation not found"
+      });
+    }
+
+    res.json({
+      message: "Invitation revoked"
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error revoking invitation",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.put("/:id/members/:userId", {
+  summary: "Change a member's role",
+  body: memberBody,
+  responses: {
+    200: messageResponse({ household: HouseholdResponse }),
+    400: "Invalid input, or the household would be left without an owner",
+    403: "Missing or invalid access token, or not an owner",
+    404: "Household or member not found"
+  }
+});
+router.put("/:id/members/:userId", authMiddleware, async (req, res) => {
+  try {
+    const { success, data, error } = memberBody.safeParse(req.body);
+    if (!success) {
+      return res.status(400).json({
+        message: "Invalid input data",
+        errors: error.errors
+      });
+    }
+
+    const { household, status, message } = await findHouseholdWithRole(req.params.id, req.userId, 'owner');
+    if (!household) {
+      return res.status(status).json({ message });
+    }
+
+    const member = getMember(household, req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        message: "Member not found"
+      });
+    }
+
+    if (member.role === 'owner' && data.role !== 'owner' && countOwners(household) === 1) {
+      return res.status(400).json({
+        message: "A household must keep at least one owner"
+      });
+    }
+
+    member.role = data.role;
+    await household.save();
+
+    res.json({
+      message: "Member updated successfully",
+      household: await formatHousehold(household, req.userId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error updating member",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Owners can remove anyone; any member can remove themselves to leave
+api.delete("/:id/members/:userId", {
+  summary: "Remove a member or leave a household",
+  description: "Owners can remove anyone; any member can remove themselves.",
+  responses: {
+    200: MessageResponse,
+    400: "The household would be left without an owner",
+    403: "Missing or invalid access token, or not allowed to remove that member",
+    404: "Household or member not found"
+  }
+});
+router.delete("/:id/members/:userId", authMiddleware, async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.userId.toString();
+    const { household, status, message } = await findHouseholdWithRole(req.params.id, req.userId, leaving ? 'viewer' : 'owner');
+    if (!household) {
+      return res.status(status).json({ message });
+    }
+
+    const member = getMember(household, req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        message: "Member not found"
+      });
+    }
+
+    if (member.role === 'owner' && countOwners(household) === 1) {
+      return res.status(400).json({
+        message: "A household must keep at least one owner"
+      });
+    }
+
+    household.members.pull(member._id);
+    await household.save();
+
+    res.json({
+      message: leaving ? "Left household successfully" : "Member removed successfully"
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error removing member",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
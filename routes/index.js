@@ -1,10 +1,37 @@
 const express = require("express");
+const zod = require("zod");
+const swaggerUi = require("swagger-ui-express");
 const userRoute = require("./user");
 const applianceRoute = require("./appliance");
+const householdRoute = require("./household");
+const claimRoute = require("./claim");
+const { describeRoutes } = require("../openapi/registry");
+const { getDocument } = require("../openapi");
 
 const router = express.Router();
 
+const api = describeRoutes("", "Documentation");
+
 router.use("/user", userRoute);
 router.use("/appliance", applianceRoute);
+router.use("/household", householdRoute);
+router.use("/claim", claimRoute);
+
+api.get("/openapi.json", {
+  summary: "Get this OpenAPI document",
+  public: true,
+  responses: {
+    200: zod.object({}).passthrough()
+  }
+});
+router.get("/openapi.json", (req, res) => {
+  res.json(getDocument(router));
+});
+
+// Interactive documentation, loading the document above
+router.use("/docs", swaggerUi.serve, swaggerUi.setup(null, {
+  customSiteTitle: "Appliance Warranty API",
+  swaggerOptions: { url: "../openapi.json" }
+}));
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
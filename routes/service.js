@@ -0,0 +1,636 @@
+const express = require("express");
+const zod = require("zod");
+const mongoose = require("mongoose");
+const { Appliance, ServiceRecord, SERVICE_TYPES } = require("../db");
+const { authMiddleware, requireScope } = require("../authMiddleware");
+const { removeFile } = require("../storage");
+const { findApplianceWithRole } = require("../utils/access");
+const { upload, fileSummary, storeUpload, fileResource, getBaseUrl } = require("../utils/applianceFiles");
+const { describeSchedule } = require("../utils/maintenance");
+const { buildSignedUrl, verifyResource } = require("../utils/signedUrl");
+const { sendStoredFile } = require("../utils/download");
+const { checkStorageQuota } = require("../utils/storageUsage");
+const { logger } = require("../utils/logger");
+const { describeRoutes } = require("../openapi/registry");
+const {
+  MessageResponse,
+  messageResponse,
+  SignedUrl,
+  ServiceRecordResponse,
+  MaintenanceSchedule
+} = require("../openapi/schemas");
+
+// Mounted at /appliance/:id/service
+const router = express.Router({ mergeParams: true });
+
+const api = describeRoutes("/appliance/:id/service", "Service");
+
+const MAX_ATTACHMENTS = 5;
+
+const emptyToNull = (value) => (value === '' || value === 'null' ? null : value);
+
+const dateString = zod.string().refine((date) => !isNaN(Date.parse(date)), {
+  message: "Invalid date format"
+});
+
+const objectIdString = zod.string().regex(/^[a-f0-9]{24}$/, "Invalid id");
+
+const serviceBody = zod.object({
+  date: dateString,
+  type: zod.enum(SERVICE_TYPES),
+  cost: zod.preprocess(emptyToNull, zod.coerce.number().min(0).nullable().optional()),
+  provider: zod.preprocess(emptyToNull, zod.string().nullable().optional()),
+  notes: zod.preprocess(emptyToNull, zod.string().max(5000).nullable().optional()),
+  scheduleId: zod.preprocess(emptyToNull, objectIdString.nullable().optional())
+});
+
+const scheduleBody = zod.object({
+  task: zod.string().trim().min(1, "Task is required"),
+  serviceType: zod.enum(SERVICE_TYPES).optional(),
+  intervalValue: zod.coerce.number().int().min(1),
+  intervalUnit: zod.enum(['days', 'weeks', 'months']),
+  startDate: dateString.nullable().optional()
+});
+
+const formatRecord = (record) => ({
+  _id: record._id,
+  applianceId: record.applianceId,
+  userId: record.userId,
+  scheduleId: record.scheduleId,
+  date: record.date,
+  type: record.type,
+  cost: record.cost,
+  provider: record.provider,
+  notes: record.notes,
+  attachments: record.attachments.map(fileSummary),
+  createdAt: record.createdAt
+});
+
+const findRecord = (appliance, serviceId) => {
+  if (!mongoose.isValidObjectId(serviceId)) return null;
+  return ServiceRecord.findOne({ _id: serviceId, applianceId: appliance._id });
+};
+
+// Recomputes when a schedule's task was last done from its service records;
+// saving the appliance then refreshes the schedule's next due date
+const syncSchedules = async (appliance, scheduleIds) => {
+  const ids = [...new Set(scheduleIds.filter(Boolean).map(String))];
+  if (!ids.length) return;
+
+  for (const scheduleId of ids) {
+    const schedule = appliance.maintenanceSchedules.id(scheduleId);
+    if (!schedule) continue;
+    const latest = await ServiceRecord.findOne({ applianceId: appliance._id, scheduleId })
+      .sort({ date: -1 })
+      .select('date');
+    schedule.lastDoneAt = latest ? latest.date : null;
+  }
+  await appliance.save();
+};
+
+const storeAttachments = async (files, applianceId) => {
+  const stored = [];
+  try {
+    for (const file of files || []) {
+      stored.push({
+        name: file.originalname,
+        ...await storeUpload(file, applianceId)
+      });
+    }
+  } catch (error) {
+    await Promise.all(stored.map(file => removeFile(file).catch(() => {})));
+    throw error;
+  }
+  return stored;
+};
+
+api.get("/", {
+  summary: "List an appliance's service history, newest first",
+  responses: {
+    200: zod.object({ service: zod.array(ServiceRecordResponse) }),
+    404: "Appliance not found"
+  }
+});
+router.get("/", authMiddleware, requireScope('appliances:read'), async (req, res) => {
+  try {
+    const { appliance, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'viewer', '_id');
+    if (!appliance) {
+      return res.status(status).json({ message });
+    }
+
+    const records = await ServiceRecord.find({ applianceId: appliance._id }).sort({ date: -1 });
+
+    res.json({
+      service: records.map(formatRecord)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching service history",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.post("/", {
+  summary: "Add a service record",
+  description: "Linking a maintenance schedule marks its task as done on the record's date.",
+  body: serviceBody,
+  files: {
+    attachments: { description: `Invoices or photos, JPEG, PNG or PDF, up to ${MAX_ATTACHMENTS}`, maxCount: MAX_ATTACHMENTS }
+  },
+  responses: {
+    201: messageResponse({ service: ServiceRecordResponse }),
+    403: "Missing or invalid access token, or not an editor",
+    404: "Appliance not found"
+  }
+});
+router.post("/", authMiddleware, requireScope('appliances:write'), upload.array("attachments", MAX_ATTACHMENTS), async (req, res) => {
+  try {
+    const { success, data, error } = serviceBody.safeParse(req.body);
+    if (!success) {
+      return res.status(400).json({
+        message: "Invalid input data",
+        errors: error.errors
+      });
+    }
+
+    const { appliance, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'editor');
+    if (!appliance) {
+      return res.status(status).json({ message });
+    }
+
+    if (data.scheduleId && !appliance.maintenanceSchedules.id(data.scheduleId)) {
+      return res.status(400).json({
+        message: "Maintenance schedule not found on this appliance"
+      });
+    }
+
+    const quotaError = await checkStorageQuota(appliance.userId, req.files);
+    if (quotaError) {
+      return res.status(quotaError.status).json({
+        message: quotaError.message,
+        quota: quotaError.quota
+      });
+    }
+
+    const attachments = await storeAttachments(req.files, appliance._id);
+
+    let record;
+    try {
+      record = await ServiceRecord.create({
+        applianceId: appliance._id,
+        userId: req.userId,
+        scheduleId: data.scheduleId || null,
+        date: new Date(data.date),
+        type: data.type,
+        cost: data.cost ?? null,
+        provider: data.provider || null,
+        notes: data.notes || null,
+        attachments
+      });
+    } catch (error) {
+      await Promise.all(attachments.map(file => removeFile(file).catch(() => {})));
+      throw error;
+    }
+
+    await syncSchedules(appliance, [record.scheduleId]);
+
+    res.status(201).json({
+      message: "Service record added successfully",
+      service: formatRecord(record)
+    });
+  } catch (error) {
+    logger.error('Error adding service record', { err: error });
+    res.status(500).json({
+      message: "Error adding service record",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.get("/schedules", {
+  summary: "List maintenance schedules",
+  responses: {
+    200: zod.object({ schedules: zod.array(MaintenanceSchedule) }),
+    404: "Appliance not found"
+  }
+});
+router.get("/schedules", authMiddleware, requireScope('appliances:read'), async (req, res) => {
+  try {
+    const { appliance, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'viewer', 'maintenanceSchedules');
+    if (!appliance) {
+      return res.status(status).json({ message });
+    }
+
+    res.json({
+      schedules: appliance.maintenanceSchedules.map(schedule => describeSchedule(schedule))
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching maintenance schedules",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.post("/schedules", {
+  summary: "Add a maintenance schedule",
+  body: scheduleBody,
+  responses: {
+    201: messageResponse({ schedule: MaintenanceSchedule }),
+    403: "Missing or invalid access token, or not an editor",
+    404: "Appliance not found"
+  }
+});
+router.post("/schedules", authMiddleware, requireScope('appliances:write'), async (req, res) => {
+  try {
+    const { success, data, error } = scheduleBody.safeParse(req.body);
+    if (!success) {
+      return res.status(400).json({
+        message: "Invalid input data",
+        errors: error.errors
+      });
+    }
+
+    const { appliance, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'editor');
+    if (!appliance) {
+      return res.status(status).json({ message });
+    }
+
+    appliance.maintenanceSchedules.push({
+      ...data,
+      startDate: data.startDate ? new Date(data.startDate) : null
+    });
+    await appliance.save();
+
+    const schedule = appliance.maintenanceSchedules[appliance.maintenanceSchedules.length - 1];
+
+    res.status(201).json({
+      message: "Maintenance schedule added successfully",
+      schedule: describeSchedule(schedule)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error adding maintenance schedule",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.put("/schedules/:scheduleId", {
+  summary: "Update a maintenance schedule",
+  body: scheduleBody.partial(),
+  responses: {
+    200: messageResponse({ schedule: MaintenanceSchedule }),
+    403: "Missing or invalid access token, or not an editor",
+    404: "Appliance or schedule not found"
+  }
+});
+router.put("/schedules/:scheduleId", authMiddleware, requireScope('appliances:write'), async (req, res) => {
+  try {
+    const { success, data, error } = scheduleBody.partial().safeParse(req.body);
+    if (!success) {
+      return res.status(400).json({
+        message: "Invalid input data",
+        errors: error.errors
+      });
+    }
+
+    const { appliance, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'editor');
+    if (!appliance) {
+      return res.status(status).json({ message });
+    }
+
+    const schedule = mongoose.isValidObjectId(req.params.scheduleId) && appliance.maintenanceSchedules.id(req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({
+        message: "Maintenance schedule not found"
+      });
+    }
+
+    schedule.set({
+      ...data,
+      ...(data.startDate !== undefined ? { startDate: data.startDate ? new Date(data.startDate) : null } : {})
+    });
+    await appliance.save();
+
+    res.json({
+      message: "Maintenance schedule updated successfully",
+      schedule: describeSchedule(schedule)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error updating maintenance schedule",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.delete("/schedules/:scheduleId", {
+  summary: "Delete a maintenance schedule",
+  description: "Service records linked to the schedule are kept.",
+  responses: {
+    200: MessageResponse,
+    403: "Missing or invalid access token, or not an editor",
+    404: "Appliance or schedule not found"
+  }
+});
+router.delete("/schedules/:scheduleId", authMiddleware, requireScope('appliances:write'), async (req, res) => {
+  try {
+    const { appliance, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'editor');
+    if (!appliance) {
+      return res.status(status).json({ message });
+    }
+
+    const schedule = mongoose.isValidObjectId(req.params.scheduleId) && appliance.maintenanceSchedules.id(req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({
+        message: "Maintenance schedule not found"
+      });
+    }
+
+    appliance.maintenanceSchedules.pull(schedule._id);
+    await appliance.save();
+    // Keep the history, just detach it from the schedule
+    await ServiceRecord.updateMany(
+      { applianceId: appliance._id, scheduleId: schedule._id },
+      { $set: { scheduleId: null } }
+    );
+
+    res.json({
+      message: "Maintenance schedule deleted successfully"
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error deleting maintenance schedule",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.get("/:serviceId", {
+  summary: "Get a service record",
+  responses: {
+    200: zod.object({ service: ServiceRecordResponse }),
+    404: "Appliance or service record not found"
+  }
+});
+router.get("/:serviceId", authMiddleware, requireScope('appliances:read'), async (req, res) => {
+  try {
+    const { appliance, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'viewer', '_id');
+    if (!appliance) {
+      return res.status(status).json({ message });
+    }
+
+    const record = await findRecord(appliance, req.params.serviceId);
+    if (!record) {
+      return res.status(404).json({
+        message: "Service record not found"
+      });
+    }
+
+    res.json({
+      service: formatRecord(record)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching service record",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Updates fields and appends any newly uploaded attachments
+api.put("/:serviceId", {
+  summary: "Update a service record",
+  description: "Uploaded attachments are added to the record's existing ones.",
+  body: serviceBody.partial(),
+  files: {
+    attachments: { description: `Invoices or photos, JPEG, PNG or PDF, up to ${MAX_ATTACHMENTS}`, maxCount: MAX_ATTACHMENTS }
+  },
+  responses: {
+    200: messageResponse({ service: ServiceRecordResponse }),
+    403: "Missing or invalid access token, or not an editor",
+    404: "Appliance or service record not found"
+  }
+});
+router.put("/:serviceId", authMiddleware, requireScope('appliances:write'), upload.array("attachments", MAX_ATTACHMENTS), async (req, res) => {
+  try {
+    const { success, data, error } = serviceBody.partial().safeParse(req.body);
+    if (!success) {
+      return res.status(400).json({
+        message: "Invalid input data",
+        errors: error.errors
+      });
+    }
+
+    const { appliance, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'editor');
+    if (!appliance) {
+      return res.status(status).json({ message });
+    }
+
+    const record = await findRecord(appliance, req.params.serviceId);
+    if (!record) {
+      return res.status(404).json({
+        message: "Service record not found"
+      });
+    }
+
+    if (data.scheduleId && !appliance.maintenanceSchedules.id(data.scheduleId)) {
+      return res.status(400).json({
+        message: "Maintenance schedule not found on this appliance"
+      });
+    }
+
+    if (record.attachments.length + (req.files || []).length > MAX_ATTACHMENTS) {
+      return res.status(400).json({
+        message: `A service record can have at most ${MAX_ATTACHMENTS} attachments`
+      });
+    }
+
+    const quotaError = await checkStorageQuota(appliance.userId, req.files);
+    if (quotaError) {
+      return res.status(quotaError.status).json({
+        message: quotaError.message,
+        quota: quotaError.quota
+      });
+    }
+
+    const previousScheduleId = record.scheduleId;
+    record.set({
+      ...data,
+      ...(data.date ? { date: new Date(data.date) } : {})
+    });
+
+    const attachments = await storeAttachments(req.files, appliance._id);
+    attachments.forEach(attachment => record.attachments.push(attachment));
+
+    try {
+      await record.save();
+    } catch (error) {
+      await Promise.all(attachments.map(file => removeFile(file).catch(() => {})));
+      throw error;
+    }
+
+    await syncSchedules(appliance, [previousScheduleId, record.scheduleId]);
+
+    res.json({
+      message: "Service record updated successfully",
+      service: formatRecord(record)
+    });
+  } catch (error) {
+    logger.error('Error updating service record', { err: error });
+    res.status(500).json({
+      message: "Error updating service record",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.delete("/:serviceId", {
+  summary: "Delete a service record and its attachments",
+  responses: {
+    200: MessageResponse,
+    403: "Missing or invalid access token, or not an editor",
+    404: "Appliance or service record not found"
+  }
+});
+router.delete("/:serviceId", authMiddleware, requireScope('appliances:write'), async (req, res) => {
+  try {
+    const { appliance, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'editor');
+    if (!appliance) {
+      return res.status(status).json({ message });
+    }
+
+    const record = await findRecord(appliance, req.params.serviceId);
+    if (!record) {
+      return res.status(404).json({
+        message: "Service record not found"
+      });
+    }
+
+    await ServiceRecord.deleteOne({ _id: record._id });
+    await Promise.all(record.attachments.map(file => removeFile(file).catch(error => {
+      logger.error('Error removing blob', { key: file.key, err: error });
+    })));
+    await syncSchedules(appliance, [record.scheduleId]);
+
+    res.json({
+      message: "Service record deleted successfully"
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error deleting service record",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.delete("/:serviceId/attachments/:attachmentId", {
+  summary: "Delete a service record attachment",
+  responses: {
+    200: messageResponse({ service: ServiceRecordResponse }),
+    403: "Missing or invalid access token, or not an editor",
+    404: "Appliance, service record or attachment not found"
+  }
+});
+router.delete("/:serviceId/attachments/:attachmentId", authMiddleware, requireScope('appliances:write'), async (req, res) => {
+  try {
+    const { appliance, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'editor', '_id');
+    if (!appliance) {
+      return res.status(status).json({ message });
+    }
+
+    const record = await findRecord(appliance, req.params.serviceId);
+    const attachment = record && mongoose.isValidObjectId(req.params.attachmentId) && record.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        message: "Attachment not found"
+      });
+    }
+
+    record.attachments.pull(attachment._id);
+    await record.save();
+    await removeFile(attachment).catch(error => {
+      logger.error('Error removing blob', { key: attachment.key, err: error });
+    });
+
+    res.json({
+      message: "Attachment deleted successfully",
+      service: formatRecord(record)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error deleting attachment",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.post("/:serviceId/attachments/:attachmentId/link", {
+  summary: "Create a download link for a service record attachment",
+  responses: {
+    200: SignedUrl,
+    404: "Appliance, service record or attachment not found"
+  }
+});
+router.post("/:serviceId/attachments/:attachmentId/link", authMiddleware, requireScope('appliances:read'), async (req, res) => {
+  try {
+    const { appliance, status, message } = await findApplianceWithRole(req.params.id, req.userId, 'viewer', '_id');
+    if (!appliance) {
+      return res.status(status).json({ message });
+    }
+
+    const record = await findRecord(appliance, req.params.serviceId);
+    const attachment = record && mongoose.isValidObjectId(req.params.attachmentId) && record.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        message: "Attachment not found"
+      });
+    }
+
+    res.json(buildSignedUrl(
+      getBaseUrl(req),
+      `/${record._id}/attachments/${attachment._id}`,
+      fileResource(appliance._id, 'service-attachment', attachment)
+    ));
+  } catch (error) {
+    res.status(500).json({
+      message: "Error creating attachment link",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Authenticated only by the signature issued above
+api.get("/:serviceId/attachments/:attachmentId", {
+  summary: "Download a service record attachment",
+  download: "The attachment file"
+});
+router.get("/:serviceId/attachments/:attachmentId", async (req, res) => {
+  try {
+    const record = mongoose.isValidObjectId(req.params.serviceId) && await ServiceRecord.findOne({
+      _id: req.params.serviceId,
+      applianceId: mongoose.isValidObjectId(req.params.id) ? req.params.id : null
+    });
+    const attachment = record && mongoose.isValidObjectId(req.params.attachmentId) && record.attachments.id(req.params.attachmentId);
+    // Like receipts, attachments of trashed appliances can't be downloaded
+    const applianceActive = attachment && await Appliance.exists({ _id: record.applianceId, deletedAt: null });
+
+    if (!applianceActive || !verifyResource(fileResource(record.applianceId, 'service-attachment', attachment), req.query.expires, req.query.signature)) {
+      return res.status(403).json({
+        message: "Invalid or expired download link"
+      });
+    }
+
+    await sendStoredFile(req, res, attachment, { fallbackName: 'attachment' });
+  } catch (error) {
+    logger.error('Error fetching service attachment', { err: error });
+    res.status(500).json({
+      message: "Error fetching attachment",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,13 +1,73 @@
 const express = require("express");
 const router = express.Router();
 const zod = require("zod");
-const { User, Account } = require("../db");
-const jwt = require("jsonwebtoken");
-const { JWT_SECRET } = require("../config");
+const mongoose = require("mongoose");
+const { User, Account, Notification, Session, ACCESS_TOKEN_SCOPES } = require("../db");
 const { authMiddleware } = require("../authMiddleware");
+const { issueSession, rotateRefreshToken, revokeSession, revokeAllSessions } = require("../utils/session");
+const { consumeUserToken } = require("../utils/userTokens");
+const {
+  MAX_ACCESS_TOKENS,
+  MAX_ACCESS_TOKEN_DAYS,
+  createAccessToken,
+  countActiveAccessTokens,
+  listAccessTokens,
+  revokeAccessToken,
+  formatAccessToken
+} = require("../utils/accessTokens");
+const { sendVerificationEmail, sendPasswordResetEmail, sendAccountDeletionEmail } = require("../utils/accountEmails");
+const { scheduleAccountDeletion, cancelAccountDeletion } = require("../utils/accountDeletion");
+const { writeAccountExport } = require("../utils/accountExport");
+const {
+  createCalendarToken,
+  revokeCalendarToken,
+  findUserByCalendarToken,
+  formatCalendarFeed,
+  buildCalendarFeed
+} = require("../utils/calendarFeed");
+const { getBaseUrl } = require("../utils/applianceFiles");
+const { checkWebhookUrl } = require("../utils/webhookUrl");
 const { OAuth2Client } = require('google-auth-library');
 const bcrypt = require('bcrypt');
-const multer = require("multer");
+const crypto = require("crypto");
+const archiver = require("archiver");
+const {
+  REMINDER_OFFSETS_DAYS,
+  AUTH_RATE_LIMIT_WINDOW_MINUTES,
+  AUTH_RATE_LIMIT_PER_IP,
+  AUTH_RATE_LIMIT_PER_ACCOUNT,
+  ACCOUNT_DELETION_GRACE_DAYS
+} = require("../config");
+const { MAX_REMINDER_OFFSET_DAYS } = require("../jobs/warrantyReminders");
+const { createUpload } = require("../utils/uploads");
+const { getStorageUsage } = require("../utils/storageUsage");
+const { auditQuerySchema, diffFields, recordAudit, listAuditEntries } = require("../utils/audit");
+const {
+  rateLimit,
+  accountKey,
+  sendLimited,
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures
+} = require("../rateLimit");
+const { logger } = require("../utils/logger");
+const { describeRoutes, fileResponse } = require("../openapi/registry");
+const {
+  objectId,
+  MessageResponse,
+  messageResponse,
+  SessionTokens,
+  SessionResponse,
+  AccessTokenResponse,
+  CalendarFeed,
+  UserProfile,
+  NotificationPreferences,
+  NotificationResponse,
+  AuditEntry,
+  StorageUsage
+} = require("../openapi/schemas");
+
+const api = describeRoutes("/user", "Users");
 
 const signUpBody = zod.object({
   username: zod.string().email().refine(
@@ -27,19 +87,57 @@ const signUpBody = zod.object({
   password: zod.string()
 });
 
-const upload = multer({
-  limits: {fileSize: 5 * 1024 * 1024 },
-  fileFilter (req, file, cb) {
-    if (!file.originalname.match(/\.(jpg|jpeg|png|pdf)$/)) {
-      return cb(new Error('only image and PDFs allowed'));
-    }
-    cb(null, true);
-  },
-});
+const upload = createUpload();
 
 const googleClient = new OAuth2Client();
 
-router.post("/google", async (req, res) => {
+const authWindowMs = AUTH_RATE_LIMIT_WINDOW_MINUTES * 60 * 1000;
+
+const authIpLimit = rateLimit({
+  name: 'auth-ip',
+  max: AUTH_RATE_LIMIT_PER_IP,
+  windowMs: authWindowMs
+});
+
+// Counts attempts against the submitted email whether or not an account
+// exists for it, so the limit can't be used to discover accounts
+const authAccountLimit = rateLimit({
+  name: 'auth-account',
+  max: AUTH_RATE_LIMIT_PER_ACCOUNT,
+  windowMs: authWindowMs,
+  key: (req) => accountKey(req.body && req.body.username)
+});
+
+// Compared against when no account matches, so unknown emails take as long
+// to reject as wrong passwords
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+const LOCKED_MESSAGE = "Too many failed sign in attempts. Try again later or reset your password.";
+
+// Account changes are recorded against the user they affect. Routes without
+// an authenticated session (sign in, password reset) name the actor explicitly.
+const auditUser = (req, userId, action, fields = {}) => recordAudit(req, {
+  action,
+  targetType: 'user',
+  targetId: userId,
+  actorId: userId,
+  ...fields
+});
+
+api.post("/google", {
+  summary: "Sign in with Google",
+  description: "Verifies a Google ID token and starts a session, creating the account on first sign in.",
+  public: true,
+  body: zod.object({
+    credential: zod.string().openapi({ description: "Google ID token" })
+  }),
+  responses: {
+    200: messageResponse(SessionTokens.shape),
+    400: "No credential or an invalid Google ID token",
+    429: "Too many attempts from this address"
+  }
+});
+router.post("/google", authIpLimit, async (req, res) => {
   try {
     if (!process.env.GOOGLE_CLIENT_ID) {
       throw new Error('Google Client ID not configured');
@@ -56,7 +154,7 @@ router.post("/google", async (req, res) => {
       idToken: credential,
       audience: process.env.GOOGLE_CLIENT_ID,
     }).catch(error => {
-      console.error('Error verifying Google token:', error);
+      logger.error('Error verifying Google token', { err: error });
       throw new Error('Invalid Google token');
     });
 
@@ -67,30 +165,35 @@ router.post("/google", async (req, res) => {
       });
     }
 
-    const { email, name, given_name, family_name } = payload;
+    const { email, email_verified, name, given_name, family_name } = payload;
 
     let user = await User.findOne({ username: email });
+    const isNewUser = !user;
 
     if (!user) {
+      // The password is never shown; Google users can set one through the password reset flow
       user = await User.create({
         username: email,
         firstName: given_name || name.split(' ')[0],
         lastName: family_name || name.split(' ')[1] || '',
-        password: await bcrypt.hash(Math.random().toString(36).slice(-8), 10),
+        password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+        emailVerifiedAt: email_verified ? new Date() : null
       });
 
       await Account.create({ userId: user._id });
+    } else if (email_verified && !user.emailVerifiedAt) {
+      user.emailVerifiedAt = new Date();
+      await user.save();
     }
 
-    const token = jwt.sign(
-      { userId: user._id, email: user.username, name: user.firstName + ' ' + user.lastName },
-      JWT_SECRET,
-      { expiresIn: '7d'}
-    );
+    const tokens = await issueSession(user, req, 'google');
+    await auditUser(req, user._id, isNewUser ? 'user.signup' : 'user.login', {
+      details: { method: 'google', sessionId: tokens.sessionId }
+    });
 
-    res.status(200).json({ token, message: 'Authentication successful' });
+    res.status(200).json({ ...tokens, message: 'Authentication successful' });
   } catch (error) {
-    console.error('Error in Google authentication:', error);
+    logger.error('Error in Google authentication', { err: error });
     res.status(500).json({
       message: "Error processing Google authentication",
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
@@ -98,15 +201,38 @@ router.post("/google", async (req, res) => {
   }
 });
 
+api.post("/upload", {
+  summary: "Check a file against the upload rules",
+  description: "Runs the upload validation without storing anything and echoes the accepted file.",
+  public: true,
+  files: {
+    file: { description: "JPEG, PNG or PDF, at most 5MB", required: true }
+  },
+  responses: {
+    200: messageResponse({ file: zod.object({}).passthrough() }),
+    400: "No file uploaded, or the file is corrupt"
+  }
+});
 router.post('/upload', upload.single('file'), (req, res) => {
   if(!req.file) {
-    return res.status(400).json({ message: 'Invalid file type or size.' });
+    return res.status(400).json({ message: 'No file uploaded' });
   }
 
   res.status(200).json({ message: 'File uploaded successfully', file: req.file });
 });
 
-router.post("/signup", async (req, res) => {
+api.post("/signup", {
+  summary: "Create an account",
+  description: "Sends a verification email and starts a session.",
+  public: true,
+  body: signUpBody,
+  responses: {
+    201: messageResponse(SessionTokens.shape),
+    409: "Email already taken",
+    429: "Too many attempts from this address or for this email"
+  }
+});
+router.post("/signup", authIpLimit, authAccountLimit, async (req, res) => {
   const result = signUpBody.safeParse(req.body)
   if (!result.success) {
     return res.status(400).json({
@@ -139,18 +265,21 @@ router.post("/signup", async (req, res) => {
       userId,
     })
 
-    const token = jwt.sign({
-      userId
-    }, JWT_SECRET,
-      { expiresIn: '12h' }
-    );
+    sendVerificationEmail(user).catch(error => {
+      logger.error('Error sending verification email', { err: error });
+    });
+
+    const tokens = await issueSession(user, req, 'signup');
+    await auditUser(req, user._id, 'user.signup', {
+      details: { method: 'password', sessionId: tokens.sessionId }
+    });
 
     res.status(201).json({
       message: "User created successfully!",
-      token: token
+      ...tokens
     })
   } catch (error) {
-    console.error('Error creating user:', error);
+    logger.error('Error creating user', { err: error });
     res.status(500).json({
       message: "Error creating user",
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
@@ -173,8 +302,20 @@ const signinBody = zod.object({
   password: zod.string()
 })
 
-router.post("/signin", async (req, res) => {
-  const { success } = signinBody.safeParse(req.body)
+api.post("/signin", {
+  summary: "Sign in with email and password",
+  description: "Repeated failures lock the account for increasingly long periods.",
+  public: true,
+  body: signinBody,
+  responses: {
+    200: SessionTokens,
+    401: "Invalid credentials",
+    423: "Too many failed sign in attempts",
+    429: "Too many attempts from this address or for this email"
+  }
+});
+router.post("/signin", authIpLimit, authAccountLimit, async (req, res) => {
+  const { success, error } = signinBody.safeParse(req.body)
 
   if (!success) {
     return res.status(400).json({
@@ -183,66 +324,195 @@ router.post("/signin", async (req, res) => {
     })
   }
 
-  const user = await User.findOne({
-    username: req.body.username
-  });
+  try {
+    // Locks are keyed by the submitted email, so a locked unknown email gets
+    // exactly the same answer as a locked account
+    const lockedFor = await getLoginLockout(req.body.username);
+    if (lockedFor) {
+      return sendLimited(res, 423, LOCKED_MESSAGE, lockedFor);
+    }
 
-  if (!user) {
-    return res.status(401).json({
-      message: "Invalid credentials"
+    const user = await User.findOne({
+      username: req.body.username
     });
+
+    const isPasswordValid = await bcrypt.compare(req.body.password, user ? user.password : DUMMY_PASSWORD_HASH);
+
+    if (!user || !isPasswordValid) {
+      await recordLoginFailure(req.body.username);
+      if (user) {
+        // Failed attempts show up in the account owner's activity
+        await auditUser(req, user._id, 'user.login_failed', { actorId: null });
+      }
+      return res.status(401).json({
+        message: "Invalid credentials"
+      });
+    }
+
+    await clearLoginFailures(req.body.username);
+    const tokens = await issueSession(user, req, 'password');
+    await auditUser(req, user._id, 'user.login', {
+      details: { method: 'password', sessionId: tokens.sessionId }
+    });
+
+    res.json(tokens);
+  } catch (error) {
+    logger.error('Error signing in', { err: error });
+    res.status(500).json({
+      message: "Error signing in",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+})
+
+const refreshBody = zod.object({
+  refreshToken: zod.string().min(1)
+});
+
+api.post("/token/refresh", {
+  summary: "Exchange a refresh token for new tokens",
+  description: "Refresh tokens are single use; the response carries the replacement.",
+  public: true,
+  body: refreshBody,
+  responses: {
+    200: SessionTokens,
+    401: "Invalid or expired refresh token"
   }
+});
+router.post("/token/refresh", async (req, res) => {
+  try {
+    const { success } = refreshBody.safeParse(req.body);
+    if (!success) {
+      return res.status(400).json({
+        message: "Refresh token is required"
+      });
+    }
 
-  const isPasswordValid = await bcrypt.compare(req.body.password, user.password);
+    const tokens = await rotateRefreshToken(req.body.refreshToken, req);
+    if (!tokens) {
+      return res.status(401).json({
+        message: "Invalid or expired refresh token"
+      });
+    }
 
-  if (!isPasswordValid) {
-    return res.status(401).json({
-      message: "Invalid credentials"
+    res.json(tokens);
+  } catch (error) {
+    logger.error('Error refreshing token', { err: error });
+    res.status(500).json({
+      message: "Error refreshing token",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
+});
+
+api.post("/logout", {
+  summary: "End the current session",
+  responses: {
+    200: MessageResponse
+  }
+});
+router.post("/logout", authMiddleware, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, req.userId);
+    await auditUser(req, req.userId, 'user.logout');
 
-  const token = jwt.sign({
-    userId: user._id
-  }, JWT_SECRET);
+    res.json({
+      message: "Logged out successfully"
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error logging out",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
 
-  res.json({
-    token: token
-  });
-})
+api.get("/sessions", {
+  summary: "List active sessions",
+  responses: {
+    200: zod.object({ sessions: zod.array(SessionResponse) })
+  }
+});
+router.get("/sessions", authMiddleware, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
 
-const updateBody = zod.object({
-  password: zod.string().optional(),
-  firstName: zod.string().optional(),
-  lastName: zod.string().optional(),
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        method: session.method,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching sessions",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
 });
 
-router.get("/", authMiddleware, async (req, res) => {
+api.delete("/sessions/:id", {
+  summary: "Revoke a session",
+  responses: {
+    200: MessageResponse,
+    404: "Session not found"
+  }
+});
+router.delete("/sessions/:id", authMiddleware, async (req, res) => {
   try {
-    const user = await User.findById(req.userId);
-    if (!user) {
+    const revoked = mongoose.isValidObjectId(req.params.id) && await revokeSession(req.params.id, req.userId);
+    if (!revoked) {
       return res.status(404).json({
-        message: "User not found"
+        message: "Session not found"
       });
     }
 
+    await auditUser(req, req.userId, 'session.revoke', {
+      details: { sessionId: req.params.id }
+    });
+
     res.json({
-      user: {
-        firstName: user.firstName,
-        lastName: user.lastName,
-        username: user.username
-      }
+      message: "Session revoked"
     });
   } catch (error) {
     res.status(500).json({
-      message: "Error fetching user information",
+      message: "Error revoking session",
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
-router.put("/", authMiddleware, async (req, res) => {
+const accessTokenBody = zod.object({
+  name: zod.string().trim().min(1, "Name is required").max(100),
+  scopes: zod.array(zod.enum(ACCESS_TOKEN_SCOPES)).min(1, "At least one scope is required"),
+  expiresInDays: zod.number().int().min(1).max(MAX_ACCESS_TOKEN_DAYS).nullable().optional()
+});
+
+api.post("/tokens", {
+  summary: "Create a personal access token",
+  description: "The token is only returned in this response. Without `expiresInDays` it never expires.",
+  body: accessTokenBody,
+  responses: {
+    201: messageResponse({
+      token: zod.string().openapi({ description: "Send as `Authorization: Bearer <token>`" }),
+      accessToken: AccessTokenResponse
+    }),
+    400: "Invalid input, or too many active tokens"
+  }
+});
+router.post("/tokens", authMiddleware, async (req, res) => {
   try {
-    const { success, data, error } = updateBody.safeParse(req.body);
+    const { success, data, error } = accessTokenBody.safeParse(req.body);
     if (!success) {
       return res.status(400).json({
         message: "Invalid input data",
@@ -250,34 +520,929 @@ router.put("/", authMiddleware, async (req, res) => {
       });
     }
 
-    const user = await User.findById(req.userId);
+    if (await countActiveAccessTokens(req.userId) >= MAX_ACCESS_TOKENS) {
+      return res.status(400).json({
+        message: `You can have at most ${MAX_ACCESS_TOKENS} active access tokens, revoke one first`
+      });
+    }
+
+    const { token, accessToken } = await createAccessToken(req.userId, data);
+    await auditUser(req, req.userId, 'token.create', {
+      details: { accessTokenId: accessToken._id, name: accessToken.name, scopes: accessToken.scopes }
+    });
+
+    res.status(201).json({
+      message: "Access token created, copy it now as it won't be shown again",
+      token,
+      accessToken: formatAccessToken(accessToken)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error creating access token",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.get("/tokens", {
+  summary: "List active personal access tokens",
+  responses: {
+    200: zod.object({ tokens: zod.array(AccessTokenResponse) })
+  }
+});
+router.get("/tokens", authMiddleware, async (req, res) => {
+  try {
+    const tokens = await listAccessTokens(req.userId);
+
+    res.json({
+      tokens: tokens.map(formatAccessToken)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching access tokens",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.delete("/tokens/:id", {
+  summary: "Revoke a personal access token",
+  responses: {
+    200: MessageResponse,
+    404: "Access token not found"
+  }
+});
+router.delete("/tokens/:id", authMiddleware, async (req, res) => {
+  try {
+    const accessToken = mongoose.isValidObjectId(req.params.id) && await revokeAccessToken(req.params.id, req.userId);
+    if (!accessToken) {
+      return res.status(404).json({
+        message: "Access token not found"
+      });
+    }
+
+    await auditUser(req, req.userId, 'token.revoke', {
+      details: { accessTokenId: accessToken._id, name: accessToken.name }
+    });
+
+    res.json({
+      message: "Access token revoked"
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error revoking access token",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.get("/calendar", {
+  summary: "Get the calendar feed settings",
+  responses: {
+    200: zod.object({ calendar: CalendarFeed }),
+    404: "User not found"
+  }
+});
+router.get("/calendar", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('calendarFeed');
     if (!user) {
       return res.status(404).json({
         message: "User not found"
       });
     }
 
-    if (data.password) {
-      data.password = await bcrypt.hash(data.password, 10);
+    res.json({
+      calendar: formatCalendarFeed(user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching calendar feed",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.post("/calendar/token", {
+  summary: "Create or regenerate the calendar feed URL",
+  description: "Returns a secret iCalendar URL to subscribe to from Google Calendar, Apple Calendar or Outlook. " +
+    "The URL is only returned in this response. Regenerating it replaces the previous URL, " +
+    "so calendars subscribed to that one stop receiving updates.",
+  responses: {
+    201: messageResponse({
+      url: zod.string().url(),
+      webcalUrl: zod.string().openapi({ description: "The same feed as a webcal:// link, which opens the calendar app" }),
+      calendar: CalendarFeed
+    }),
+    404: "User not found"
+  }
+});
+router.post("/calendar/token", authMiddleware, async (req, res) => {
+  try {
+    const previous = await User.findById(req.userId).select('calendarFeed');
+    const created = previous && await createCalendarToken(req.userId);
+    if (!created) {
+      return res.status(404).json({
+        message: "User not found"
+      });
     }
 
-    const updatedUser = await User.findByIdAndUpdate(
-      req.userId,
-      { $set: data },
-      { new: true }
+    const regenerated = formatCalendarFeed(previous).enabled;
+    await auditUser(req, req.userId, 'calendar.token_create', { details: { regenerated } });
+
+    const url = `${getBaseUrl(req)}/calendar/${created.token}.ics`;
+    res.status(201).json({
+      message: regenerated
+        ? "Calendar feed URL regenerated, calendars subscribed to the old URL will stop updating"
+        : "Calendar feed URL created, copy it now as it won't be shown again",
+      url,
+      webcalUrl: url.replace(/^https?:/, 'webcal:'),
+      calendar: formatCalendarFeed(created.user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error creating calendar feed URL",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.delete("/calendar/token", {
+  summary: "Turn off the calendar feed",
+  description: "Calendars subscribed to the feed stop receiving updates.",
+  responses: {
+    200: MessageResponse,
+    404: "Calendar feed is not enabled"
+  }
+});
+router.delete("/calendar/token", authMiddleware, async (req, res) => {
+  try {
+    const user = await revokeCalendarToken(req.userId);
+    if (!user) {
+      return res.status(404).json({
+        message: "Calendar feed is not enabled"
+      });
+    }
+
+    await auditUser(req, req.userId, 'calendar.token_revoke');
+
+    res.json({
+      message: "Calendar feed turned off"
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error turning off calendar feed",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.get("/calendar/:token.ics", {
+  summary: "Calendar feed",
+  description: "All-day events for every warranty, extended warranty and insurance end date and the next due date " +
+    "of every maintenance task, on the user's appliances and those shared with their households. " +
+    "Warranty events carry alarms at the user's reminder offsets. " +
+    "Event UIDs stay the same when dates change, so subscribed calendars update events rather than duplicate them. " +
+    "Authenticated by the secret token in the URL.",
+  public: true,
+  responses: {
+    200: fileResponse("iCalendar feed", ["text/calendar"]),
+    404: "Calendar feed not found"
+  }
+});
+router.get("/calendar/:token.ics", async (req, res) => {
+  try {
+    const user = await findUserByCalendarToken(req.params.token);
+    if (!user) {
+      return res.status(404).json({
+        message: "Calendar feed not found"
+      });
+    }
+
+    const calendar = await buildCalendarFeed(user);
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="warranties.ics"');
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.send(calendar);
+  } catch (error) {
+    logger.error('Error building calendar feed', { err: error });
+    res.status(500).json({
+      message: "Error building calendar feed",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+const updateBody = zod.object({
+  password: zod.string().min(6).optional(),
+  currentPassword: zod.string().optional(),
+  firstName: zod.string().optional(),
+  lastName: zod.string().optional(),
+});
+
+api.post("/email/verify", {
+  summary: "Verify an email address",
+  public: true,
+  body: zod.object({
+    token: zod.string().openapi({ description: "Token from the verification email" })
+  }),
+  responses: {
+    200: MessageResponse,
+    400: "Invalid or expired verification link"
+  }
+});
+router.post("/email/verify", async (req, res) => {
+  try {
+    const userToken = await consumeUserToken(req.body.token, 'email_verification');
+    if (!userToken) {
+      return res.status(400).json({
+        message: "Invalid or expired verification link"
+      });
+    }
+
+    const { modifiedCount } = await User.updateOne(
+      { _id: userToken.userId, emailVerifiedAt: null },
+      { $set: { emailVerifiedAt: new Date() } }
     );
+    if (modifiedCount) {
+      await auditUser(req, userToken.userId, 'user.email_verify');
+    }
 
     res.json({
-      message: "Profile updated successfully",
-      user: {
-        firstName: updatedUser.firstName,
-        lastName: updatedUser.lastName,
-        username: updatedUser.username
-      }
+      message: "Email verified successfully"
     });
   } catch (error) {
     res.status(500).json({
-      message: "Error updating profile",
+      message: "Error verifying email",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.post("/email/verify/resend", {
+  summary: "Resend the verification email",
+  responses: {
+    200: MessageResponse,
+    400: "Email is already verified",
+    404: "User not found"
+  }
+});
+router.post("/email/verify/resend", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({
+        message: "User not found"
+      });
+    }
+
+    if (user.emailVerifiedAt) {
+      return res.status(400).json({
+        message: "Email is already verified"
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      message: "Verification email sent"
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error sending verification email",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+const forgotPasswordBody = zod.object({
+  username: zod.string().email()
+});
+
+api.post("/password/forgot", {
+  summary: "Request a password reset email",
+  description: "Answers the same whether or not an account exists for the email.",
+  public: true,
+  body: forgotPasswordBody,
+  responses: {
+    200: MessageResponse,
+    429: "Too many attempts from this address or for this email"
+  }
+});
+router.post("/password/forgot", authIpLimit, authAccountLimit, async (req, res) => {
+  const { success, error } = forgotPasswordBody.safeParse(req.body);
+  if (!success) {
+    return res.status(400).json({
+      message: "Invalid input data",
+      errors: error.errors
+    });
+  }
+
+  try {
+    const user = await User.findOne({ username: req.body.username.toLowerCase() });
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+  } catch (error) {
+    logger.error('Error sending password reset email', { err: error });
+  }
+
+  // Same response whether or not the account exists, so emails can't be enumerated
+  res.json({
+    message: "If an account exists for that email, a password reset link has been sent"
+  });
+});
+
+const resetPasswordBody = zod.object({
+  token: zod.string().min(1),
+  password: zod.string().min(6)
+});
+
+api.post("/password/reset", {
+  summary: "Set a new password with a reset token",
+  description: "Signs out every session of the account.",
+  public: true,
+  body: resetPasswordBody,
+  responses: {
+    200: MessageResponse,
+    400: "Invalid input, or an invalid or expired reset link"
+  }
+});
+router.post("/password/reset", async (req, res) => {
+  try {
+    const { success, error } = resetPasswordBody.safeParse(req.body);
+    if (!success) {
+      return res.status(400).json({
+        message: "Invalid input data",
+        errors: error.errors
+      });
+    }
+
+    const userToken = await consumeUserToken(req.body.token, 'password_reset');
+    if (!userToken) {
+      return res.status(400).json({
+        message: "Invalid or expired password reset link"
+      });
+    }
+
+    const user = await User.findById(userToken.userId);
+    if (!user) {
+      return res.status(400).json({
+        message: "Invalid or expired password reset link"
+      });
+    }
+
+    user.password = await bcrypt.hash(req.body.password, 10);
+    user.passwordChangedAt = new Date();
+    // Receiving the reset email proves the user controls the address
+    if (!user.emailVerifiedAt) {
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await revokeAllSessions(user._id);
+    await auditUser(req, user._id, 'user.password_reset');
+
+    res.json({
+      message: "Password has been reset, please sign in again"
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error resetting password",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.get("/", {
+  summary: "Get the signed in user",
+  responses: {
+    200: zod.object({ user: UserProfile }),
+    404: "User not found"
+  }
+});
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({
+        message: "User not found"
+      });
+    }
+
+    res.json({
+      user: {
+        firstName: user.firstName,
+        lastName: user.lastName,
+        username: user.username,
+        emailVerified: Boolean(user.emailVerifiedAt),
+        deletionScheduledAt: user.deletionScheduledAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching user information",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.put("/", {
+  summary: "Update the profile or password",
+  description: "Changing the password requires `currentPassword` and signs out every other session.",
+  body: updateBody,
+  responses: {
+    200: messageResponse({ user: UserProfile }),
+    401: "Current password is incorrect, or the session has expired",
+    404: "User not found"
+  }
+});
+router.put("/", authMiddleware, async (req, res) => {
+  try {
+    const { success, data, error } = updateBody.safeParse(req.body);
+    if (!success) {
+      return res.status(400).json({
+        message: "Invalid input data",
+        errors: error.errors
+      });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({
+        message: "User not found"
+      });
+    }
+
+    const { currentPassword, ...update } = data;
+
+    if (update.password) {
+      if (!currentPassword || !await bcrypt.compare(currentPassword, user.password)) {
+        return res.status(401).json({
+          message: "Current password is incorrect"
+        });
+      }
+      update.password = await bcrypt.hash(update.password, 10);
+      update.passwordChangedAt = new Date();
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+      req.userId,
+      { $set: update },
+      { new: true }
+    );
+
+    // A password change signs out every other device
+    if (update.password) {
+      await revokeAllSessions(req.userId, { except: req.sessionId });
+      await auditUser(req, req.userId, 'user.password_change');
+    }
+
+    const profileFields = (profile) => ({ firstName: profile.firstName, lastName: profile.lastName });
+    const changes = diffFields(profileFields(user), profileFields(updatedUser));
+    if (changes.length) {
+      await auditUser(req, req.userId, 'user.update', { changes });
+    }
+
+    res.json({
+      message: "Profile updated successfully",
+      user: {
+        firstName: updatedUser.firstName,
+        lastName: updatedUser.lastName,
+        username: updatedUser.username
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error updating profile",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+const deleteAccountBody = zod.object({
+  password: zod.string().min(1).optional(),
+  credential: zod.string().min(1).optional().openapi({ description: "Fresh Google ID token, for accounts that sign in with Google" })
+}).refine(body => body.password || body.credential, {
+  message: "Confirm with your password or by signing in with Google again"
+});
+
+// Guessing the password through a stolen session is limited like sign in is
+const reauthLimit = rateLimit({
+  name: 'reauth',
+  max: AUTH_RATE_LIMIT_PER_ACCOUNT,
+  windowMs: authWindowMs,
+  key: (req) => req.userId
+});
+
+// Fresh proof of identity on top of the session: the password, or a new
+// Google ID token for the same, verified address
+const reauthenticate = async (user, { password, credential }) => {
+  if (password) {
+    return bcrypt.compare(password, user.password);
+  }
+  const ticket = await googleClient.verifyIdToken({
+    idToken: credential,
+    audience: process.env.GOOGLE_CLIENT_ID
+  }).catch(() => null);
+  const payload = ticket && ticket.getPayload();
+  return Boolean(payload && payload.email_verified && payload.email.toLowerCase() === user.username);
+};
+
+api.delete("/", {
+  summary: "Delete the account",
+  description: `Requires the password, or a fresh Google ID token, again. The account is signed out everywhere and deleted ` +
+    `for good, with its appliances, receipts, service history and claims, after a ${ACCOUNT_DELETION_GRACE_DAYS} day grace period. ` +
+    "Signing in and calling `POST /user/deletion/cancel` before then keeps it.",
+  body: deleteAccountBody,
+  responses: {
+    200: messageResponse({ deletionScheduledAt: zod.string().datetime() }),
+    401: "Password or Google account didn't match, or the session has expired",
+    404: "User not found",
+    409: "Deletion is already scheduled",
+    429: "Too many attempts"
+  }
+});
+router.delete("/", authMiddleware, reauthLimit, async (req, res) => {
+  try {
+    const { success, data, error } = deleteAccountBody.safeParse(req.body);
+    if (!success) {
+      return res.status(400).json({
+        message: "Invalid input data",
+        errors: error.errors
+      });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({
+        message: "User not found"
+      });
+    }
+
+    if (user.deletionScheduledAt) {
+      return res.status(409).json({
+        message: "Account deletion is already scheduled",
+        deletionScheduledAt: user.deletionScheduledAt
+      });
+    }
+
+    if (!await reauthenticate(user, data)) {
+      return res.status(401).json({
+        message: "Password or Google account didn't match"
+      });
+    }
+
+    const scheduled = await scheduleAccountDeletion(user._id);
+    if (!scheduled) {
+      return res.status(409).json({
+        message: "Account deletion is already scheduled"
+      });
+    }
+    await auditUser(req, user._id, 'user.delete_request', {
+      details: { deletionScheduledAt: scheduled.deletionScheduledAt }
+    });
+
+    sendAccountDeletionEmail(scheduled).catch(error => {
+      logger.error('Error sending account deletion email', { err: error });
+    });
+
+    res.json({
+      message: "Your account will be deleted at the end of the grace period, cancel it before then with POST /user/deletion/cancel",
+      deletionScheduledAt: scheduled.deletionScheduledAt
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error deleting account",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.post("/deletion/cancel", {
+  summary: "Cancel a scheduled account deletion",
+  responses: {
+    200: MessageResponse,
+    404: "No deletion is scheduled"
+  }
+});
+router.post("/deletion/cancel", authMiddleware, async (req, res) => {
+  try {
+    const user = await cancelAccountDeletion(req.userId);
+    if (!user) {
+      return res.status(404).json({
+        message: "No account deletion is scheduled"
+      });
+    }
+
+    await auditUser(req, req.userId, 'user.delete_cancel');
+
+    res.json({
+      message: "Account deletion cancelled"
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error cancelling account deletion",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+const exportLimit = rateLimit({
+  name: 'account-export',
+  max: 3,
+  windowMs: 60 * 60 * 1000,
+  key: (req) => req.userId,
+  message: "Exports are limited to 3 an hour, please try again later"
+});
+
+api.get("/export", {
+  summary: "Download everything in the account",
+  description: "A ZIP archive with `account.json`, `appliances.json` and `notifications.json`, plus every receipt, " +
+    "earlier receipt version, product image and attachment under `files/` as originally uploaded. " +
+    "Each file in the JSON has the `path` of its copy in the archive.",
+  responses: {
+    200: fileResponse("ZIP archive of the account", ["application/zip"]),
+    404: "User not found",
+    429: "Too many exports"
+  }
+});
+router.get("/export", authMiddleware, exportLimit, async (req, res) => {
+  let archive;
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({
+        message: "User not found"
+      });
+    }
+
+    archive = archiver('zip', { zlib: { level: 6 } });
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="account-export-${new Date().toISOString().slice(0, 10)}.zip"`);
+    res.setHeader('Cache-Control', 'no-store');
+    archive.pipe(res);
+
+    await writeAccountExport(archive, user);
+    await auditUser(req, req.userId, 'user.export');
+  } catch (error) {
+    logger.error('Error exporting account', { err: error });
+    // Once the archive has started streaming the status can't change, so
+    // the connection is cut and the client sees a truncated download
+    if (res.headersSent) {
+      archive.abort();
+      return res.destroy(error);
+    }
+    // Otherwise the error would be sent as the ZIP download
+    res.removeHeader('Content-Type');
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({
+      message: "Error exporting account",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+const notificationsBody = zod.object({
+  email: zod.boolean().optional(),
+  inApp: zod.boolean().optional(),
+  webhook: zod.boolean().optional(),
+  webhookUrl: zod.string().url().nullable().optional(),
+  webhookSecret: zod.string().min(16).nullable().optional(),
+  reminderOffsets: zod.array(zod.number().int().min(1).max(MAX_REMINDER_OFFSET_DAYS)).max(10).nullable().optional()
+});
+
+const formatNotificationPreferences = (notifications) => ({
+  email: notifications.email,
+  inApp: notifications.inApp,
+  webhook: notifications.webhook,
+  webhookUrl: notifications.webhookUrl,
+  hasWebhookSecret: Boolean(notifications.webhookSecret),
+  reminderOffsets: notifications.reminderOffsets && notifications.reminderOffsets.length
+    ? notifications.reminderOffsets
+    : REMINDER_OFFSETS_DAYS
+});
+
+api.get("/notifications", {
+  summary: "Get notification preferences",
+  responses: {
+    200: zod.object({ notifications: NotificationPreferences }),
+    404: "User not found"
+  }
+});
+router.get("/notifications", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('notifications');
+    if (!user) {
+      return res.status(404).json({
+        message: "User not found"
+      });
+    }
+
+    res.json({
+      notifications: formatNotificationPreferences(user.notifications)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching notification preferences",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.put("/notifications", {
+  summary: "Update notification preferences",
+  body: notificationsBody,
+  responses: {
+    200: messageResponse({ notifications: NotificationPreferences }),
+    400: "Invalid input, webhooks enabled without a URL, or a webhook URL that isn't public",
+    404: "User not found"
+  }
+});
+router.put("/notifications", authMiddleware, async (req, res) => {
+  try {
+    const { success, data, error } = notificationsBody.safeParse(req.body);
+    if (!success) {
+      return res.status(400).json({
+        message: "Invalid input data",
+        errors: error.errors
+      });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({
+        message: "User not found"
+      });
+    }
+
+    const before = formatNotificationPreferences(user.notifications);
+    Object.entries(data).forEach(([key, value]) => {
+      if (key === 'reminderOffsets' && value) {
+        value = [...new Set(value)].sort((a, b) => b - a);
+      }
+      user.set(`notifications.${key}`, value);
+    });
+
+    if (user.notifications.webhook && !user.notifications.webhookUrl) {
+      return res.status(400).json({
+        message: "A webhook URL is required to enable webhook notifications"
+      });
+    }
+    if (data.webhookUrl) {
+      await checkWebhookUrl(data.webhookUrl);
+    }
+
+    await user.save();
+
+    // Compared in API shape, so the webhook secret never lands in the log
+    const changes = diffFields(before, formatNotificationPreferences(user.notifications));
+    if (changes.length) {
+      await auditUser(req, req.userId, 'user.notifications_update', { changes });
+    }
+
+    res.json({
+      message: "Notification preferences updated",
+      notifications: formatNotificationPreferences(user.notifications)
+    });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({
+      message: "Error updating notification preferences",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.get("/notifications/inbox", {
+  summary: "List in-app notifications, newest first",
+  query: zod.object({
+    unread: zod.enum(["true", "false"]).optional(),
+    limit: zod.number().int().min(1).max(100).default(50)
+  }),
+  responses: {
+    200: zod.object({
+      notifications: zod.array(NotificationResponse),
+      unreadCount: zod.number().int()
+    })
+  }
+});
+router.get("/notifications/inbox", authMiddleware, async (req, res) => {
+  try {
+    const query = { userId: req.userId };
+    if (req.query.unread === 'true') {
+      query.readAt = null;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit);
+    const unreadCount = await Notification.countDocuments({ userId: req.userId, readAt: null });
+
+    res.json({
+      notifications,
+      unreadCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching notifications",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+api.put("/notifications/inbox/:id/read", {
+  summary: "Mark a notification as read",
+  responses: {
+    200: zod.object({ notification: NotificationResponse }),
+    404: "Notification not found"
+  }
+});
+router.put("/notifications/inbox/:id/read", authMiddleware, async (req, res) => {
+  try {
+    const notification = mongoose.isValidObjectId(req.params.id) && await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.userId },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        message: "Notification not found"
+      });
+    }
+
+    res.json({
+      notification
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error updating notification",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// The caller's own actions plus anything done to their account, such as
+// failed sign in attempts
+api.get("/activity", {
+  summary: "List the account's activity, newest first",
+  query: auditQuerySchema,
+  responses: {
+    200: zod.object({
+      activity: zod.array(AuditEntry),
+      nextCursor: objectId.nullable()
+    })
+  }
+});
+router.get("/activity", authMiddleware, async (req, res) => {
+  try {
+    const { success, data, error } = auditQuerySchema.safeParse(req.query);
+    if (!success) {
+      return res.status(400).json({
+        message: "Invalid query parameters",
+        errors: error.errors
+      });
+    }
+
+    const { entries, nextCursor } = await listAuditEntries({
+      $or: [
+        { actorId: req.userId },
+        { targetType: 'user', targetId: req.userId }
+      ]
+    }, data);
+
+    res.json({
+      activity: entries,
+      nextCursor
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching activity",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Storage used by the caller's appliances against their quota, largest
+// appliances first
+api.get("/usage", {
+  summary: "Get storage usage against the quota",
+  responses: {
+    200: zod.object({ usage: StorageUsage })
+  }
+});
+router.get("/usage", authMiddleware, async (req, res) => {
+  try {
+    res.json({
+      usage: await getStorageUsage(req.userId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching storage usage",
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
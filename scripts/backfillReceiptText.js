@@ -0,0 +1,64 @@
+// Extracts the text of PDF receipts uploaded before receipt text existed, then
+// rebuilds the appliance text index so it covers receipt text. Safe to run
+// again; receipts already read are skipped.
+//
+// Usage: npm run backfill:receipt-text
+const mongoose = require('mongoose');
+const { Appliance, connectDB } = require('../db');
+const { readFile } = require('../storage');
+const { extractPdfText } = require('../utils/receiptText');
+
+const TEXT_INDEX = 'appliance_text';
+
+// An index with the same name but other fields can't be created over the old
+// one, so the old one is dropped first
+const rebuildTextIndex = async () => {
+  const indexes = await Appliance.collection.indexes();
+  const existing = indexes.find(index => index.name === TEXT_INDEX);
+  if (existing && existing.weights && existing.weights['receipts.text']) {
+    return false;
+  }
+  if (existing) {
+    await Appliance.collection.dropIndex(TEXT_INDEX);
+  }
+  await Appliance.createIndexes();
+  return true;
+};
+
+const run = async () => {
+  await connectDB();
+
+  const cursor = Appliance.find({
+    receipts: { $elemMatch: { contentType: 'application/pdf', textExtractedAt: null } }
+  }).cursor();
+
+  let receipts = 0;
+  let withText = 0;
+  for await (const appliance of cursor) {
+    try {
+      const pending = appliance.receipts.filter(receipt => receipt.contentType === 'application/pdf' && !receipt.textExtractedAt);
+      for (const receipt of pending) {
+        receipt.text = await extractPdfText(await readFile(receipt));
+        receipt.textExtractedAt = new Date();
+      }
+      await appliance.save({ validateBeforeSave: false });
+      receipts += pending.length;
+      withText += pending.filter(receipt => receipt.text).length;
+    } catch (error) {
+      console.error(`Error extracting receipt text for appliance ${appliance._id}:`, error);
+    }
+  }
+
+  console.log(`Read ${receipts} PDF receipt(s), ${withText} with a text layer`);
+
+  if (await rebuildTextIndex()) {
+    console.log('Rebuilt the appliance text index to include receipt text');
+  }
+};
+
+run()
+  .catch(error => {
+    console.error('Receipt text backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
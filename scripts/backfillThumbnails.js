@@ -0,0 +1,43 @@
+// Generates thumbnail and medium renditions for product images uploaded
+// before renditions existed.
+//
+// Usage: npm run backfill:thumbnails
+const mongoose = require('mongoose');
+const { Appliance, connectDB } = require('../db');
+const { readFile } = require('../storage');
+const { prepareRenditions, saveRenditions } = require('../utils/thumbnails');
+
+const run = async () => {
+  await connectDB();
+
+  const cursor = Appliance.find({
+    'productImage.fileName': { $exists: true },
+    'productImage.renditions.thumbnail.key': { $exists: false }
+  }).cursor();
+
+  let backfilled = 0;
+  for await (const appliance of cursor) {
+    try {
+      const image = appliance.productImage;
+      const generated = await prepareRenditions(await readFile(image), image.contentType, { applianceId: appliance._id });
+      const renditions = await saveRenditions(generated, appliance._id, image.fileName);
+      if (!renditions.thumbnail) {
+        continue;
+      }
+      image.renditions = renditions;
+      await appliance.save({ validateBeforeSave: false });
+      backfilled++;
+    } catch (error) {
+      console.error(`Error generating renditions for appliance ${appliance._id}:`, error);
+    }
+  }
+
+  console.log(`Generated renditions for ${backfilled} appliance(s)`);
+};
+
+run()
+  .catch(error => {
+    console.error('Thumbnail backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,67 @@
+// Fails when the route label of the request metrics depends on the ids in the
+// URL, which would let any client create new Prometheus series. Run it in CI.
+//
+// Usage: npm run check:metrics
+const express = require('express');
+const router = require('../routes');
+const { getRouteLabel } = require('../utils/metrics');
+
+const HEX_ID = '665f1c2e9b1d4a3f8c0e1a2b';
+
+// Paths that must share a label, whatever the ids in them look like
+const CASES = [
+  ['/api/v1/appliance/:id', ['aaa', HEX_ID, 'not%20an%20id']],
+  ['/api/v1/appliance/:id/service', ['aaa', 'bbb', HEX_ID]],
+  ['/api/v1/appliance/:id/service/:serviceId', ['ccc', HEX_ID]]
+];
+
+// Requests `path` without credentials, so the routes answer 403 without
+// touching the database, and returns the label the request was given
+const labelOf = async (app, path) => {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    const labelled = new Promise(resolve => app.once('labelled', resolve));
+    await fetch(`http://127.0.0.1:${server.address().port}${path}`);
+    return await labelled;
+  } finally {
+    server.close();
+  }
+};
+
+const run = async () => {
+  const app = express();
+  app.use((req, res, next) => {
+    res.on('finish', () => app.emit('labelled', getRouteLabel(req)));
+    next();
+  });
+  app.use('/api/v1', router);
+
+  let failures = 0;
+  for (const [template, ids] of CASES) {
+    const labels = [];
+    for (const id of ids) {
+      labels.push(await labelOf(app, template.replace(/:\w+/g, id)));
+    }
+    if (new Set(labels).size !== 1 || labels.some(label => ids.some(id => label.includes(id)))) {
+      console.error(`Route labels for ${template} depend on the id: ${labels.join(', ')}`);
+      failures++;
+    }
+  }
+
+  if (failures) {
+    return 1;
+  }
+  console.log('Route labels are independent of ids');
+  return 0;
+};
+
+run()
+  .catch(error => {
+    console.error('Metric label check failed:', error);
+    return 1;
+  })
+  .then(exitCode => {
+    process.exitCode = exitCode;
+  });
@@ -0,0 +1,32 @@
+// Fails when a route is served without being documented in the OpenAPI
+// document, or documented without being served. Run it in CI.
+//
+// Usage: npm run check:openapi
+const router = require('../routes');
+const { compareWithRoutes } = require('../openapi');
+
+const run = () => {
+  const { undocumented, unserved } = compareWithRoutes(router);
+
+  undocumented.forEach(({ method, path }) => {
+    console.error(`Not in the OpenAPI document: ${method.toUpperCase()} ${path}`);
+  });
+  unserved.forEach(({ method, path }) => {
+    console.error(`Documented but not served: ${method.toUpperCase()} ${path}`);
+  });
+
+  if (undocumented.length || unserved.length) {
+    console.error('Describe each route with api.<method>() next to its handler, see openapi/registry.js');
+    return 1;
+  }
+
+  console.log('Every route is documented');
+  return 0;
+};
+
+try {
+  process.exitCode = run();
+} catch (error) {
+  console.error('OpenAPI check failed:', error);
+  process.exitCode = 1;
+}
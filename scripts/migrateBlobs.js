@@ -0,0 +1,60 @@
+// Moves product images and receipts still stored inline as gzipped base64 in
+// Appliance documents into the configured blob storage backend.
+//
+// Usage: npm run migrate:blobs
+const mongoose = require('mongoose');
+const { Appliance, connectDB } = require('../db');
+const { buildKey, storeFile } = require('../storage');
+const { decompressBuffer } = require('../utils/compression');
+
+const migrateFile = async (file, applianceId) => {
+  const original = await decompressBuffer(Buffer.from(file.data, 'base64'));
+  const stored = await storeFile(original, {
+    key: buildKey('appliances', applianceId, 'files'),
+    contentType: file.contentType,
+    fileName: file.fileName
+  });
+
+  file.key = stored.key;
+  file.codec = stored.codec;
+  file.storedSize = stored.storedSize;
+  file.data = undefined;
+};
+
+const run = async () => {
+  await connectDB();
+
+  const cursor = Appliance.find({
+    $or: [
+      { 'productImage.data': { $exists: true } },
+      { 'receipts.data': { $exists: true } }
+    ]
+  }).cursor();
+
+  let migrated = 0;
+  for await (const appliance of cursor) {
+    try {
+      if (appliance.productImage && appliance.productImage.data) {
+        await migrateFile(appliance.productImage, appliance._id);
+      }
+      for (const receipt of appliance.receipts) {
+        if (receipt.data) {
+          await migrateFile(receipt, appliance._id);
+        }
+      }
+      await appliance.save({ validateBeforeSave: false });
+      migrated++;
+    } catch (error) {
+      console.error(`Error migrating appliance ${appliance._id}:`, error);
+    }
+  }
+
+  console.log(`Migrated ${migrated} appliance(s) to blob storage`);
+};
+
+run()
+  .catch(error => {
+    console.error('Blob migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
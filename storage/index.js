@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { compressBuffer, decompressBuffer } = require('../utils/compression');
+const { createLocalStorage } = require('./localStorage');
+const { createS3Storage } = require('./s3Storage');
+const { observeStoredFile } = require('../utils/metrics');
+const {
+  STORAGE_DRIVER,
+  STORAGE_LOCAL_DIR,
+  STORAGE_CODEC,
+  S3_BUCKET,
+  S3_REGION,
+  S3_ENDPOINT,
+  S3_ACCESS_KEY_ID,
+  S3_SECRET_ACCESS_KEY,
+  S3_FORCE_PATH_STYLE
+} = require('../config');
+
+// Codecs transform file bytes on their way in and out of the storage backend
+const codecs = {
+  none: {
+    encode: async (buffer) => buffer,
+    decode: async (buffer) => buffer
+  },
+  gzip: {
+    encode: compressBuffer,
+    decode: decompressBuffer
+  }
+};
+
+const getCodec = (name) => {
+  const codec = codecs[name || 'none'];
+  if (!codec) {
+    throw new Error(`Unknown storage codec: ${name}`);
+  }
+  return codec;
+};
+
+const createStorage = (driver = STORAGE_DRIVER) => {
+  switch (driver) {
+    case 'local':
+      return createLocalStorage({ root: STORAGE_LOCAL_DIR });
+    case 's3':
+      return createS3Storage({
+        bucket: S3_BUCKET,
+        region: S3_REGION,
+        endpoint: S3_ENDPOINT,
+        accessKeyId: S3_ACCESS_KEY_ID,
+        secretAccessKey: S3_SECRET_ACCESS_KEY,
+        forcePathStyle: S3_FORCE_PATH_STYLE
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+// Replace the backend, e.g. with an in-memory one when testing
+const setStorage = (newStorage) => {
+  storage = newStorage;
+};
+
+const buildKey = (...parts) => [...parts.map(String), crypto.randomUUID()].join('/');
+
+// Encodes and stores a file, returning the metadata to keep on the document
+const storeFile = async (buffer, { key, contentType, fileName, codec = STORAGE_CODEC }) => {
+  const encoded = await getCodec(codec).encode(buffer);
+  await getStorage().put(key, encoded, {
+    contentType: codec === 'none' ? contentType : 'application/octet-stream'
+  });
+
+  const stored = {
+    key,
+    codec,
+    contentType,
+    fileName,
+    fileSize: buffer.length,
+    storedSize: encoded.length
+  };
+  observeStoredFile(stored);
+  return stored;
+};
+
+// Returns the original bytes for stored file metadata. Documents written before
+// the storage layer existed keep their gzipped base64 payload inline in `data`.
+const readFile = async (file) => {
+  if (file.key) {
+    const stored = await getStorage().get(file.key);
+    return getCodec(file.codec).decode(stored);
+  }
+  if (file.data) {
+    return decompressBuffer(Buffer.from(file.data, 'base64'));
+  }
+  throw Object.assign(new Error('File has no stored content'), { code: 'NOT_FOUND' });
+};
+
+const removeFile = async (file) => {
+  if (file && file.key) {
+    await getStorage().delete(file.key);
+  }
+};
+
+module.exports = {
+  codecs,
+  createStorage,
+  getStorage,
+  setStorage,
+  buildKey,
+  storeFile,
+  readFile,
+  removeFile
+};
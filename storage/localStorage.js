@@ -0,0 +1,58 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const VALID_KEY = /^[\w\-.]+(\/[\w\-.]+)*$/;
+
+// Stores blobs as plain files under a root directory, one file per key
+const createLocalStorage = ({ root }) => {
+  const resolvedRoot = path.resolve(root);
+
+  const resolveKey = (key) => {
+    if (!VALID_KEY.test(key) || key.split('/').some(part => part === '..' || part === '.')) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(resolvedRoot, key);
+  };
+
+  return {
+    name: 'local',
+
+    put: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      // Write to a temporary file first so readers never see a partial blob
+      const tmpPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+      await fs.writeFile(tmpPath, buffer);
+      await fs.rename(tmpPath, filePath);
+    },
+
+    get: async (key) => {
+      try {
+        return await fs.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw Object.assign(new Error(`Blob not found: ${key}`), { code: 'NOT_FOUND' });
+        }
+        throw error;
+      }
+    },
+
+    exists: async (key) => {
+      try {
+        await fs.access(resolveKey(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    delete: async (key) => {
+      await fs.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+module.exports = {
+  createLocalStorage
+};
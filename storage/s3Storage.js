@@ -0,0 +1,70 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+const isNotFound = (error) => {
+  return error.name === 'NoSuchKey' || error.name === 'NotFound' ||
+    (error.$metadata && error.$metadata.httpStatusCode === 404);
+};
+
+// Works with AWS S3 and S3-compatible servers (MinIO, s3rver, ...). Set an
+// endpoint and forcePathStyle to point it at a local stand-in.
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set to use the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: Boolean(forcePathStyle),
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  return {
+    name: 's3',
+
+    put: async (key, buffer, { contentType } = {}) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType || 'application/octet-stream'
+      }));
+    },
+
+    get: async (key) => {
+      try {
+        const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return Buffer.from(await response.Body.transformToByteArray());
+      } catch (error) {
+        if (isNotFound(error)) {
+          throw Object.assign(new Error(`Blob not found: ${key}`), { code: 'NOT_FOUND' });
+        }
+        throw error;
+      }
+    },
+
+    exists: async (key) => {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (error) {
+        if (isNotFound(error)) return false;
+        throw error;
+      }
+    },
+
+    delete: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+module.exports = {
+  createS3Storage
+};
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { Appliance, Household } = require('../db');
+
+const ROLE_RANK = {
+  viewer: 1,
+  editor: 2,
+  owner: 3
+};
+
+const hasRole = (role, minRole) => Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[minRole];
+
+// Map of householdId -> role for every household the user belongs to
+const getHouseholdRoles = async (userId) => {
+  const households = await Household.find({ 'members.userId': userId }).select('members');
+  const roles = new Map();
+  households.forEach(household => {
+    const member = household.members.find(m => m.userId.toString() === userId.toString());
+    roles.set(household._id.toString(), member.role);
+  });
+  return roles;
+};
+
+// Matches appliances outside the trash, or only those in it
+const trashFilter = (trashed) => ({ deletedAt: trashed ? { $ne: null } : null });
+
+// Mongo filter matching every appliance the user can see: their own plus
+// those shared with a household they belong to. Trashed appliances are left
+// out unless `trashed` asks for them instead.
+const accessibleApplianceFilter = async (userId, { trashed = false } = {}) => {
+  const roles = await getHouseholdRoles(userId);
+  const householdIds = Array.from(roles.keys());
+  if (!householdIds.length) {
+    return { userId, ...trashFilter(trashed) };
+  }
+  return {
+    $or: [
+      { userId },
+      { householdId: { $in: householdIds } }
+    ],
+    ...trashFilter(trashed)
+  };
+};
+
+// The user's effective role on an appliance. Whoever added an appliance keeps
+// full control of it; everyone else gets their household role.
+const getApplianceRole = async (appliance, userId) => {
+  if (appliance.userId && appliance.userId.toString() === userId.toString()) {
+    return 'owner';
+  }
+  if (!appliance.householdId) {
+    return null;
+  }
+  const household = await Household.findOne({
+    _id: appliance.householdId,
+    'members.userId': userId
+  }).select('members');
+  if (!household) {
+    return null;
+  }
+  return household.members.find(m => m.userId.toString() === userId.toString()).role;
+};
+
+// Loads an appliance and checks the user holds at least `minRole` on it.
+// Resolves with { appliance, role } or { status, message } describing the error.
+// Appliances in the trash are only found when `trashed` is set.
+const findApplianceWithRole = async (applianceId, userId, minRole, projection, { trashed = false } = {}) => {
+  if (!mongoose.isValidObjectId(applianceId)) {
+    return { status: 404, message: "Appliance not found" };
+  }
+
+  const query = Appliance.findOne({ _id: applianceId, ...trashFilter(trashed) });
+  if (projection) {
+    // The access check always needs the owner and household, which exclusion
+    // projections ("-field") keep anyway
+    query.select(projection.trim().startsWith('-') ? projection : `${projection} userId householdId`);
+  }
+  const appliance = await query;
+  if (!appliance) {
+    return { status: 404, message: "Appliance not found" };
+  }
+
+  const role = await getApplianceRole(appliance, userId);
+  if (!role) {
+    // Don't reveal that an appliance exists to users who can't see it
+    return { status: 404, message: "Appliance not found" };
+  }
+  if (!hasRole(role, minRole)) {
+    return { status: 403, message: `This action requires the ${minRole} role` };
+  }
+
+  return { appliance, role };
+};
+
+module.exports = {
+  ROLE_RANK,
+  trashFilter,
+  hasRole,
+  getHouseholdRoles,
+  accessibleApplianceFilter,
+  getApplianceRole,
+  findApplianceWithRole
+};
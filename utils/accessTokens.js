@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { AccessToken } = require('../db');
+const { hashToken } = require('./session');
+const { DAY_MS } = require('./warranty');
+const { logger } = require('./logger');
+
+// The prefix tells personal access tokens apart from session JWTs (and makes
+// leaked tokens easy to grep for)
+const TOKEN_PREFIX = 'pat_';
+
+const MAX_ACCESS_TOKENS = 25;
+const MAX_ACCESS_TOKEN_DAYS = 365;
+
+// lastUsedAt is only written when it is at least this stale, so a busy script
+// doesn't turn every request into a write
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const isAccessToken = (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+const activeTokenFilter = (now = new Date()) => ({
+  revokedAt: null,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+});
+
+// Creates a token and returns the raw value, which is never stored and can't
+// be shown again, along with the stored document
+const createAccessToken = async (userId, { name, scopes, expiresInDays }) => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const accessToken = await AccessToken.create({
+    userId,
+    name,
+    scopes: [...new Set(scopes)],
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * DAY_MS) : null
+  });
+  return { token, accessToken };
+};
+
+const countActiveAccessTokens = (userId) => AccessToken.countDocuments({ userId, ...activeTokenFilter() });
+
+const listAccessTokens = (userId) => AccessToken.find({ userId, ...activeTokenFilter() }).sort({ createdAt: -1 });
+
+// The token's document, or null when it is unknown, expired or revoked
+const findActiveAccessToken = (token) => {
+  return AccessToken.findOne({ tokenHash: hashToken(token), ...activeTokenFilter() });
+};
+
+const touchAccessToken = (accessToken) => {
+  const staleBefore = new Date(Date.now() - LAST_USED_RESOLUTION_MS);
+  if (accessToken.lastUsedAt && accessToken.lastUsedAt > staleBefore) return;
+
+  AccessToken.updateOne(
+    { _id: accessToken._id, $or: [{ lastUsedAt: null }, { lastUsedAt: { $lte: staleBefore } }] },
+    { $set: { lastUsedAt: new Date() } }
+  ).catch(error => {
+    logger.error('Error recording access token use', { accessTokenId: accessToken._id, err: error });
+  });
+};
+
+const revokeAccessToken = async (tokenId, userId) => {
+  return AccessToken.findOneAndUpdate(
+    { _id: tokenId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  );
+};
+
+const revokeAllAccessTokens = (userId) => {
+  return AccessToken.updateMany({ userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+};
+
+const formatAccessToken = (accessToken) => ({
+  id: accessToken._id,
+  name: accessToken.name,
+  prefix: accessToken.prefix,
+  scopes: accessToken.scopes,
+  expiresAt: accessToken.expiresAt,
+  lastUsedAt: accessToken.lastUsedAt,
+  createdAt: accessToken.createdAt
+});
+
+module.exports = {
+  MAX_ACCESS_TOKENS,
+  MAX_ACCESS_TOKEN_DAYS,
+  isAccessToken,
+  createAccessToken,
+  countActiveAccessTokens,
+  listAccessTokens,
+  findActiveAccessToken,
+  touchAccessToken,
+  revokeAccessToken,
+  revokeAllAccessTokens,
+  formatAccessToken
+};
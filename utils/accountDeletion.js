@@ -0,0 +1,102 @@
+const {
+  User,
+  Account,
+  Appliance,
+  Household,
+  HouseholdInvite,
+  Session,
+  UserToken,
+  AccessToken,
+  Notification,
+  ReminderLog
+} = require('../db');
+const { purgeAppliance } = require('./trash');
+const { revokeAllSessions } = require('./session');
+const { revokeAllAccessTokens } = require('./accessTokens');
+const { DAY_MS } = require('./warranty');
+const { ACCOUNT_DELETION_GRACE_DAYS } = require('../config');
+
+// Starts the grace period. Every session and access token is revoked, and the
+// calendar feed turned off, so the account goes quiet straight away; signing
+// in again is still possible, which is how the user gets to cancel.
+const scheduleAccountDeletion = async (userId, now = new Date()) => {
+  const deletionScheduledAt = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * DAY_MS);
+  const user = await User.findOneAndUpdate(
+    { _id: userId, deletionScheduledAt: null },
+    {
+      $set: {
+        deletionRequestedAt: now,
+        deletionScheduledAt,
+        calendarFeed: { tokenHash: null, createdAt: null }
+      }
+    },
+    { new: true }
+  );
+  if (!user) return null;
+
+  await revokeAllSessions(userId);
+  await revokeAllAccessTokens(userId);
+  return user;
+};
+
+const cancelAccountDeletion = async (userId) => {
+  return User.findOneAndUpdate(
+    { _id: userId, deletionScheduledAt: { $ne: null } },
+    { $set: { deletionRequestedAt: null, deletionScheduledAt: null } },
+    { new: true }
+  );
+};
+
+// Takes the user out of every household. When they were its only owner the
+// longest-standing remaining member takes over, and households nobody is left
+// in are deleted the same way an owner deleting them would.
+const leaveHouseholds = async (userId) => {
+  const households = await Household.find({ 'members.userId': userId });
+
+  for (const household of households) {
+    const member = household.members.find(m => m.userId.toString() === userId.toString());
+    household.members.pull(member._id);
+
+    if (!household.members.length) {
+      await Appliance.updateMany({ householdId: household._id }, { $set: { householdId: null } });
+      await HouseholdInvite.deleteMany({ householdId: household._id });
+      await Household.deleteOne({ _id: household._id });
+      continue;
+    }
+
+    if (!household.members.some(m => m.role === 'owner')) {
+      const successor = [...household.members].sort((a, b) => a.joinedAt - b.joinedAt)[0];
+      successor.role = 'owner';
+    }
+    await household.save();
+  }
+};
+
+// Permanently deletes an account and everything it owns: appliances (trashed
+// ones included) with their receipts, images, service history and claims,
+// household memberships, sessions, tokens and notifications. Service records
+// and claims the user logged against other people's shared appliances stay
+// with those appliances, and audit entries are append-only so they are kept.
+const deleteAccount = async (user) => {
+  const cursor = Appliance.find({ userId: user._id }).cursor();
+  for await (const appliance of cursor) {
+    await purgeAppliance(appliance);
+  }
+
+  await leaveHouseholds(user._id);
+  await HouseholdInvite.deleteMany({ $or: [{ invitedBy: user._id }, { email: user.username }] });
+
+  await Session.deleteMany({ userId: user._id });
+  await UserToken.deleteMany({ userId: user._id });
+  await AccessToken.deleteMany({ userId: user._id });
+  await Notification.deleteMany({ userId: user._id });
+  await ReminderLog.deleteMany({ userId: user._id });
+  await Account.deleteMany({ userId: user._id });
+  await User.deleteOne({ _id: user._id });
+};
+
+module.exports = {
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  deleteAccount
+};
@@ -0,0 +1,68 @@
+const { sendMail } = require('./mailer');
+const { createUserToken } = require('./userTokens');
+const {
+  APP_URL,
+  EMAIL_VERIFICATION_TTL_HOURS,
+  PASSWORD_RESET_TTL_MINUTES,
+  HOUSEHOLD_INVITE_TTL_DAYS
+} = require('../config');
+
+const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(user._id, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.username,
+    subject: 'Verify your email address',
+    text: `Hi ${user.firstName},\n\n` +
+      `Please confirm your email address by opening the link below:\n\n${link}\n\n` +
+      `The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await createUserToken(user._id, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.username,
+    subject: 'Reset your password',
+    text: `Hi ${user.firstName},\n\n` +
+      `Someone asked to reset the password for your account. If it was you, open the link below ` +
+      `to choose a new password:\n\n${link}\n\n` +
+      `The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once. ` +
+      `If you didn't ask for this, you can ignore this email.`
+  });
+};
+
+const sendHouseholdInviteEmail = async ({ email, role, household, inviter, token }) => {
+  const link = `${APP_URL}/households/join?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: email,
+    subject: `${inviter.firstName} invited you to ${household.name}`,
+    text: `Hi,\n\n` +
+      `${inviter.firstName} ${inviter.lastName} invited you to join the household "${household.name}" ` +
+      `as ${role === 'owner' ? 'an' : 'a'} ${role}. Sign in or create an account with this email address, ` +
+      `then open the link below to accept:\n\n${link}\n\n` +
+      `The invitation expires in ${HOUSEHOLD_INVITE_TTL_DAYS} days.`
+  });
+};
+
+const sendAccountDeletionEmail = async (user) => {
+  await sendMail({
+    to: user.username,
+    subject: 'Your account is scheduled for deletion',
+    text: `Hi ${user.firstName},\n\n` +
+      `Your account and everything in it, including appliances, receipts and service history, ` +
+      `will be deleted for good on ${user.deletionScheduledAt.toDateString()}. You have been signed out everywhere.\n\n` +
+      `Changed your mind? Sign in before then at ${APP_URL} and cancel the deletion from your account settings.`
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendHouseholdInviteEmail,
+  sendAccountDeletionEmail
+};
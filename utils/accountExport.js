@@ -0,0 +1,133 @@
+const { Appliance, ServiceRecord, Claim, Household, Notification, AccessToken } = require('../db');
+const { readFile } = require('../storage');
+const { fileSummary, hasProductImage } = require('./applianceFiles');
+const { formatAccessToken } = require('./accessTokens');
+const { formatCalendarFeed } = require('./calendarFeed');
+const { safeEntryName, addZipEntry } = require('./zip');
+const { logger } = require('./logger');
+
+// Bumped when the layout of the archive changes
+const EXPORT_FORMAT_VERSION = 1;
+
+const addJson = (archive, name, value) => addZipEntry(archive, JSON.stringify(value, null, 2), name);
+
+// Adds a stored file to the archive as its original, decompressed bytes and
+// returns its metadata along with the path inside the archive. A file missing
+// from storage gets a null path instead of failing the whole export.
+const addFile = async (archive, file, dir) => {
+  const summary = fileSummary(file);
+  const path = `files/${dir}/${safeEntryName(file.fileName)}`;
+
+  let buffer;
+  try {
+    buffer = await readFile(file);
+  } catch (error) {
+    logger.warn('Stored file missing from account export', { key: file.key, err: error });
+    return { ...summary, path: null };
+  }
+
+  await addZipEntry(archive, buffer, path);
+  return { ...summary, path };
+};
+
+const addFiles = async (archive, files, dir) => {
+  const added = [];
+  for (const file of files) {
+    added.push(await addFile(archive, file, `${dir}/${file._id}`));
+  }
+  return added;
+};
+
+// One appliance with its service history and claims. Image renditions are
+// derived from the original and left out.
+const exportAppliance = async (archive, appliance) => {
+  const dir = `appliances/${appliance._id}`;
+  const { productImage, receipts, ...fields } = appliance.toObject();
+
+  let image = null;
+  if (hasProductImage(productImage)) {
+    const { renditions, ...original } = await addFile(archive, productImage, `${dir}/image`);
+    image = original;
+  }
+
+  const exportedReceipts = [];
+  for (const receipt of appliance.receipts) {
+    const receiptDir = `${dir}/receipts/${receipt._id}`;
+    const versions = await addFiles(archive, receipt.versions, `${receiptDir}/versions`);
+    exportedReceipts.push({ ...await addFile(archive, receipt, receiptDir), versions });
+  }
+
+  const serviceRecords = [];
+  for (const record of await ServiceRecord.find({ applianceId: appliance._id }).sort({ date: 1 })) {
+    const { attachments, ...recordFields } = record.toObject();
+    serviceRecords.push({
+      ...recordFields,
+      attachments: await addFiles(archive, record.attachments, `${dir}/service/${record._id}`)
+    });
+  }
+
+  const claims = [];
+  for (const claim of await Claim.find({ applianceId: appliance._id }).sort({ createdAt: 1 })) {
+    const { timeline, ...claimFields } = claim.toObject();
+    const entries = [];
+    for (const entry of claim.timeline) {
+      const { attachments, ...entryFields } = entry.toObject();
+      entries.push({
+        ...entryFields,
+        attachments: await addFiles(archive, entry.attachments, `${dir}/claims/${claim._id}/${entry._id}`)
+      });
+    }
+    claims.push({ ...claimFields, timeline: entries });
+  }
+
+  return { ...fields, productImage: image, receipts: exportedReceipts, serviceRecords, claims };
+};
+
+// Writes everything the user owns to a ZIP archive and finalizes it:
+//
+//   account.json        profile, notification and calendar feed settings, households, access tokens
+//   appliances.json     appliances (trashed ones too) with service records and claims
+//   notifications.json  in-app notifications
+//   files/...           every receipt, receipt version, product image and attachment
+//
+// Each file in the JSON carries the `path` of its copy in the archive.
+const writeAccountExport = async (archive, user) => {
+  const { password, notifications, calendarFeed, __v, ...profile } = user.toObject();
+  const { webhookSecret, ...notificationSettings } = notifications || {};
+
+  const households = await Household.find({ 'members.userId': user._id }).select('name members');
+  const accessTokens = await AccessToken.find({ userId: user._id }).sort({ createdAt: -1 });
+
+  await addJson(archive, 'account.json', {
+    formatVersion: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date(),
+    profile,
+    notifications: { ...notificationSettings, hasWebhookSecret: Boolean(webhookSecret) },
+    calendarFeed: formatCalendarFeed(user),
+    households: households.map(household => ({
+      id: household._id,
+      name: household.name,
+      role: household.members.find(m => m.userId.toString() === user._id.toString()).role
+    })),
+    accessTokens: accessTokens.map(accessToken => ({
+      ...formatAccessToken(accessToken),
+      revokedAt: accessToken.revokedAt
+    }))
+  });
+
+  const appliances = [];
+  const cursor = Appliance.find({ userId: user._id }).sort({ purchaseDate: 1, _id: 1 }).cursor();
+  for await (const appliance of cursor) {
+    appliances.push(await exportAppliance(archive, appliance));
+  }
+  await addJson(archive, 'appliances.json', appliances);
+
+  const inbox = await Notification.find({ userId: user._id }).sort({ createdAt: 1 }).lean();
+  await addJson(archive, 'notifications.json', inbox);
+
+  await archive.finalize();
+};
+
+module.exports = {
+  writeAccountExport
+};
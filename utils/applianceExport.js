@@ -0,0 +1,125 @@
+const { stringify } = require('csv-stringify/sync');
+const { readFile } = require('../storage');
+const { hasProductImage } = require('./applianceFiles');
+const { describeWarranty } = require('./warranty');
+const { safeEntryName, addZipEntry } = require('./zip');
+const { logger } = require('./logger');
+
+const EXPORT_FORMATS = ['csv', 'json', 'zip'];
+
+// Import fields first, so a CSV export can be edited and imported again; the
+// warranty columns are informational and ignored on import
+const CSV_COLUMNS = [
+  'id', 'name', 'companyName', 'modelNumber', 'purchaseDate', 'warrantyMonths', 'category',
+  'purchasePrice', 'replacementCost', 'currency', 'coverage', 'householdId', 'productImage', 'receipts',
+  'warrantyStatus', 'warrantyExpiresAt'
+];
+
+const formatDate = (date) => (date ? date.toISOString().slice(0, 10) : null);
+
+// Spreadsheets run cells starting with these characters as formulas. Cells
+// that already start with quotes before one get another, so the import can
+// always drop exactly one.
+const escapeCell = (value) => (typeof value === 'string' && /^'*[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+// One appliance in the shape the importer reads. `paths` gives the archive
+// path of each stored file for the ZIP export; CSV and JSON exports carry no
+// files, so they list none and drop coverage receipt references too.
+const toImportRow = (appliance, paths = null) => {
+  const receiptPath = (receiptId) => (paths && receiptId ? paths.receipts.get(receiptId.toString()) || null : null);
+  const { overall } = describeWarranty(appliance);
+
+  return {
+    id: appliance._id.toString(),
+    name: appliance.name,
+    companyName: appliance.companyName || null,
+    modelNumber: appliance.modelNumber,
+    purchaseDate: formatDate(appliance.purchaseDate),
+    warrantyMonths: appliance.warranty ? appliance.warranty.months : null,
+    category: appliance.category || null,
+    purchasePrice: appliance.purchasePrice ?? null,
+    replacementCost: appliance.replacementCost ?? null,
+    currency: appliance.currency || null,
+    coverage: (appliance.coverage || []).map(entry => ({
+      type: entry.type,
+      provider: entry.provider,
+      policyNumber: entry.policyNumber,
+      endDate: formatDate(entry.endDate),
+      receiptId: receiptPath(entry.receiptId)
+    })),
+    householdId: appliance.householdId ? appliance.householdId.toString() : null,
+    productImage: paths ? paths.productImage : null,
+    receipts: paths
+      ? appliance.receipts
+        .filter(receipt => paths.receipts.get(receipt._id.toString()))
+        .map(receipt => ({ name: receipt.name, file: paths.receipts.get(receipt._id.toString()) }))
+      : [],
+    warranty: {
+      status: overall.status,
+      expiresAt: formatDate(overall.expiresAt)
+    }
+  };
+};
+
+const toCsv = (rows) => stringify(rows.map(row => ({
+  ...row,
+  name: escapeCell(row.name),
+  companyName: escapeCell(row.companyName),
+  modelNumber: escapeCell(row.modelNumber),
+  coverage: row.coverage.length ? JSON.stringify(row.coverage) : '',
+  receipts: row.receipts.map(receipt => receipt.file).join(';'),
+  warrantyStatus: row.warranty.status,
+  warrantyExpiresAt: row.warranty.expiresAt
+})), { header: true, columns: CSV_COLUMNS, bom: true });
+
+const toJson = (rows) => JSON.stringify({ exportedAt: new Date(), appliances: rows }, null, 2);
+
+// Copies a stored file into the archive. A file missing from storage is left
+// out (and its row lists no path for it) rather than failing the export.
+const addStoredFile = async (archive, file, name) => {
+  let buffer;
+  try {
+    buffer = await readFile(file);
+  } catch (error) {
+    logger.warn('Stored file missing from appliance export', { key: file.key, err: error });
+    return null;
+  }
+  await addZipEntry(archive, buffer, name);
+  return name;
+};
+
+// Writes the ZIP export and finalizes it: every product image and current
+// receipt under files/, plus appliances.json and appliances.csv pointing at
+// them. Importing appliances.json with the archive as attachments recreates
+// the appliances.
+const writeZipExport = async (archive, appliances) => {
+  const rows = [];
+  for (const appliance of appliances) {
+    const dir = `files/${appliance._id}`;
+    const paths = { productImage: null, receipts: new Map() };
+
+    if (hasProductImage(appliance.productImage)) {
+      paths.productImage = await addStoredFile(archive, appliance.productImage, `${dir}/image/${safeEntryName(appliance.productImage.fileName)}`);
+    }
+    for (const receipt of appliance.receipts) {
+      const name = await addStoredFile(archive, receipt, `${dir}/receipts/${receipt._id}/${safeEntryName(receipt.fileName)}`);
+      if (name) {
+        paths.receipts.set(receipt._id.toString(), name);
+      }
+    }
+
+    rows.push(toImportRow(appliance, paths));
+  }
+
+  await addZipEntry(archive, toJson(rows), 'appliances.json');
+  await addZipEntry(archive, toCsv(rows), 'appliances.csv');
+  await archive.finalize();
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  toImportRow,
+  toCsv,
+  toJson,
+  writeZipExport
+};
@@ -0,0 +1,54 @@
+const { buildKey, storeFile } = require("../storage");
+const { PUBLIC_URL } = require("../config");
+const { createUpload, IMAGE_TYPES } = require("./uploads");
+
+// Receipts and attachments may be PDFs, product images must be photos
+const upload = createUpload({
+  fieldTypes: { productImage: IMAGE_TYPES }
+});
+
+// Stored file metadata as returned by the API, without any inline payload
+const fileSummary = (file) => {
+  const { data, key, codec, ...summary } = file.toObject ? file.toObject() : file;
+  return summary;
+};
+
+// The extracted text is only used for search, so just whether there is any
+const receiptSummary = (receipt) => {
+  const { text, ...summary } = fileSummary(receipt);
+  return {
+    ...summary,
+    hasText: Boolean(text),
+    versions: (receipt.versions || []).map(fileSummary)
+  };
+};
+
+// Appliances imported without a photo have an empty productImage. The file
+// name is checked because list queries don't load legacy inline payloads.
+const hasProductImage = (productImage) => Boolean(productImage && productImage.fileName);
+
+const storeUpload = (file, applianceId) => {
+  return storeFile(file.buffer, {
+    key: buildKey('appliances', applianceId, 'files'),
+    contentType: file.mimetype,
+    fileName: file.originalname
+  });
+};
+
+// Identifies one stored file for signed download URLs. Including the storage
+// key means a link stops working once the file it points at is replaced.
+const fileResource = (applianceId, kind, file) => {
+  return `${kind}:${applianceId}:${file._id || ''}:${file.key || ''}`;
+};
+
+const getBaseUrl = (req) => `${PUBLIC_URL || `${req.protocol}://${req.get('host')}`}${req.baseUrl}`;
+
+module.exports = {
+  upload,
+  fileSummary,
+  receiptSummary,
+  hasProductImage,
+  storeUpload,
+  fileResource,
+  getBaseUrl
+};
@@ -0,0 +1,308 @@
+const path = require('path');
+const zod = require('zod');
+const { parse } = require('csv-parse/sync');
+const { Appliance } = require('../db');
+const { removeFile } = require('../storage');
+const { createUpload, processFile, IMAGE_TYPES, DOCUMENT_TYPES } = require('./uploads');
+const { storeUpload } = require('./applianceFiles');
+const { prepareRenditions, saveRenditions } = require('./thumbnails');
+const { receiptTextFields } = require('./receiptText');
+const { applianceSchema, checkPricing, applyPricing, resolveHousehold, buildCoverage } = require('./applianceInput');
+const { normalizeEntryName } = require('./zip');
+const { httpError } = require('./errors');
+const { logger } = require('./logger');
+
+const MAX_IMPORT_ROWS = 500;
+const MAX_IMPORT_RECEIPTS = 10;
+// The attachments archive carries the photos and receipts of every row
+const MAX_IMPORT_UPLOAD_SIZE = 100 * 1024 * 1024;
+
+// The import file and archive are parsed here rather than checked like
+// single file uploads; what comes out of the archive is checked file by file
+const importUpload = createUpload({ maxFileSize: MAX_IMPORT_UPLOAD_SIZE, validateFiles: false });
+
+// Files a row brings along, named by their path in the attachments archive.
+// JSON rows list receipts as paths or { name, file } objects, CSV rows as one
+// cell of paths separated by semicolons.
+const rowFilesSchema = zod.object({
+  productImage: zod.string().min(1).nullable().optional(),
+  receipts: zod.preprocess(
+    (value) => (typeof value === 'string' ? value.split(';').map(ref => ref.trim()).filter(Boolean) : value),
+    zod.array(zod.union([
+      zod.string().min(1),
+      zod.object({
+        name: zod.string().trim().min(1).optional(),
+        file: zod.string().min(1)
+      })
+    ])).max(MAX_IMPORT_RECEIPTS, `At most ${MAX_IMPORT_RECEIPTS} receipts per appliance`)
+  ).optional()
+});
+
+const detectFormat = (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (extension === '.json' || file.mimetype === 'application/json') return 'json';
+  if (extension === '.csv' || file.mimetype === 'text/csv') return 'csv';
+  return /^\uFEFF?\s*[[{]/.test(file.buffer.toString('utf8', 0, 64)) ? 'json' : 'csv';
+};
+
+// Drops the quote the CSV export puts before cells a spreadsheet would run as
+// a formula (see escapeCell in applianceExport), so "=Fridge" comes back as is
+const unescapeCell = (value) => value.replace(/^'(?='*[=+\-@\t\r])/, '');
+
+// Rows of the import file, numbered from 1. CSV rows also carry the line they
+// end on, which is what spreadsheet users will look for.
+const parseImportFile = (file) => {
+  const text = file.buffer.toString('utf8');
+
+  if (detectFormat(file) === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw httpError(400, `Invalid JSON: ${error.message}`);
+    }
+    // Also accepts the JSON export, which wraps the rows
+    const rows = Array.isArray(parsed) ? parsed : parsed && parsed.appliances;
+    if (!Array.isArray(rows)) {
+      throw httpError(400, 'Expected a JSON array of appliances or an object with an "appliances" array');
+    }
+    return rows.map((values, index) => ({ row: index + 1, values }));
+  }
+
+  let records;
+  try {
+    records = parse(text, {
+      bom: true,
+      columns: (header) => header.map(column => column.trim()),
+      skip_empty_lines: true,
+      trim: true,
+      info: true
+    });
+  } catch (error) {
+    throw httpError(400, `Invalid CSV: ${error.message}`);
+  }
+  // An empty cell means the field isn't set, like leaving it out of JSON
+  return records.map(({ record, info }, index) => ({
+    row: index + 1,
+    line: info.lines,
+    values: Object.fromEntries(Object.entries(record)
+      .filter(([, value]) => value !== '')
+      .map(([column, value]) => [column, unescapeCell(value)]))
+  }));
+};
+
+// Reads a file a row names from the attachments archive and puts it through
+// the same checks as a direct upload
+const readAttachment = async (zip, name, types) => {
+  if (!zip) {
+    throw httpError(400, `${name} can't be attached without an attachments archive`);
+  }
+  const buffer = await zip.read(name);
+  if (!buffer) {
+    throw httpError(400, `${name} is not in the attachments archive`);
+  }
+  return processFile({
+    fieldname: name,
+    originalname: path.posix.basename(normalizeEntryName(name)),
+    mimetype: '',
+    buffer,
+    size: buffer.length
+  }, types);
+};
+
+const issue = (field, message) => ({ field, message });
+
+// Client errors (bad household, unreadable attachment) become row errors,
+// anything else fails the import
+const collectIssue = (errors, field, error) => {
+  if (!error.status || error.status >= 500) throw error;
+  errors.push(issue(field, error.message));
+};
+
+// Validates one row the way POST /add validates its form, and works out what
+// creating it involves. Returns the row's errors and, when there are none, a
+// plan for createAppliance.
+const prepareRow = async ({ values }, { zip, resolveHouseholdOnce }) => {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return { errors: [issue(null, 'Expected an object with the appliance fields')] };
+  }
+
+  const input = { ...values };
+  // Any date Date understands, normalised the way POST /add does it
+  if (typeof input.purchaseDate === 'string' && !isNaN(Date.parse(input.purchaseDate))) {
+    input.purchaseDate = new Date(input.purchaseDate).toISOString();
+  }
+
+  const fields = applianceSchema.safeParse(input);
+  const files = rowFilesSchema.safeParse(values);
+  const errors = [fields, files]
+    .filter(result => !result.success)
+    .flatMap(result => result.error.errors.map(({ path: field, message }) => issue(field.join('.') || null, message)));
+
+  let householdId = null;
+  if (fields.success) {
+    try {
+      checkPricing(fields.data);
+    } catch (error) {
+      collectIssue(errors, 'currency', error);
+    }
+    try {
+      householdId = await resolveHouseholdOnce(fields.data.householdId);
+    } catch (error) {
+      collectIssue(errors, 'householdId', error);
+    }
+  }
+
+  let productImage = null;
+  let receipts = [];
+  let bytes = 0;
+  // Attachments are checked once, here, and the checked files go into the
+  // plan. Product images are decoded only to validate them and make their
+  // renditions; the decoded image isn't kept.
+  const uploads = new Map();
+  let renditions = {};
+  if (files.success) {
+    productImage = files.data.productImage ? normalizeEntryName(files.data.productImage) : null;
+    receipts = (files.data.receipts || [])
+      .map(ref => (typeof ref === 'string' ? { file: ref } : ref))
+      .map(ref => ({
+        file: normalizeEntryName(ref.file),
+        name: ref.name || path.posix.parse(normalizeEntryName(ref.file)).name
+      }));
+
+    const attachments = [
+      ...(productImage ? [{ field: 'productImage', file: productImage, types: IMAGE_TYPES }] : []),
+      ...receipts.map((receipt, index) => ({ field: `receipts.${index}`, file: receipt.file, types: DOCUMENT_TYPES }))
+    ];
+    for (const attachment of attachments) {
+      try {
+        const file = uploads.get(attachment.file) || await readAttachment(zip, attachment.file, attachment.types);
+        if (attachment.field === 'productImage') {
+          renditions = await prepareRenditions(file.buffer, file.mimetype, { source: file.image });
+          // Stored alongside the image, so they count towards the quota too
+          bytes += Object.values(renditions).reduce((sum, rendition) => sum + rendition.size, 0);
+        }
+        file.image = undefined;
+        uploads.set(attachment.file, file);
+        bytes += file.size;
+      } catch (error) {
+        collectIssue(errors, attachment.field, error);
+      }
+    }
+  }
+
+  if (errors.length) {
+    return { errors };
+  }
+
+  // A new appliance has no receipt ids yet, so coverage names one of the
+  // row's receipt files instead, like POST /add names an upload field
+  const coverage = (fields.data.coverage || []).map(entry => ({
+    ...entry,
+    receiptId: entry.receiptId ? normalizeEntryName(entry.receiptId) : null
+  }));
+  coverage.forEach((entry, index) => {
+    if (entry.receiptId && !receipts.some(receipt => receipt.file === entry.receiptId)) {
+      errors.push(issue(`coverage.${index}.receiptId`, `${entry.receiptId} is not one of this appliance's receipts`));
+    }
+  });
+
+  return { errors, plan: { data: { ...fields.data, coverage }, householdId, productImage, receipts, uploads, renditions, bytes } };
+};
+
+// Validates every row. Household lookups are shared between rows naming the
+// same household.
+const prepareImport = async (rows, { userId, zip }) => {
+  const households = new Map();
+  const resolveHouseholdOnce = (householdId) => {
+    if (!households.has(householdId)) {
+      households.set(householdId, resolveHousehold(householdId, userId));
+    }
+    return households.get(householdId);
+  };
+
+  const prepared = [];
+  for (const row of rows) {
+    const { errors, plan } = await prepareRow(row, { zip, resolveHouseholdOnce });
+    prepared.push({
+      row: row.row,
+      line: row.line,
+      name: row.values && typeof row.values.name === 'string' ? row.values.name : null,
+      errors,
+      plan
+    });
+  }
+  return prepared;
+};
+
+// Creates one appliance from a plan made by prepareRow, recording every file
+// it stores in `storedFiles` so a failed import can remove them
+const createAppliance = async (plan, { userId, storedFiles }) => {
+  const { data } = plan;
+  const appliance = new Appliance({
+    userId,
+    householdId: plan.householdId,
+    name: data.name,
+    modelNumber: data.modelNumber,
+    companyName: data.companyName,
+    purchaseDate: new Date(data.purchaseDate),
+    warranty: { months: data.warrantyMonths ?? null }
+  });
+  applyPricing(appliance, data);
+
+  const store = async (name) => {
+    const file = plan.uploads.get(name);
+    const stored = await storeUpload(file, appliance._id);
+    storedFiles.push(stored);
+    return { file, stored };
+  };
+
+  if (plan.productImage) {
+    const { file, stored } = await store(plan.productImage);
+    stored.renditions = await saveRenditions(plan.renditions, appliance._id, file.originalname);
+    storedFiles.push(...Object.values(stored.renditions));
+    appliance.productImage = stored;
+  }
+
+  const uploadedReceipts = {};
+  for (const receipt of plan.receipts) {
+    const { file, stored } = await store(receipt.file);
+    appliance.receipts.push({ name: receipt.name, ...stored, ...await receiptTextFields(file) });
+    uploadedReceipts[receipt.file] = appliance.receipts[appliance.receipts.length - 1];
+  }
+
+  if (data.coverage.length) {
+    appliance.coverage = buildCoverage(data.coverage, appliance.receipts, uploadedReceipts);
+  }
+
+  await appliance.save();
+  return appliance;
+};
+
+// Creates the appliances of an import whose rows all validated. Imports are
+// all or nothing: if one appliance can't be created, the ones before it and
+// every stored file are removed again.
+const runImport = async (prepared, { userId }) => {
+  const storedFiles = [];
+  const created = [];
+  try {
+    for (const { row, plan } of prepared) {
+      created.push({ row, appliance: await createAppliance(plan, { userId, storedFiles }) });
+    }
+    return created;
+  } catch (error) {
+    await Appliance.deleteMany({ _id: { $in: created.map(({ appliance }) => appliance._id) } }).catch(cleanupError => {
+      logger.error('Error removing partly imported appliances', { err: cleanupError });
+    });
+    await Promise.all(storedFiles.map(file => removeFile(file).catch(() => {})));
+    throw error;
+  }
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  importUpload,
+  parseImportFile,
+  prepareImport,
+  runImport
+};
@@ -0,0 +1,123 @@
+const zod = require("zod");
+const { Household } = require("../db");
+const { hasRole } = require("./access");
+const { APPLIANCE_CATEGORIES } = require("./depreciation");
+const { httpError } = require("./errors");
+
+// Multipart forms can only carry strings, so structured fields arrive as JSON
+const jsonField = (schema) => zod.preprocess((value) => {
+  if (typeof value !== 'string') return value;
+  if (value === '') return undefined;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}, schema);
+
+// Forms send an empty field, or "null", to clear a value
+const emptyToNull = (value) => (value === '' || value === 'null' ? null : value);
+
+const amountSchema = zod.preprocess(emptyToNull, zod.coerce.number().min(0).nullable().optional());
+
+const coverageSchema = zod.object({
+  type: zod.enum(['extended', 'insurance']),
+  provider: zod.string().nullable().optional(),
+  policyNumber: zod.string().nullable().optional(),
+  endDate: zod.string().refine((date) => !isNaN(Date.parse(date)), {
+    message: "Invalid date format"
+  }),
+  receiptId: zod.string().nullable().optional()
+});
+
+const applianceSchema = zod.object({
+  name: zod.string().min(1, "Name is required"),
+  companyName: zod.string().nullable().optional(),
+  modelNumber: zod.string().min(1, "Model number is required"),
+  purchaseDate: zod.string().refine((date) => !isNaN(Date.parse(date)), {
+    message: "Invalid date format"
+  }),
+  warrantyMonths: zod.preprocess(
+    emptyToNull,
+    zod.coerce.number().int().min(0).nullable().optional()
+  ),
+  coverage: jsonField(zod.array(coverageSchema)).optional(),
+  householdId: zod.preprocess(
+    emptyToNull,
+    zod.string().regex(/^[a-f0-9]{24}$/, "Invalid household id").nullable().optional()
+  ),
+  category: zod.preprocess(emptyToNull, zod.enum(APPLIANCE_CATEGORIES).nullable().optional()),
+  purchasePrice: amountSchema,
+  replacementCost: amountSchema,
+  currency: zod.preprocess(
+    emptyToNull,
+    zod.string().trim().toUpperCase().regex(/^[A-Z]{3}$/, "Currency must be a three-letter ISO 4217 code").nullable().optional()
+  )
+});
+
+const PRICING_FIELDS = ['category', 'purchasePrice', 'replacementCost', 'currency'];
+
+// An amount means nothing without its currency, so one is required as soon
+// as either amount is set
+const checkPricing = ({ purchasePrice, replacementCost, currency }) => {
+  const hasAmount = [purchasePrice, replacementCost].some(amount => amount !== null && amount !== undefined);
+  if (hasAmount && !currency) {
+    throw httpError(400, "A currency is required with a purchase price or replacement cost");
+  }
+};
+
+// Sets the category and price fields given in `data`, leaving out ones that
+// weren't sent
+const applyPricing = (appliance, data) => {
+  PRICING_FIELDS.forEach(field => {
+    if (data[field] !== undefined) {
+      appliance.set(field, data[field]);
+    }
+  });
+  checkPricing(appliance);
+};
+
+// Checks the user may put appliances into the household (editor or above)
+const resolveHousehold = async (householdId, userId) => {
+  if (!householdId) return null;
+
+  const household = await Household.findOne({ _id: householdId, 'members.userId': userId }).select('members');
+  if (!household) {
+    throw httpError(400, "Household not found");
+  }
+  const member = household.members.find(m => m.userId.toString() === userId.toString());
+  if (!hasRole(member.role, 'editor')) {
+    throw httpError(403, "Adding appliances to this household requires the editor role");
+  }
+  return household._id;
+};
+
+// Resolves coverage receipt references against the appliance's receipts. On
+// /add a coverage entry may name the upload field ("originalReceipt" or
+// "insuranceReceipt") instead of an id, since the receipt has no id yet.
+const buildCoverage = (entries, receipts, uploadedReceipts = {}) => {
+  return entries.map(entry => {
+    let receiptId = entry.receiptId || null;
+    if (receiptId && uploadedReceipts[receiptId]) {
+      receiptId = uploadedReceipts[receiptId]._id;
+    } else if (receiptId && !receipts.some(r => r._id.toString() === receiptId)) {
+      throw httpError(400, `Receipt ${receiptId} not found on this appliance`);
+    }
+    return {
+      type: entry.type,
+      provider: entry.provider || null,
+      policyNumber: entry.policyNumber || null,
+      endDate: new Date(entry.endDate),
+      receiptId
+    };
+  });
+};
+
+module.exports = {
+  jsonField,
+  applianceSchema,
+  checkPricing,
+  applyPricing,
+  resolveHousehold,
+  buildCoverage
+};
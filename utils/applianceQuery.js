@@ -0,0 +1,146 @@
+const zod = require('zod');
+const mongoose = require('mongoose');
+const { WARRANTY_EXPIRING_SOON_DAYS } = require('../config');
+const { DAY_MS } = require('./warranty');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Case-insensitive ordering for names; the matching index uses the same collation
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+const SORT_FIELDS = {
+  purchaseDate: { field: 'purchaseDate', type: 'date' },
+  name: { field: 'name', type: 'string' },
+  warrantyExpiry: { field: 'warrantyExpiresAt', type: 'date' }
+};
+
+const dateString = zod.string().refine((date) => !isNaN(Date.parse(date)), {
+  message: "Invalid date format"
+});
+
+const listQuerySchema = zod.object({
+  q: zod.string().trim().max(200).optional(),
+  // Older clients send the search term as `filter` and expect part of a name
+  // to match, as it did before full-text search
+  filter: zod.string().trim().max(200).optional(),
+  company: zod.string().trim().max(200).optional(),
+  purchasedFrom: dateString.optional(),
+  purchasedTo: dateString.optional(),
+  warrantyStatus: zod.enum(['active', 'expiring_soon', 'expired', 'unknown']).optional(),
+  sort: zod.enum(Object.keys(SORT_FIELDS)).default('purchaseDate'),
+  order: zod.enum(['asc', 'desc']).default('desc'),
+  limit: zod.coerce.number().int().min(1).max(MAX_PAGE_SIZE).default(DEFAULT_PAGE_SIZE),
+  cursor: zod.string().max(500).optional()
+});
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const warrantyStatusFilter = (status, now = new Date()) => {
+  const soon = new Date(now.getTime() + WARRANTY_EXPIRING_SOON_DAYS * DAY_MS);
+  switch (status) {
+    case 'active':
+      return { warrantyExpiresAt: { $gt: soon } };
+    case 'expiring_soon':
+      return { warrantyExpiresAt: { $gte: now, $lte: soon } };
+    case 'expired':
+      return { warrantyExpiresAt: { $lt: now } };
+    case 'unknown':
+      return { warrantyExpiresAt: null };
+    default:
+      return null;
+  }
+};
+
+// Cursors are opaque to clients: the sort value and _id of the last item seen
+const encodeCursor = (item, sort) => {
+  const value = item[SORT_FIELDS[sort].field];
+  return Buffer.from(JSON.stringify({
+    v: value === undefined ? null : value,
+    id: item._id.toString()
+  })).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!/^[a-f0-9]{24}$/.test(id)) return null;
+    const value = v !== null && SORT_FIELDS[sort].type === 'date' ? new Date(v) : v;
+    if (value instanceof Date && isNaN(value.getTime())) return null;
+    return { value, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Keyset condition for "items after the cursor" in the given order. Mongo sorts
+// nulls first ascending, and range operators never match null, so nulls need
+// their own branch.
+const cursorFilter = ({ value, id }, field, order) => {
+  const _id = new mongoose.Types.ObjectId(id);
+
+  if (order === 'asc') {
+    if (value === null) {
+      return { $or: [{ [field]: null, _id: { $gt: _id } }, { [field]: { $ne: null } }] };
+    }
+    return { $or: [{ [field]: { $gt: value } }, { [field]: value, _id: { $gt: _id } }] };
+  }
+
+  if (value === null) {
+    return { [field]: null, _id: { $lt: _id } };
+  }
+  return { $or: [{ [field]: { $lt: value } }, { [field]: value, _id: { $lt: _id } }, { [field]: null }] };
+};
+
+// Turns validated list parameters into a Mongo filter, sort and options
+const buildListQuery = (params, accessFilter) => {
+  const conditions = [accessFilter];
+  const search = params.q;
+
+  if (search) {
+    conditions.push({ $text: { $search: search } });
+  }
+  if (params.filter) {
+    conditions.push({ name: { $regex: escapeRegex(params.filter), $options: 'i' } });
+  }
+  if (params.company) {
+    conditions.push({ companyName: { $regex: `^${escapeRegex(params.company)}$`, $options: 'i' } });
+  }
+  if (params.purchasedFrom || params.purchasedTo) {
+    const range = {};
+    if (params.purchasedFrom) range.$gte = new Date(params.purchasedFrom);
+    if (params.purchasedTo) range.$lte = new Date(params.purchasedTo);
+    conditions.push({ purchaseDate: range });
+  }
+  if (params.warrantyStatus) {
+    conditions.push(warrantyStatusFilter(params.warrantyStatus));
+  }
+
+  const { field } = SORT_FIELDS[params.sort];
+  if (params.cursor) {
+    const cursor = decodeCursor(params.cursor, params.sort);
+    if (!cursor) {
+      return { error: "Invalid cursor" };
+    }
+    conditions.push(cursorFilter(cursor, field, params.order));
+  }
+
+  const direction = params.order === 'asc' ? 1 : -1;
+  return {
+    filter: { $and: conditions },
+    sort: { [field]: direction, _id: direction },
+    // $text queries only support the simple collation
+    collation: params.sort === 'name' && !search ? NAME_COLLATION : undefined,
+    limit: params.limit
+  };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  NAME_COLLATION,
+  listQuerySchema,
+  escapeRegex,
+  buildListQuery,
+  encodeCursor
+};
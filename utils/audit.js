@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const zod = require('zod');
+const { AuditLog } = require('../db');
+const { logger } = require('./logger');
+const { getLogPath } = require('./requestContext');
+
+const auditQuerySchema = zod.object({
+  before: zod.string().refine(mongoose.isValidObjectId, { message: "Invalid cursor" }).optional(),
+  limit: zod.coerce.number().int().min(1).max(100).default(50)
+});
+
+const requestMetadata = (req) => ({
+  requestId: req.id || null,
+  ip: req.ip,
+  userAgent: req.get('user-agent') || null,
+  method: req.method,
+  path: getLogPath(req),
+  sessionId: req.sessionId || null,
+  accessTokenId: req.accessTokenId || null
+});
+
+// Normalises values so snapshots compare and store cleanly (dates, ObjectIds
+// and subdocuments become plain JSON values)
+const plain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// Field-level diff between two snapshots taken with the same fields
+const diffFields = (before, after) => {
+  return Object.keys(after)
+    .filter(field => JSON.stringify(plain(before[field])) !== JSON.stringify(plain(after[field])))
+    .map(field => ({ field, from: plain(before[field]), to: plain(after[field]) }));
+};
+
+// Appends an audit entry. Failing to record one is logged rather than failing
+// the request whose change has already been made. Background jobs pass a null
+// request and have no actor.
+const recordAudit = async (req, { action, actorId = req && req.userId, targetType, targetId, changes = [], details = {} }) => {
+  try {
+    await AuditLog.create({
+      actorId: actorId || null,
+      action,
+      targetType,
+      targetId,
+      changes,
+      details,
+      request: req ? requestMetadata(req) : undefined
+    });
+  } catch (error) {
+    logger.error('Error recording audit entry', { action, targetType, targetId, err: error });
+  }
+};
+
+const actorIdOf = (entry) => (entry.actorId && entry.actorId._id ? entry.actorId._id : entry.actorId);
+
+// With a viewerId, the request an entry was made with (IP address, device,
+// session) is only shown on the viewer's own entries, so household members
+// can't see each other's
+const formatAuditEntry = (entry, viewerId = null) => ({
+  id: entry._id,
+  action: entry.action,
+  actor: entry.actorId && entry.actorId._id
+    ? {
+      id: entry.actorId._id,
+      username: entry.actorId.username,
+      firstName: entry.actorId.firstName,
+      lastName: entry.actorId.lastName
+    }
+    : entry.actorId,
+  targetType: entry.targetType,
+  targetId: entry.targetId,
+  changes: entry.changes,
+  details: entry.details,
+  request: !viewerId || String(actorIdOf(entry)) === String(viewerId) ? entry.request : null,
+  createdAt: entry.createdAt
+});
+
+// Newest first, paginated with `before` (an entry id) and `limit`. Pass
+// viewerId when others' entries are listed, see formatAuditEntry.
+const listAuditEntries = async (filter, { before, limit = 50, viewerId = null } = {}) => {
+  const query = { ...filter };
+  if (before) {
+    query._id = { $lt: before };
+  }
+
+  const entries = await AuditLog.find(query)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .populate('actorId', 'username firstName lastName')
+    .lean();
+
+  const page = entries.slice(0, limit);
+  return {
+    entries: page.map(entry => formatAuditEntry(entry, viewerId)),
+    nextCursor: entries.length > limit ? page[page.length - 1]._id : null
+  };
+};
+
+module.exports = {
+  auditQuerySchema,
+  diffFields,
+  recordAudit,
+  listAuditEntries
+};
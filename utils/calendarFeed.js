@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const { User, Appliance } = require('../db');
+const { hashToken } = require('./session');
+const { accessibleApplianceFilter } = require('./access');
+const { getManufacturerExpiry } = require('./warranty');
+const { buildCalendar } = require('./ical');
+const { COVERAGE_LABELS, getReminderOffsets } = require('../jobs/warrantyReminders');
+
+const CALENDAR_REFRESH_HOURS = 6;
+const MAINTENANCE_ALARM_DAYS = [1];
+
+// Ends UIDs so they are unique beyond this app, as RFC 5545 asks
+const UID_DOMAIN = 'not-risk';
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Issues a new feed token, replacing any earlier one, and returns it. Like
+// access tokens it can't be shown again.
+const createCalendarToken = async (userId) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { calendarFeed: { tokenHash: hashToken(token), createdAt: new Date() } } },
+    { new: true }
+  );
+  return user ? { token, user } : null;
+};
+
+// Turns the feed off; null when it wasn't on
+const revokeCalendarToken = (userId) => {
+  return User.findOneAndUpdate(
+    { _id: userId, 'calendarFeed.tokenHash': { $type: 'string' } },
+    { $set: { calendarFeed: { tokenHash: null, createdAt: null } } },
+    { new: true }
+  );
+};
+
+const findUserByCalendarToken = (token) => {
+  if (!token) return null;
+  return User.findOne({ 'calendarFeed.tokenHash': hashToken(String(token)) });
+};
+
+const formatCalendarFeed = (user) => ({
+  enabled: Boolean(user.calendarFeed && user.calendarFeed.tokenHash),
+  createdAt: (user.calendarFeed && user.calendarFeed.createdAt) || null
+});
+
+const describeAppliance = (appliance, ...details) => [
+  appliance.companyName && appliance.modelNumber
+    ? `${appliance.companyName} ${appliance.modelNumber}`
+    : appliance.companyName || appliance.modelNumber,
+  ...details
+].filter(Boolean).join('\n');
+
+// One event per warranty or policy end date and per upcoming maintenance task.
+// Warranty alarms follow the user's reminder offsets.
+const applianceEvents = (appliance, alarms) => {
+  const uid = (key) => `${appliance._id}-${key}@${UID_DOMAIN}`;
+  const events = [];
+
+  // Worked out from the purchase date rather than read from the stored
+  // expiry, which older appliances may not have
+  const manufacturerExpiry = getManufacturerExpiry(appliance);
+  if (manufacturerExpiry) {
+    events.push({
+      uid: uid('manufacturer'),
+      date: manufacturerExpiry,
+      summary: `${capitalize(COVERAGE_LABELS.manufacturer)} ends: ${appliance.name}`,
+      description: describeAppliance(appliance),
+      alarms
+    });
+  }
+
+  (appliance.coverage || []).forEach(entry => {
+    events.push({
+      uid: uid(`coverage-${entry._id}`),
+      date: entry.endDate,
+      summary: `${capitalize(COVERAGE_LABELS[entry.type] || 'coverage')} ends: ${appliance.name}`,
+      description: describeAppliance(
+        appliance,
+        entry.provider && `Provider: ${entry.provider}`,
+        entry.policyNumber && `Policy number: ${entry.policyNumber}`
+      ),
+      alarms
+    });
+  });
+
+  (appliance.maintenanceSchedules || []).filter(schedule => schedule.nextDueAt).forEach(schedule => {
+    events.push({
+      uid: uid(`maintenance-${schedule._id}`),
+      date: schedule.nextDueAt,
+      summary: `${schedule.task}: ${appliance.name}`,
+      description: describeAppliance(
+        appliance,
+        `Every ${schedule.intervalValue} ${schedule.intervalValue === 1 ? schedule.intervalUnit.replace(/s$/, '') : schedule.intervalUnit}`
+      ),
+      alarms: MAINTENANCE_ALARM_DAYS
+    });
+  });
+
+  return events;
+};
+
+// The user's feed: every appliance they can see, household ones included,
+// except those in the trash
+const buildCalendarFeed = async (user, now = new Date()) => {
+  const appliances = await Appliance.find(await accessibleApplianceFilter(user._id))
+    .select('name companyName modelNumber purchaseDate warranty coverage maintenanceSchedules')
+    .sort({ _id: 1 })
+    .lean();
+
+  const alarms = getReminderOffsets(user);
+  return buildCalendar({
+    name: 'Warranties and maintenance',
+    refreshHours: CALENDAR_REFRESH_HOURS,
+    events: appliances.flatMap(appliance => applianceEvents(appliance, alarms))
+  }, now);
+};
+
+module.exports = {
+  createCalendarToken,
+  revokeCalendarToken,
+  findUserByCalendarToken,
+  formatCalendarFeed,
+  buildCalendarFeed
+};
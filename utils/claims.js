@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+const CLAIM_STATUSES = ['draft', 'submitted', 'in_review', 'approved', 'rejected', 'closed'];
+
+// Allowed next statuses for each status. A rejected claim may be resubmitted,
+// e.g. after an appeal; a closed claim is final.
+const CLAIM_TRANSITIONS = {
+  draft: ['submitted', 'closed'],
+  submitted: ['in_review', 'approved', 'rejected', 'closed'],
+  in_review: ['approved', 'rejected', 'closed'],
+  approved: ['closed'],
+  rejected: ['submitted', 'closed'],
+  closed: []
+};
+
+const OPEN_CLAIM_STATUSES = CLAIM_STATUSES.filter(status => status !== 'closed');
+
+const canTransition = (from, to) => (CLAIM_TRANSITIONS[from] || []).includes(to);
+
+// Human-friendly reference such as CLM-20261019-4F9A2C1E
+const generateClaimNumber = (date = new Date()) => {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+  return `CLM-${day}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+};
+
+module.exports = {
+  CLAIM_STATUSES,
+  CLAIM_TRANSITIONS,
+  OPEN_CLAIM_STATUSES,
+  canTransition,
+  generateClaimNumber
+};
@@ -1,5 +1,6 @@
 const zlib = require('zlib');
 const util = require('util');
+const { logger } = require('./logger');
 
 const gzip = util.promisify(zlib.gzip);
 const gunzip = util.promisify(zlib.gunzip);
@@ -9,7 +10,7 @@ const compressBuffer = async (buffer) => {
     const compressed = await gzip(buffer);
     return compressed;
   } catch (error) {
-    console.error('Error compressing buffer:', error);
+    logger.error('Error compressing buffer', { err: error });
     throw new Error('Failed to compress file');
   }
 };
@@ -27,7 +28,7 @@ const decompressBuffer = async (buffer) => {
     const decompressed = await gunzip(buffer);
     return decompressed;
   } catch (error) {
-    console.error('Error decompressing buffer:', error);
+    logger.error('Error decompressing buffer', { err: error });
     // Return original buffer if decompression fails
     return buffer;
   }
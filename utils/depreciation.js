@@ -0,0 +1,99 @@
+const fs = require('fs');
+const zod = require('zod');
+const { DEPRECIATION_RULES_FILE } = require('../config');
+const { DAY_MS } = require('./warranty');
+
+const APPLIANCE_CATEGORIES = [
+  'kitchen', 'laundry', 'heating_cooling', 'electronics', 'computing', 'cleaning', 'outdoor', 'other'
+];
+
+// Appliances without a category are valued as "other"
+const DEFAULT_CATEGORY = 'other';
+
+// Straight-line loses the same amount every year until the salvage value is
+// reached at the end of the useful life. Declining balance loses `rate` of
+// the remaining value every year, so most of it goes early, the way
+// electronics lose value; it never drops below the salvage value.
+const ruleSchema = zod.discriminatedUnion('method', [
+  zod.object({
+    method: zod.literal('straight_line'),
+    usefulLifeYears: zod.number().positive(),
+    salvagePercent: zod.number().min(0).max(100).default(0)
+  }),
+  zod.object({
+    method: zod.literal('declining_balance'),
+    rate: zod.number().gt(0).lt(1),
+    salvagePercent: zod.number().min(0).max(100).default(0)
+  })
+]);
+
+const DEFAULT_RULES = {
+  kitchen: { method: 'straight_line', usefulLifeYears: 12, salvagePercent: 10 },
+  laundry: { method: 'straight_line', usefulLifeYears: 11, salvagePercent: 10 },
+  heating_cooling: { method: 'straight_line', usefulLifeYears: 15, salvagePercent: 10 },
+  electronics: { method: 'declining_balance', rate: 0.3, salvagePercent: 5 },
+  computing: { method: 'declining_balance', rate: 0.4, salvagePercent: 5 },
+  cleaning: { method: 'straight_line', usefulLifeYears: 8, salvagePercent: 5 },
+  outdoor: { method: 'straight_line', usefulLifeYears: 10, salvagePercent: 10 },
+  other: { method: 'straight_line', usefulLifeYears: 10, salvagePercent: 10 }
+};
+
+// DEPRECIATION_RULES_FILE is a JSON object of rules by category, e.g.
+//
+//   { "electronics": { "method": "straight_line", "usefulLifeYears": 6 } }
+//
+// Categories it leaves out keep their default. It is read once at startup, and
+// a file that doesn't parse stops the server rather than skewing valuations.
+const loadRules = (file) => {
+  if (!file) return DEFAULT_RULES;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Can't read DEPRECIATION_RULES_FILE ${file}: ${error.message}`);
+  }
+  const parsed = zod.record(zod.enum(APPLIANCE_CATEGORIES), ruleSchema).safeParse(overrides);
+  if (!parsed.success) {
+    const issues = parsed.error.errors.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ');
+    throw new Error(`Invalid DEPRECIATION_RULES_FILE ${file}: ${issues}`);
+  }
+  return { ...DEFAULT_RULES, ...parsed.data };
+};
+
+const DEPRECIATION_RULES = loadRules(DEPRECIATION_RULES_FILE);
+
+const getDepreciationRule = (category) => DEPRECIATION_RULES[category] || DEPRECIATION_RULES[DEFAULT_CATEGORY];
+
+// Whole and part years since the purchase; none for future purchase dates
+const getAgeYears = (purchaseDate, now = new Date()) => {
+  if (!purchaseDate) return 0;
+  return Math.max(0, (now.getTime() - new Date(purchaseDate).getTime()) / (365.25 * DAY_MS));
+};
+
+const depreciate = (cost, rule, ageYears) => {
+  const salvage = cost * (rule.salvagePercent || 0) / 100;
+  if (rule.method === 'declining_balance') {
+    return Math.max(salvage, cost * Math.pow(1 - rule.rate, ageYears));
+  }
+  return cost - (cost - salvage) * Math.min(1, ageYears / rule.usefulLifeYears);
+};
+
+// Estimated value today of what was paid for the appliance, to the cent and
+// in its own currency; null when no purchase price was recorded
+const getCurrentValue = (appliance, now = new Date()) => {
+  if (appliance.purchasePrice === null || appliance.purchasePrice === undefined) {
+    return null;
+  }
+  const rule = getDepreciationRule(appliance.category);
+  const value = depreciate(appliance.purchasePrice, rule, getAgeYears(appliance.purchaseDate, now));
+  return Math.round(value * 100) / 100;
+};
+
+module.exports = {
+  APPLIANCE_CATEGORIES,
+  DEFAULT_CATEGORY,
+  getDepreciationRule,
+  getAgeYears,
+  getCurrentValue
+};
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const { readFile } = require('../storage');
+
+// Stored blobs are immutable per key, so the key identifies the content
+const getETag = (file) => {
+  const hash = crypto.createHash('sha1').update(file.key || file.data || '').digest('hex');
+  return `"${hash}"`;
+};
+
+const contentDisposition = (disposition, fileName) => {
+  // Plain ASCII fallback for old clients, RFC 5987 encoded name for the rest
+  const safeName = String(fileName).replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encodedName = encodeURIComponent(fileName)
+    .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${disposition}; filename="${safeName}"; filename*=UTF-8''${encodedName}`;
+};
+
+// Sends a stored file honouring If-None-Match and single byte-range requests
+const sendStoredFile = async (req, res, file, { disposition = 'inline', fallbackName = 'file' } = {}) => {
+  res.setHeader('ETag', getETag(file));
+  res.setHeader('Cache-Control', 'private, max-age=300');
+  res.setHeader('Accept-Ranges', 'bytes');
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const buffer = await readFile(file);
+  const size = buffer.length;
+
+  res.setHeader('Content-Type', file.contentType || 'application/octet-stream');
+  res.setHeader('Content-Disposition', contentDisposition(disposition, file.fileName || fallbackName));
+
+  // If-Range: only honour the range when the client's copy is still current
+  const ifRange = req.headers['if-range'];
+  const rangeAllowed = !ifRange || ifRange === res.getHeader('ETag');
+  const ranges = rangeAllowed ? req.range(size, { combine: true }) : undefined;
+
+  if (ranges === -1) {
+    res.setHeader('Content-Range', `bytes */${size}`);
+    return res.status(416).end();
+  }
+
+  // Multiple ranges are answered with the full body, which RFC 9110 permits
+  if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+    const { start, end } = ranges[0];
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+    res.setHeader('Content-Length', end - start + 1);
+    return res.end(req.method === 'HEAD' ? undefined : buffer.subarray(start, end + 1));
+  }
+
+  res.setHeader('Content-Length', size);
+  return res.end(req.method === 'HEAD' ? undefined : buffer);
+};
+
+module.exports = {
+  getETag,
+  sendStoredFile
+};
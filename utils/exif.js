@@ -0,0 +1,134 @@
+// Removes location metadata from photos without re-encoding them, so image
+// quality and the remaining EXIF data (orientation, camera, date) are kept.
+
+const GPS_IFD_TAG = 0x8825;
+
+// Byte size of each TIFF field type, indexed by type id
+const TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8, 4];
+
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+const XMP_HEADER = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'latin1');
+
+// Zeroes every GPS entry and its out-of-line values, leaving an empty GPS IFD
+// behind so the IFD0 pointer to it stays valid
+const clearGpsIfd = (buffer, tiffStart, tiffEnd) => {
+  const littleEndian = buffer.toString('latin1', tiffStart, tiffStart + 2) === 'II';
+  const read16 = (offset) => littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+  const read32 = (offset) => littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+  const inBounds = (offset, length) => offset >= tiffStart && offset + length <= tiffEnd;
+
+  const ifd0 = tiffStart + read32(tiffStart + 4);
+  if (!inBounds(ifd0, 2)) {
+    throw new Error('Invalid IFD0 offset');
+  }
+
+  const entries = read16(ifd0);
+  for (let i = 0; i < entries; i++) {
+    const entry = ifd0 + 2 + i * 12;
+    if (!inBounds(entry, 12)) {
+      throw new Error('Truncated IFD0');
+    }
+    if (read16(entry) !== GPS_IFD_TAG) {
+      continue;
+    }
+
+    const gpsIfd = tiffStart + read32(entry + 8);
+    if (!inBounds(gpsIfd, 2)) {
+      throw new Error('Invalid GPS IFD offset');
+    }
+    const gpsEntries = read16(gpsIfd);
+    if (!inBounds(gpsIfd + 2, gpsEntries * 12 + 4)) {
+      throw new Error('Truncated GPS IFD');
+    }
+
+    for (let j = 0; j < gpsEntries; j++) {
+      const gpsEntry = gpsIfd + 2 + j * 12;
+      const size = (TYPE_SIZES[read16(gpsEntry + 2)] || 0) * read32(gpsEntry + 4);
+      if (size > 4) {
+        const valueOffset = tiffStart + read32(gpsEntry + 8);
+        if (inBounds(valueOffset, size)) {
+          buffer.fill(0, valueOffset, valueOffset + size);
+        }
+      }
+    }
+
+    // Entry count, entries and the next-IFD pointer all become zero
+    buffer.fill(0, gpsIfd, gpsIfd + 2 + gpsEntries * 12 + 4);
+  }
+};
+
+const stripJpegGps = (input) => {
+  const buffer = Buffer.from(input);
+  const segments = [];
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    // Start of scan: compressed image data follows, no more metadata
+    if (marker === 0xda) {
+      break;
+    }
+    const length = buffer.readUInt16BE(offset + 2);
+    const start = offset + 4;
+    const end = offset + 2 + length;
+    if (end > buffer.length) {
+      break;
+    }
+
+    if (marker === 0xe1 && buffer.subarray(start, start + EXIF_HEADER.length).equals(EXIF_HEADER)) {
+      try {
+        clearGpsIfd(buffer, start + EXIF_HEADER.length, end);
+      } catch (error) {
+        // Malformed EXIF we can't safely edit is dropped altogether
+        segments.push([offset, end]);
+      }
+    } else if (marker === 0xe1 && buffer.subarray(start, start + XMP_HEADER.length).equals(XMP_HEADER)) {
+      // XMP packets can repeat the GPS position as text
+      segments.push([offset, end]);
+    }
+
+    offset = end;
+  }
+
+  if (!segments.length) {
+    return buffer;
+  }
+
+  const parts = [];
+  let position = 0;
+  segments.forEach(([start, end]) => {
+    parts.push(buffer.subarray(position, start));
+    position = end;
+  });
+  parts.push(buffer.subarray(position));
+  return Buffer.concat(parts);
+};
+
+// PNG stores EXIF in its own chunk, which is simply dropped
+const stripPngGps = (buffer) => {
+  const parts = [buffer.subarray(0, 8)];
+  let offset = 8;
+
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (type !== 'eXIf') {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+  }
+  parts.push(buffer.subarray(offset));
+
+  return Buffer.concat(parts);
+};
+
+const stripGps = (buffer, contentType) => {
+  if (contentType === 'image/jpeg') return stripJpegGps(buffer);
+  if (contentType === 'image/png') return stripPngGps(buffer);
+  return buffer;
+};
+
+module.exports = {
+  stripGps
+};
@@ -0,0 +1,101 @@
+const { DAY_MS } = require('./warranty');
+
+// Just enough of iCalendar (RFC 5545) to publish all-day events with alarms
+
+const PRODID = '-//not-RISK//Warranty calendar//EN';
+
+// Content lines are folded at 75 octets; continuation lines start with a space
+const MAX_LINE_OCTETS = 75;
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  let size = 0;
+  // Splits between characters, never inside a multi-byte one
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    if (size + octets > MAX_LINE_OCTETS) {
+      parts.push(current);
+      current = ' ';
+      size = 1;
+    }
+    current += char;
+    size += octets;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Dates in this app are whole days kept at midnight UTC (see addMonths), so
+// the UTC calendar date is the day the user entered. Converting to a local
+// time zone first would move events a day for users west of UTC.
+const formatDate = (date) => {
+  const value = new Date(date);
+  return `${value.getUTCFullYear()}${pad(value.getUTCMonth() + 1)}${pad(value.getUTCDate())}`;
+};
+
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// An all-day event on `date`. The UID has to stay the same when the event
+// moves, so calendars update it instead of adding a copy. `alarms` are whole
+// days before the event.
+const eventLines = ({ uid, date, summary, description, alarms = [] }, now) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DTSTART;VALUE=DATE:${formatDate(date)}`,
+    // The end of an all-day event is the (exclusive) next day
+    `DTEND;VALUE=DATE:${formatDate(new Date(date).getTime() + DAY_MS)}`,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+  lines.push('TRANSP:TRANSPARENT');
+
+  [...new Set(alarms)].sort((a, b) => b - a).forEach(days => {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(summary)}`,
+      `TRIGGER:-P${days}D`,
+      'END:VALARM'
+    );
+  });
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+const buildCalendar = ({ name, refreshHours, events }, now = new Date()) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // How often subscribers should poll; Apple and Outlook read the first,
+    // the second is the standard one
+    `X-PUBLISHED-TTL:PT${refreshHours}H`,
+    `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshHours}H`,
+    ...events.flatMap(event => eventLines(event, now)),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  buildCalendar
+};
@@ -0,0 +1,64 @@
+const { httpError } = require('./errors');
+
+// Decoding needs 4 bytes per pixel, so a small but highly compressed file can
+// still take gigabytes of memory. 40 megapixels covers any phone camera.
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000;
+
+// JPEG start-of-frame markers, which carry the dimensions; C4, C8 and CC are
+// other segments in the same range
+const isStartOfFrame = (marker) => marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+
+const readJpegSize = (buffer) => {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    // Fill bytes before a marker
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    // Markers without a length
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+      offset += 2;
+      continue;
+    }
+    if (isStartOfFrame(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+};
+
+// The IHDR chunk always comes first, right after the signature
+const readPngSize = (buffer) => {
+  if (buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+};
+
+// Width and height from the image header, without decoding; null when the
+// header can't be read
+const readImageSize = (buffer, contentType) => {
+  const size = contentType === 'image/png' ? readPngSize(buffer) : readJpegSize(buffer);
+  return size && size.width > 0 && size.height > 0 ? size : null;
+};
+
+// Throws a 400 for an unreadable header and a 413 for an image too large to
+// decode safely; call it before handing the buffer to Jimp
+const checkImageSize = (buffer, contentType) => {
+  const size = readImageSize(buffer, contentType);
+  if (!size) {
+    throw httpError(400, "Image dimensions can't be read");
+  }
+  if (size.width * size.height > MAX_IMAGE_PIXELS) {
+    throw httpError(413, `Image is too large, the limit is ${MAX_IMAGE_PIXELS / 1e6} megapixels`);
+  }
+  return size;
+};
+
+module.exports = {
+  MAX_IMAGE_PIXELS,
+  readImageSize,
+  checkImageSize
+};
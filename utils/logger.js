@@ -0,0 +1,73 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { LOG_LEVEL, LOG_FORMAT } = require('../config');
+
+const LEVELS = {
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50
+};
+
+// Fields (such as the request id) attached to every line logged while
+// handling one request, however deep in the call stack
+const logContext = new AsyncLocalStorage();
+
+const runWithLogContext = (fields, fn) => logContext.run(fields, fn);
+
+const serializeError = (error) => {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    ...(error.status !== undefined ? { status: error.status } : {}),
+    stack: error.stack
+  };
+};
+
+const formatPretty = ({ time, level, msg, err, ...fields }) => {
+  const extra = Object.entries(fields).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  const line = `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extra.length ? ` ${extra.join(' ')}` : ''}`;
+  return err && err.stack ? `${line}\n${err.stack}` : line;
+};
+
+const createLogger = (bindings = {}, { level = LOG_LEVEL, format = LOG_FORMAT } = {}) => {
+  const threshold = LEVELS[level] || LEVELS.info;
+
+  const write = (lineLevel, msg, fields = {}) => {
+    if (LEVELS[lineLevel] < threshold) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg,
+      ...logContext.getStore(),
+      ...bindings,
+      ...fields
+    };
+    if (entry.err) {
+      entry.err = serializeError(entry.err);
+    }
+
+    const stream = LEVELS[lineLevel] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry)}\n`);
+  };
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: (childBindings) => createLogger({ ...bindings, ...childBindings }, { level, format })
+  };
+};
+
+const logger = createLogger();
+
+module.exports = {
+  logger,
+  createLogger,
+  runWithLogContext
+};
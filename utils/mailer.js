@@ -0,0 +1,65 @@
+const nodemailer = require('nodemailer');
+const { MAIL_TRANSPORT, SMTP_URL, MAIL_FROM } = require('../config');
+const { logger } = require('./logger');
+
+const capturedMail = [];
+
+// Keeps messages in memory instead of delivering them, for tests and local development
+const createCaptureTransport = () => ({
+  sendMail: async (message) => {
+    const captured = { ...message, messageId: `<captured-${capturedMail.length + 1}@localhost>` };
+    capturedMail.push(captured);
+    return { messageId: captured.messageId, accepted: [].concat(message.to) };
+  }
+});
+
+const createTransport = (type = MAIL_TRANSPORT) => {
+  if (type === 'capture') {
+    return createCaptureTransport();
+  }
+  if (!SMTP_URL) {
+    logger.warn('SMTP_URL is not set, outgoing mail will not be delivered');
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+  return nodemailer.createTransport(SMTP_URL);
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Replace the transport, e.g. with a capture sink when testing
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const getCapturedMail = () => capturedMail.slice();
+
+const clearCapturedMail = () => {
+  capturedMail.length = 0;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().sendMail({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  createTransport,
+  createCaptureTransport,
+  getTransport,
+  setTransport,
+  getCapturedMail,
+  clearCapturedMail,
+  sendMail
+};
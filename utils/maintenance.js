@@ -0,0 +1,57 @@
+const { addMonths, getDaysRemaining, DAY_MS } = require('./warranty');
+
+const MAINTENANCE_DUE_SOON_DAYS = 7;
+
+const addInterval = (date, value, unit) => {
+  if (unit === 'months') return addMonths(date, value);
+  const days = unit === 'weeks' ? value * 7 : value;
+  return new Date(new Date(date).getTime() + days * DAY_MS);
+};
+
+// Next due date is one interval after the last time the task was done, or
+// after the schedule start (the purchase date by default) if it never was
+const getNextDueDate = (schedule, purchaseDate) => {
+  const from = schedule.lastDoneAt || schedule.startDate || purchaseDate;
+  if (!from || !schedule.intervalValue || !schedule.intervalUnit) {
+    return null;
+  }
+  return addInterval(from, schedule.intervalValue, schedule.intervalUnit);
+};
+
+const describeSchedule = (schedule, now = new Date()) => {
+  const daysRemaining = schedule.nextDueAt ? getDaysRemaining(schedule.nextDueAt, now) : null;
+  let status = null;
+  if (daysRemaining !== null) {
+    status = daysRemaining < 0 ? 'overdue' : daysRemaining <= MAINTENANCE_DUE_SOON_DAYS ? 'due_soon' : 'upcoming';
+  }
+
+  return {
+    _id: schedule._id,
+    task: schedule.task,
+    serviceType: schedule.serviceType,
+    interval: {
+      value: schedule.intervalValue,
+      unit: schedule.intervalUnit
+    },
+    startDate: schedule.startDate,
+    lastDoneAt: schedule.lastDoneAt,
+    nextDueAt: schedule.nextDueAt,
+    daysRemaining,
+    status
+  };
+};
+
+// Earliest upcoming (or overdue) task across all of an appliance's schedules
+const getNextMaintenance = (appliance, now = new Date()) => {
+  const schedules = (appliance.maintenanceSchedules || []).filter(schedule => schedule.nextDueAt);
+  if (!schedules.length) return null;
+  const next = schedules.reduce((earliest, schedule) => (schedule.nextDueAt < earliest.nextDueAt ? schedule : earliest));
+  return describeSchedule(next, now);
+};
+
+module.exports = {
+  addInterval,
+  getNextDueDate,
+  describeSchedule,
+  getNextMaintenance
+};
@@ -0,0 +1,71 @@
+const client = require('prom-client');
+const { findMountPattern } = require('./routerPaths');
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry]
+});
+
+const uploadSize = new client.Histogram({
+  name: 'upload_size_bytes',
+  help: 'Size of accepted uploads by detected content type',
+  labelNames: ['content_type'],
+  buckets: [10 * 1024, 50 * 1024, 100 * 1024, 250 * 1024, 500 * 1024, 1024 * 1024, 2 * 1024 * 1024, 5 * 1024 * 1024],
+  registers: [registry]
+});
+
+const storageCompressionRatio = new client.Histogram({
+  name: 'storage_compression_ratio',
+  help: 'Stored size divided by original size for files written to blob storage',
+  labelNames: ['codec', 'content_type'],
+  buckets: [0.1, 0.25, 0.5, 0.75, 0.9, 0.95, 1, 1.05],
+  registers: [registry]
+});
+
+// Route template such as /api/v1/appliance/:id rather than the raw path, so
+// ids don't explode the label cardinality. Routers mounted under a parameter
+// (/appliance/:id/service) have whatever the client sent in their base URL,
+// so it is mapped back to the mount paths declared in code.
+const getRouteLabel = (req) => {
+  if (!req.route) {
+    return 'unmatched';
+  }
+  const mountPattern = findMountPattern(req.app._router.stack, req.baseUrl);
+  return mountPattern === null ? 'unmatched' : `${mountPattern}${req.route.path}`;
+};
+
+const metricsMiddleware = (req, res, next) => {
+  const stopTimer = httpRequestDuration.startTimer();
+  res.on('finish', () => {
+    stopTimer({
+      method: req.method,
+      route: getRouteLabel(req),
+      status_code: res.statusCode
+    });
+  });
+  next();
+};
+
+const observeUpload = (contentType, size) => {
+  uploadSize.observe({ content_type: contentType }, size);
+};
+
+const observeStoredFile = ({ codec, contentType, fileSize, storedSize }) => {
+  if (fileSize > 0) {
+    storageCompressionRatio.observe({ codec, content_type: contentType || 'unknown' }, storedSize / fileSize);
+  }
+};
+
+module.exports = {
+  registry,
+  getRouteLabel,
+  metricsMiddleware,
+  observeUpload,
+  observeStoredFile
+};
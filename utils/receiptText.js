@@ -0,0 +1,221 @@
+const { getDocumentProxy } = require('unpdf');
+const { escapeRegex } = require('./applianceQuery');
+const { logger } = require('./logger');
+
+// Receipts run to a page or two; anything past these limits is fine print
+const MAX_TEXT_PAGES = 20;
+const MAX_TEXT_LENGTH = 100000;
+
+// The text layer of a PDF, or null when it has none (e.g. a scan) or can't be
+// read. Only the text is read: nothing is rendered and embedded scripts never
+// run.
+const extractPdfText = async (buffer) => {
+  let pdf;
+  try {
+    pdf = await getDocumentProxy(new Uint8Array(buffer), { isEvalSupported: false, verbosity: 0 });
+    const pages = [];
+    for (let number = 1; number <= Math.min(pdf.numPages, MAX_TEXT_PAGES); number++) {
+      const page = await pdf.getPage(number);
+      const content = await page.getTextContent();
+      pages.push(content.items.map(item => `${item.str || ''}${item.hasEOL ? '\n' : ''}`).join(''));
+      page.cleanup();
+    }
+
+    const text = pages.join('\n')
+      .replace(/[ \t\u00a0]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim()
+      .slice(0, MAX_TEXT_LENGTH);
+    return text || null;
+  } catch (error) {
+    logger.warn('Error extracting PDF text', { err: error });
+    return null;
+  } finally {
+    if (pdf) {
+      await pdf.loadingTask.destroy().catch(() => {});
+    }
+  }
+};
+
+// Fields stored on a receipt for its searchable text. textExtractedAt is set
+// for every PDF, with or without a text layer, so the backfill can tell which
+// receipts it has already seen; photos of receipts aren't read.
+const receiptTextFields = async (file) => {
+  if (file.mimetype !== 'application/pdf') {
+    return { text: null, textExtractedAt: null };
+  }
+  return { text: await extractPdfText(file.buffer), textExtractedAt: new Date() };
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+
+const DATE_PATTERNS = [
+  // 2024-03-15
+  { regex: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g, parts: (m) => [m[1], m[2], m[3]] },
+  // 03/15/2024, month first as on US receipts
+  { regex: /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/g, parts: (m) => [m[3], m[1], m[2]] },
+  // 15.03.2024, day first as in Europe
+  { regex: /\b(\d{1,2})\.(\d{1,2})\.(\d{4})\b/g, parts: (m) => [m[3], m[2], m[1]] },
+  // 15 March 2024
+  { regex: new RegExp(`\\b(\\d{1,2}) ${MONTH_NAME},? (\\d{4})\\b`, 'gi'), parts: (m) => [m[3], m[2], m[1]] },
+  // March 15, 2024
+  { regex: new RegExp(`\\b${MONTH_NAME} (\\d{1,2}),? (\\d{4})\\b`, 'gi'), parts: (m) => [m[3], m[1], m[2]] }
+];
+
+const toDate = ([year, month, day]) => {
+  const monthIndex = /^\d+$/.test(month) ? parseInt(month, 10) - 1 : MONTHS.indexOf(month.slice(0, 3).toLowerCase());
+  const date = new Date(Date.UTC(parseInt(year, 10), monthIndex, parseInt(day, 10)));
+  // Rejects rollovers such as 02/31
+  return date.getUTCMonth() === monthIndex && date.getUTCDate() === parseInt(day, 10) ? date : null;
+};
+
+const findDates = (line, now) => DATE_PATTERNS
+  .flatMap(({ regex, parts }) => [...line.matchAll(regex)].map(match => toDate(parts(match))))
+  .filter(date => date && date <= now && date.getUTCFullYear() >= 1990);
+
+// The purchase date: a date on a line labelled as the purchase, order or
+// invoice date if there is one, otherwise the first date on the receipt
+const suggestPurchaseDate = (lines, now) => {
+  const labelled = lines.filter(line => /\b(purchase|order|invoice|sale|transaction|date)\b/i.test(line));
+  for (const candidates of [labelled, lines]) {
+    for (const line of candidates) {
+      const [date] = findDates(line, now);
+      if (date) return date.toISOString().slice(0, 10);
+    }
+  }
+  return null;
+};
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR' };
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'JPY', 'INR', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK', 'NOK', 'DKK'];
+
+const AMOUNT = new RegExp(
+  `(?:(${CURRENCY_CODES.join('|')}|[$€£¥₹])\\s?)?(\\d{1,3}(?:[,.']\\d{3})*(?:[.,]\\d{2})|\\d+(?:[.,]\\d{2}))(?:\\s?(${CURRENCY_CODES.join('|')}|€))?`,
+  'g'
+);
+
+// "1,186.92", "1.186,92" and "1'186.92" all read as 1186.92: the last
+// separator followed by two digits is the decimal point
+const parseAmount = (value) => {
+  const normalized = value.replace(/[.,](\d{2})$/, ':$1').replace(/[,.']/g, '').replace(':', '.');
+  return parseFloat(normalized);
+};
+
+// The total: the largest amount on a line labelled as the total or the
+// amount paid, not counting subtotals, tax and discounts
+const suggestTotal = (lines) => {
+  const totals = lines
+    .filter(line => /\b(total|amount (paid|due)|balance due|grand total)\b/i.test(line))
+    .filter(line => !/\b(sub-?\s?total|tax|vat|discount|savings)\b/i.test(line))
+    .flatMap(line => [...line.matchAll(AMOUNT)].map(match => ({
+      amount: parseAmount(match[2]),
+      currency: CURRENCY_SYMBOLS[match[1]] || match[1] || CURRENCY_SYMBOLS[match[3]] || match[3] || null
+    })))
+    .filter(total => total.amount > 0);
+
+  if (!totals.length) return null;
+  return totals.reduce((largest, total) => (total.amount > largest.amount ? total : largest));
+};
+
+const LABELLED_RETAILER = /^(?:sold by|seller|retailer|merchant|store|vendor)\s*[:-]\s*(.{2,80})$/i;
+const NOT_A_NAME = /\b(receipt|invoice|order|tax|date|page|copy|customer|thank)\b|^\W*$|\d{3,}/i;
+
+// The retailer: a "Sold by" style label, otherwise the heading of the
+// receipt, which is usually the store's name
+const suggestRetailer = (lines) => {
+  for (const line of lines) {
+    const match = LABELLED_RETAILER.exec(line);
+    if (match) return match[1].trim();
+  }
+  const heading = lines.slice(0, 5).find(line => line.length <= 60 && /[a-z]{2}/i.test(line) && !NOT_A_NAME.test(line));
+  return heading || null;
+};
+
+const MODEL_NUMBER = /\b(?:model(?:\s*(?:no\.?|number|#))?|mod\.)\s*[:#]?\s*([A-Z0-9][A-Z0-9\-/.]{2,30}[A-Z0-9])/i;
+
+const suggestModelNumber = (lines) => {
+  for (const line of lines) {
+    const match = MODEL_NUMBER.exec(line);
+    // A model number has digits; this skips "Model: Front loader"
+    if (match && /\d/.test(match[1])) return match[1];
+  }
+  return null;
+};
+
+// Best guesses at the fields of POST /appliance/add from a receipt's text.
+// Any field the text gives no clear answer for is null.
+const suggestPurchaseFields = (text, now = new Date()) => {
+  const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+  return {
+    purchaseDate: suggestPurchaseDate(lines, now),
+    total: suggestTotal(lines),
+    retailer: suggestRetailer(lines),
+    modelNumber: suggestModelNumber(lines)
+  };
+};
+
+// Mongo's text search stems words, so "mentions" finds "mentioned"; trimming
+// common endings gets close enough to show which receipt matched
+const stem = (word) => (word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word);
+
+// Splits a search the way $text does: "quoted phrases", -excluded words and
+// plain words
+const parseSearch = (query) => {
+  const phrases = [...query.matchAll(/"([^"]+)"/g)].map(match => match[1].trim().toLowerCase()).filter(Boolean);
+  const terms = query.replace(/"[^"]*"/g, ' ').split(/\s+/).filter(Boolean);
+  const clean = (term) => term.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+  return {
+    phrases,
+    words: terms.filter(term => !term.startsWith('-')).map(clean).filter(Boolean),
+    excluded: terms.filter(term => term.startsWith('-')).map(clean).filter(Boolean)
+  };
+};
+
+const wordPattern = (word) => new RegExp(`(?:^|[^\\p{L}\\p{N}])(${escapeRegex(stem(word))})`, 'iu');
+
+const SNIPPET_BEFORE = 60;
+const SNIPPET_AFTER = 100;
+
+const snippetAt = (text, index) => {
+  const start = Math.max(0, index - SNIPPET_BEFORE);
+  const end = Math.min(text.length, index + SNIPPET_AFTER);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+};
+
+// Whether one receipt of an appliance found by a text search matches it, and
+// how well: phrases must all appear and at least one word, as with $text.
+// Returns null for no match, otherwise the number of terms found and a
+// snippet of the text around the first one.
+const matchReceipt = (receipt, query) => {
+  const { phrases, words, excluded } = parseSearch(query);
+  const text = (receipt.text || '').replace(/\s+/g, ' ');
+  const haystack = `${receipt.name || ''} ${text}`.toLowerCase();
+
+  if (!phrases.every(phrase => haystack.includes(phrase.replace(/\s+/g, ' ')))) return null;
+  if (excluded.some(word => wordPattern(word).test(haystack))) return null;
+  const found = words.filter(word => wordPattern(word).test(haystack));
+  if (words.length && !found.length) return null;
+  if (!phrases.length && !words.length) return null;
+
+  const positions = [
+    ...phrases.map(phrase => text.toLowerCase().indexOf(phrase)),
+    ...found.map(word => {
+      const match = wordPattern(word).exec(text);
+      return match ? match.index + match[0].length - match[1].length : -1;
+    })
+  ].filter(index => index >= 0);
+
+  return {
+    score: phrases.length + found.length,
+    snippet: positions.length ? snippetAt(text, Math.min(...positions)) : null
+  };
+};
+
+module.exports = {
+  extractPdfText,
+  receiptTextFields,
+  suggestPurchaseFields,
+  matchReceipt
+};
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const { logger, runWithLogContext } = require('./logger');
+const { getRouteLabel } = require('./metrics');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Ids from a proxy or client are reused when they look sane, so one id can
+// follow a request across services
+const VALID_REQUEST_ID = /^[\w\-.:]{1,128}$/;
+
+const requestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+  runWithLogContext({ requestId: req.id }, next);
+};
+
+// Route parameters that are secrets, such as the calendar feed token, which
+// anyone reading the log could otherwise use to subscribe to the feed
+const SECRET_PARAMS = ['token'];
+
+// The request path with secret parameters replaced by their name
+const getLogPath = (req) => {
+  const path = req.originalUrl.split('?')[0];
+  return SECRET_PARAMS.reduce((masked, name) => {
+    const value = req.params && req.params[name];
+    return value ? masked.split(encodeURIComponent(value)).join(`:${name}`) : masked;
+  }, path);
+};
+
+// One access log line per request once the response has been sent
+const requestLogger = (req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const fields = {
+      requestId: req.id,
+      method: req.method,
+      path: getLogPath(req),
+      route: getRouteLabel(req),
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+      ip: req.ip,
+      userId: req.userId
+    };
+    if (res.statusCode >= 500) {
+      logger.error('request failed', fields);
+    } else {
+      logger.info('request completed', fields);
+    }
+  });
+  next();
+};
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  getLogPath,
+  requestId,
+  requestLogger
+};
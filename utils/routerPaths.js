@@ -0,0 +1,32 @@
+// Recovers a router's mount path from the regular expression Express 4
+// compiled it to, e.g. /^(?:\/([^/]+?))\/service\/?(?=\/|$)/i -> /:id/service
+const mountPath = (layer) => {
+  let index = 0;
+  return layer.regexp.source
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+    .replace(/\(\?:\\\/\(\[\^\/\]\+\?\)\)/g, () => `/:${layer.keys[index++].name}`)
+    .replace(/\\(.)/g, '$1');
+};
+
+// The mount paths of the routers `path` (a request's baseUrl) went through,
+// joined, e.g. /api/v1/appliance/:id/service for /api/v1/appliance/abc/service.
+// Null when no chain of mounted routers matches it.
+const findMountPattern = (stack, path) => {
+  if (!path) return '';
+  for (const layer of stack) {
+    if (!(layer.handle && layer.handle.stack)) continue;
+    const match = layer.regexp.exec(path);
+    if (!match) continue;
+    const pattern = findMountPattern(layer.handle.stack, path.slice(match[0].replace(/\/$/, '').length));
+    if (pattern !== null) {
+      return `${mountPath(layer)}${pattern}`;
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  mountPath,
+  findMountPattern
+};
@@ -0,0 +1,53 @@
+const { logger } = require('./logger');
+
+// Minimal in-process scheduler for periodic background jobs. A run is skipped
+// if the previous one is still in progress, and timers are unref'd so they
+// never keep the process alive on their own.
+const jobs = new Map();
+
+const scheduleJob = (name, intervalMs, task, { runImmediately = true } = {}) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job ${name} is already scheduled`);
+  }
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      logger.error('Error running job', { job: name, err: error });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  jobs.set(name, timer);
+
+  if (runImmediately) {
+    setImmediate(run);
+  }
+
+  return () => stopJob(name);
+};
+
+const stopJob = (name) => {
+  const timer = jobs.get(name);
+  if (timer) {
+    clearInterval(timer);
+    jobs.delete(name);
+  }
+};
+
+const stopAllJobs = () => {
+  Array.from(jobs.keys()).forEach(stopJob);
+};
+
+module.exports = {
+  scheduleJob,
+  stopJob,
+  stopAllJobs
+};
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Session } = require('../db');
+const { JWT_SECRET, ACCESS_TOKEN_TTL, REFRESH_TOKEN_TTL_DAYS } = require('../config');
+const { DAY_MS } = require('./warranty');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found
+// without scanning every stored hash
+const createRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    return null;
+  }
+  return sessionId;
+};
+
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+const buildTokenResponse = (session, refreshToken) => {
+  const accessToken = signAccessToken(session.userId, session._id);
+  return {
+    token: accessToken,
+    refreshToken,
+    expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+    sessionId: session._id
+  };
+};
+
+const getClientInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 256) || null,
+  ip: req.ip || null
+});
+
+// Single place every login route goes through to create a session and tokens
+const issueSession = async (user, req, method) => {
+  const session = new Session({
+    userId: user._id,
+    method,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+    ...getClientInfo(req)
+  });
+  const refreshToken = createRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return buildTokenResponse(session, refreshToken);
+};
+
+// Exchanges a refresh token for a new access/refresh token pair. Presenting a
+// token that was already rotated means it leaked, so the session is revoked.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const sessionId = parseRefreshToken(refreshToken);
+  if (!sessionId) return null;
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    return null;
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  if (tokenHash !== session.refreshTokenHash) {
+    if (tokenHash === session.previousTokenHash) {
+      session.revokedAt = new Date();
+      await session.save();
+    }
+    return null;
+  }
+
+  const nextRefreshToken = createRefreshToken(session._id);
+  // Only rotate if nobody else rotated this token concurrently
+  const updated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        previousTokenHash: tokenHash,
+        lastUsedAt: new Date(),
+        ...getClientInfo(req)
+      }
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  return buildTokenResponse(updated, nextRefreshToken);
+};
+
+const findActiveSession = async (sessionId, userId) => {
+  return Session.findOne({
+    _id: sessionId,
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+const revokeSession = async (sessionId, userId) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+};
+
+const revokeAllSessions = async (userId, { except } = {}) => {
+  const query = { userId, revokedAt: null };
+  if (except) {
+    query._id = { $ne: except };
+  }
+  const result = await Session.updateMany(query, { $set: { revokedAt: new Date() } });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  hashToken,
+  issueSession,
+  rotateRefreshToken,
+  findActiveSession,
+  revokeSession,
+  revokeAllSessions
+};
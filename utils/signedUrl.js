@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const { DOWNLOAD_URL_SECRET, DOWNLOAD_URL_TTL_SECONDS } = require('../config');
+
+// Signed download URLs grant access to exactly one stored file for a few
+// minutes, so the user's bearer token never has to appear in a URL.
+const computeSignature = (resource, expires) => {
+  return crypto
+    .createHmac('sha256', DOWNLOAD_URL_SECRET)
+    .update(`${resource}:${expires}`)
+    .digest('base64url');
+};
+
+const signResource = (resource, ttlSeconds = DOWNLOAD_URL_TTL_SECONDS) => {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return {
+    expires,
+    signature: computeSignature(resource, expires)
+  };
+};
+
+const verifyResource = (resource, expires, signature) => {
+  const expiresAt = parseInt(expires, 10);
+  if (!expiresAt || !signature || expiresAt < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(resource, expiresAt));
+  const provided = Buffer.from(String(signature));
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
+
+// Builds an absolute URL for `path` carrying a signature scoped to `resource`
+const buildSignedUrl = (baseUrl, path, resource) => {
+  const { expires, signature } = signResource(resource);
+  return {
+    url: `${baseUrl}${path}?expires=${expires}&signature=${encodeURIComponent(signature)}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+module.exports = {
+  signResource,
+  verifyResource,
+  buildSignedUrl
+};
@@ -0,0 +1,131 @@
+const { Appliance, ServiceRecord, Claim } = require('../db');
+const { STORAGE_QUOTA_MB } = require('../config');
+const { RENDITIONS } = require('./thumbnails');
+
+const QUOTA_BYTES = STORAGE_QUOTA_MB * 1024 * 1024;
+
+const formatMB = (bytes) => `${+(bytes / (1024 * 1024)).toFixed(1)}MB`;
+
+// Every stored file of an appliance, tagged with what it is. Files are charged
+// to the appliance owner, whoever in the household uploaded them.
+const listApplianceFiles = (appliance, serviceRecords, claims) => {
+  const files = [];
+  const add = (kind, file) => {
+    if (file && (file.key || file.fileSize)) files.push({ kind, file });
+  };
+
+  const image = appliance.productImage;
+  if (image) {
+    add('productImage', image);
+    Object.keys(RENDITIONS).forEach(size => add('imageRenditions', image.renditions && image.renditions[size]));
+  }
+  (appliance.receipts || []).forEach(receipt => {
+    add('receipts', receipt);
+    (receipt.versions || []).forEach(version => add('receiptVersions', version));
+  });
+  serviceRecords.forEach(record => (record.attachments || []).forEach(file => add('serviceAttachments', file)));
+  claims.forEach(claim => (claim.timeline || []).forEach(entry => {
+    (entry.attachments || []).forEach(file => add('claimAttachments', file));
+  }));
+
+  return files;
+};
+
+const emptyTotals = () => ({ files: 0, originalBytes: 0, storedBytes: 0 });
+
+const addToTotals = (totals, file) => {
+  totals.files++;
+  totals.originalBytes += file.fileSize || 0;
+  // Legacy inline files only recorded their original size
+  totals.storedBytes += file.storedSize ?? file.fileSize ?? 0;
+  return totals;
+};
+
+// Storage used by everything a user owns, broken down by appliance, by kind of
+// file and by content type
+const getStorageUsage = async (userId) => {
+  const appliances = await Appliance.find({ userId })
+    .select('-productImage.data -receipts.data -receipts.versions.data')
+    .lean();
+  const applianceIds = appliances.map(appliance => appliance._id);
+
+  const [serviceRecords, claims] = await Promise.all([
+    ServiceRecord.find({ applianceId: { $in: applianceIds } }).select('applianceId attachments').lean(),
+    Claim.find({ applianceId: { $in: applianceIds } }).select('applianceId timeline.attachments').lean()
+  ]);
+
+  const totals = emptyTotals();
+  const byType = {};
+  const byKind = {};
+
+  const byAppliance = appliances.map(appliance => {
+    const id = appliance._id.toString();
+    const files = listApplianceFiles(
+      appliance,
+      serviceRecords.filter(record => record.applianceId.toString() === id),
+      claims.filter(claim => claim.applianceId.toString() === id)
+    );
+
+    const applianceTotals = emptyTotals();
+    const applianceKinds = {};
+    files.forEach(({ kind, file }) => {
+      const contentType = file.contentType || 'unknown';
+      addToTotals(totals, file);
+      addToTotals(applianceTotals, file);
+      addToTotals(byType[contentType] = byType[contentType] || emptyTotals(), file);
+      addToTotals(byKind[kind] = byKind[kind] || emptyTotals(), file);
+      addToTotals(applianceKinds[kind] = applianceKinds[kind] || emptyTotals(), file);
+    });
+
+    return {
+      applianceId: appliance._id,
+      name: appliance.name,
+      // Trashed appliances keep using storage until they are purged
+      inTrash: Boolean(appliance.deletedAt),
+      ...applianceTotals,
+      byKind: applianceKinds
+    };
+  });
+
+  return {
+    quota: {
+      limitBytes: QUOTA_BYTES,
+      usedBytes: totals.originalBytes,
+      remainingBytes: Math.max(0, QUOTA_BYTES - totals.originalBytes)
+    },
+    ...totals,
+    byType,
+    byKind,
+    // Largest first, that's where cleaning up helps most
+    byAppliance: byAppliance
+      .filter(appliance => appliance.files > 0)
+      .sort((a, b) => b.originalBytes - a.originalBytes)
+  };
+};
+
+// Checks whether the owner has room for the given uploads. Returns null when
+// they fit, otherwise the status and message the route should answer with.
+// `freedBytes` covers files the upload replaces and that will be deleted.
+const checkStorageQuota = async (ownerId, files, { freedBytes = 0 } = {}) => {
+  const requestedBytes = (files || []).reduce((sum, file) => sum + file.size, 0);
+  if (!requestedBytes) {
+    return null;
+  }
+
+  const { quota } = await getStorageUsage(ownerId);
+  if (quota.usedBytes - freedBytes + requestedBytes <= quota.limitBytes) {
+    return null;
+  }
+
+  return {
+    status: 413,
+    message: `Storage quota exceeded: this upload needs ${formatMB(requestedBytes)} but only ${formatMB(quota.remainingBytes)} of ${formatMB(quota.limitBytes)} is left`,
+    quota: { ...quota, requestedBytes }
+  };
+};
+
+module.exports = {
+  QUOTA_BYTES,
+  getStorageUsage,
+  checkStorageQuota
+};
@@ -0,0 +1,104 @@
+const { Jimp } = require('jimp');
+const { buildKey, storeFile, removeFile } = require('../storage');
+const { checkImageSize } = require('./imageSize');
+const { logger } = require('./logger');
+
+// Longest edge in pixels for each rendition. Thumbnails cover 100px grid
+// tiles on high-density screens.
+const RENDITIONS = {
+  thumbnail: 200,
+  medium: 800
+};
+
+const SUPPORTED_TYPES = ['image/jpeg', 'image/png'];
+
+const JPEG_QUALITY = 80;
+
+// `source` is the image already decoded, e.g. by processFile; without it the
+// buffer is decoded here
+const generateRenditions = async (buffer, contentType, source = null) => {
+  if (!SUPPORTED_TYPES.includes(contentType)) {
+    return {};
+  }
+
+  if (!source) {
+    checkImageSize(buffer, contentType);
+    source = await Jimp.read(buffer);
+  }
+  const renditions = {};
+
+  for (const [name, size] of Object.entries(RENDITIONS)) {
+    const image = source.clone();
+    // Never upscale small originals
+    if (image.bitmap.width > size || image.bitmap.height > size) {
+      image.scaleToFit({ w: size, h: size });
+    }
+    const rendered = contentType === 'image/png'
+      ? await image.getBuffer('image/png')
+      : await image.getBuffer('image/jpeg', { quality: JPEG_QUALITY });
+    renditions[name] = {
+      buffer: rendered,
+      // Lets renditions be passed to checkStorageQuota like uploads
+      size: rendered.length,
+      contentType,
+      width: image.bitmap.width,
+      height: image.bitmap.height
+    };
+  }
+
+  return renditions;
+};
+
+// Generates every rendition of a product image. Images that can't be decoded
+// get no renditions rather than failing the upload. Renditions count towards
+// the storage quota, so routes make them before checking it and store them
+// with saveRenditions once the upload fits.
+const prepareRenditions = async (buffer, contentType, { source = null, applianceId = null } = {}) => {
+  try {
+    return await generateRenditions(buffer, contentType, source);
+  } catch (error) {
+    logger.warn('Error generating renditions', { applianceId, err: error });
+    return {};
+  }
+};
+
+// Stores renditions made by prepareRenditions; if one fails, those already
+// stored are removed again
+const saveRenditions = async (renditions, applianceId, fileName = 'image') => {
+  const stored = {};
+  try {
+    for (const [name, rendition] of Object.entries(renditions)) {
+      stored[name] = {
+        // Already compressed image formats gain nothing from gzip
+        ...await storeFile(rendition.buffer, {
+          key: buildKey('appliances', applianceId, 'renditions'),
+          contentType: rendition.contentType,
+          fileName: `${name}-${fileName}`,
+          codec: 'none'
+        }),
+        width: rendition.width,
+        height: rendition.height
+      };
+    }
+  } catch (error) {
+    await Promise.all(Object.values(stored).map(file => removeFile(file).catch(() => {})));
+    throw error;
+  }
+
+  return stored;
+};
+
+// The original image plus every stored rendition, e.g. for deletion
+const imageFiles = (productImage) => {
+  if (!productImage) return [];
+  const renditions = productImage.renditions || {};
+  return [productImage, ...Object.keys(RENDITIONS).map(name => renditions[name]).filter(file => file && file.key)];
+};
+
+module.exports = {
+  RENDITIONS,
+  generateRenditions,
+  prepareRenditions,
+  saveRenditions,
+  imageFiles
+};
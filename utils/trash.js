@@ -0,0 +1,37 @@
+const { Appliance, ServiceRecord, Claim } = require('../db');
+const { removeFile } = require('../storage');
+const { imageFiles } = require('./thumbnails');
+const { DAY_MS } = require('./warranty');
+const { TRASH_RETENTION_DAYS } = require('../config');
+const { logger } = require('./logger');
+
+// When a trashed appliance becomes eligible for permanent deletion
+const getPurgeAt = (appliance) => {
+  return appliance.deletedAt ? new Date(appliance.deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS) : null;
+};
+
+// Permanently deletes an appliance along with its service history, claims and
+// every stored file. Expects the full appliance document.
+const purgeAppliance = async (appliance) => {
+  await Appliance.deleteOne({ _id: appliance._id });
+
+  const serviceRecords = await ServiceRecord.find({ applianceId: appliance._id }).select('attachments');
+  await ServiceRecord.deleteMany({ applianceId: appliance._id });
+  const claims = await Claim.find({ applianceId: appliance._id }).select('timeline.attachments');
+  await Claim.deleteMany({ applianceId: appliance._id });
+
+  const files = [
+    ...imageFiles(appliance.productImage),
+    ...appliance.receipts.flatMap(receipt => [receipt, ...receipt.versions]),
+    ...serviceRecords.flatMap(record => record.attachments),
+    ...claims.flatMap(claim => claim.timeline.flatMap(entry => entry.attachments))
+  ];
+  await Promise.all(files.map(file => removeFile(file).catch(error => {
+    logger.error('Error removing blob', { key: file.key, err: error });
+  })));
+};
+
+module.exports = {
+  getPurgeAt,
+  purgeAppliance
+};
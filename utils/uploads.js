@@ -0,0 +1,169 @@
+const path = require("path");
+const multer = require("multer");
+const { Jimp } = require("jimp");
+const { httpError } = require("./errors");
+const { stripGps } = require("./exif");
+const { checkImageSize } = require("./imageSize");
+const { observeUpload } = require("./metrics");
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+// Accepted formats, identified by their leading bytes rather than the
+// client-supplied mimetype or file name
+const FILE_TYPES = [
+  { contentType: 'image/jpeg', extensions: ['.jpg', '.jpeg'], signature: [0xff, 0xd8, 0xff] },
+  { contentType: 'image/png', extensions: ['.png'], signature: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { contentType: 'application/pdf', extensions: ['.pdf'], signature: [0x25, 0x50, 0x44, 0x46, 0x2d] }
+];
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png'];
+const DOCUMENT_TYPES = FILE_TYPES.map(type => type.contentType);
+
+// Generic mimetypes browsers and HTTP clients send when they don't know better
+const UNKNOWN_MIMETYPES = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+const MULTER_ERRORS = {
+  LIMIT_FILE_COUNT: [400, 'Too many files'],
+  LIMIT_UNEXPECTED_FILE: [400, 'Unexpected file field'],
+  LIMIT_PART_COUNT: [400, 'Too many form parts'],
+  LIMIT_FIELD_KEY: [400, 'Field name too long'],
+  LIMIT_FIELD_VALUE: [400, 'Field value too long'],
+  LIMIT_FIELD_COUNT: [400, 'Too many fields']
+};
+
+const detectType = (buffer) => {
+  return FILE_TYPES.find(type => buffer.length >= type.signature.length &&
+    type.signature.every((byte, index) => buffer[index] === byte)) || null;
+};
+
+// A PDF must end with a cross-reference pointer that lands inside the file
+const validatePdf = (buffer) => {
+  const tail = buffer.toString('latin1', Math.max(0, buffer.length - 1024));
+  const match = /startxref\s+(\d+)\s+%%EOF\s*$/.exec(tail);
+  if (!match || parseInt(match[1], 10) >= buffer.length) {
+    throw new Error('missing or invalid cross-reference table');
+  }
+  if (!/\d+\s+\d+\s+obj\b/.test(buffer.toString('latin1'))) {
+    throw new Error('no objects found');
+  }
+};
+
+// Images are decoded to prove they are valid; the decoded image is returned so
+// renditions can be made without decoding it again
+const validateContent = async (buffer, contentType) => {
+  if (contentType === 'application/pdf') {
+    validatePdf(buffer);
+    return null;
+  }
+  return Jimp.read(buffer);
+};
+
+// Checks one uploaded file and normalises it in place: the mimetype becomes
+// the detected type and photos lose their GPS metadata. Images get their
+// decoded form as `file.image`, see prepareRenditions.
+const processFile = async (file, allowedTypes) => {
+  if (!file.buffer || !file.buffer.length) {
+    throw Object.assign(httpError(400, 'Uploaded file is empty'), { field: file.fieldname });
+  }
+
+  const detected = detectType(file.buffer);
+  if (!detected || !allowedTypes.includes(detected.contentType)) {
+    const allowed = FILE_TYPES.filter(type => allowedTypes.includes(type.contentType))
+      .map(type => type.extensions[0].slice(1).toUpperCase());
+    throw Object.assign(httpError(415, `Unsupported file type, expected ${allowed.join(', ')}`), { field: file.fieldname });
+  }
+
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  const declared = (file.mimetype || '').toLowerCase();
+  if ((extension && !detected.extensions.includes(extension)) ||
+    (!UNKNOWN_MIMETYPES.includes(declared) && declared !== detected.contentType)) {
+    throw Object.assign(httpError(415, 'File content does not match its name or declared type'), { field: file.fieldname });
+  }
+
+  // Before decoding, which for huge dimensions takes gigabytes of memory
+  if (IMAGE_TYPES.includes(detected.contentType)) {
+    try {
+      checkImageSize(file.buffer, detected.contentType);
+    } catch (error) {
+      throw Object.assign(error, { field: file.fieldname });
+    }
+  }
+
+  let image;
+  try {
+    image = await validateContent(file.buffer, detected.contentType);
+  } catch (error) {
+    throw Object.assign(httpError(400, `File is not a valid ${detected.extensions[0].slice(1).toUpperCase()}`), { field: file.fieldname });
+  }
+
+  file.mimetype = detected.contentType;
+  if (image) {
+    file.buffer = stripGps(file.buffer, detected.contentType);
+    file.size = file.buffer.length;
+    file.image = image;
+  }
+  observeUpload(file.mimetype, file.size);
+  return file;
+};
+
+const toUploadError = (error, maxFileSize) => {
+  if (!(error instanceof multer.MulterError)) {
+    return error;
+  }
+  const [status, message] = error.code === 'LIMIT_FILE_SIZE'
+    ? [413, `File is too large, the limit is ${+(maxFileSize / (1024 * 1024)).toFixed(1)}MB`]
+    : MULTER_ERRORS[error.code] || [400, error.message];
+  return Object.assign(httpError(status, message), { field: error.field });
+};
+
+const uploadedFiles = (req) => {
+  if (req.file) return [req.file];
+  if (Array.isArray(req.files)) return req.files;
+  return Object.values(req.files || {}).flat();
+};
+
+// Multer wrapper shared by every upload route. `types` lists the accepted
+// content types and `fieldTypes` narrows them for individual form fields.
+// Routes that parse the files themselves (bulk import) turn `validateFiles`
+// off and check what they unpack instead.
+// Failures are passed on as errors carrying a 400, 413 or 415 status.
+const createUpload = ({ types = DOCUMENT_TYPES, fieldTypes = {}, maxFileSize = MAX_FILE_SIZE, validateFiles = true } = {}) => {
+  const parser = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileSize }
+  });
+
+  const validate = (middleware) => (req, res, next) => {
+    middleware(req, res, async (error) => {
+      if (error) {
+        return next(toUploadError(error, maxFileSize));
+      }
+      if (!validateFiles) {
+        return next();
+      }
+      try {
+        for (const file of uploadedFiles(req)) {
+          await processFile(file, fieldTypes[file.fieldname] || types);
+        }
+        next();
+      } catch (error) {
+        next(error);
+      }
+    });
+  };
+
+  return {
+    single: (name) => validate(parser.single(name)),
+    array: (name, maxCount) => validate(parser.array(name, maxCount)),
+    fields: (fields) => validate(parser.fields(fields))
+  };
+};
+
+module.exports = {
+  MAX_FILE_SIZE,
+  IMAGE_TYPES,
+  DOCUMENT_TYPES,
+  detectType,
+  processFile,
+  createUpload
+};
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const { UserToken } = require('../db');
+const { hashToken } = require('./session');
+
+// Issues a new single-use token, invalidating any unused ones of the same type
+const createUserToken = async (userId, type, ttlMs) => {
+  await UserToken.deleteMany({ userId, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await UserToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return token;
+};
+
+// Marks the token used and returns it, or null if it is unknown, expired or
+// already used. The update is atomic so a token can only be redeemed once.
+const consumeUserToken = async (token, type) => {
+  if (!token) return null;
+
+  return UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  createUserToken,
+  consumeUserToken
+};
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const zod = require('zod');
+const { EXCHANGE_RATES_FILE } = require('../config');
+const { APPLIANCE_CATEGORIES, DEFAULT_CATEGORY, getDepreciationRule, getAgeYears, getCurrentValue } = require('./depreciation');
+
+const currencyCode = zod.string().regex(/^[A-Z]{3}$/);
+
+// EXCHANGE_RATES_FILE says how much of each currency one unit of `base` buys:
+//
+//   { "base": "USD", "asOf": "2026-10-01", "rates": { "EUR": 0.92, "GBP": 0.79 } }
+//
+// Nothing is fetched from outside; keeping the table current is up to whoever
+// runs the server.
+const ratesSchema = zod.object({
+  base: currencyCode,
+  asOf: zod.string().optional(),
+  rates: zod.record(currencyCode, zod.number().positive())
+});
+
+let cachedRates = null;
+
+// The rate table, or null when none is configured. The file is read again
+// whenever it changes, so rates can be updated without a restart.
+const loadExchangeRates = async () => {
+  if (!EXCHANGE_RATES_FILE) return null;
+
+  const { mtimeMs } = await fs.promises.stat(EXCHANGE_RATES_FILE);
+  if (cachedRates && cachedRates.mtimeMs === mtimeMs) {
+    return cachedRates.table;
+  }
+
+  const parsed = ratesSchema.safeParse(JSON.parse(await fs.promises.readFile(EXCHANGE_RATES_FILE, 'utf8')));
+  if (!parsed.success) {
+    throw new Error(`Invalid EXCHANGE_RATES_FILE ${EXCHANGE_RATES_FILE}: ${parsed.error.message}`);
+  }
+  cachedRates = { mtimeMs, table: parsed.data };
+  return parsed.data;
+};
+
+// `amount` in `to`, or null when the table has no rate for either currency
+const convert = (amount, from, to, table) => {
+  if (from === to) return amount;
+  if (!table) return null;
+  const rate = (currency) => (currency === table.base ? 1 : table.rates[currency]);
+  if (!rate(from) || !rate(to)) return null;
+  return amount / rate(from) * rate(to);
+};
+
+const round = (amount) => (amount === null ? null : Math.round(amount * 100) / 100);
+
+const isSet = (value) => value !== null && value !== undefined;
+
+// The currency most of the priced appliances are in, so a user who only ever
+// records one currency gets their report in it without asking
+const mostCommonCurrency = (appliances) => {
+  const counts = new Map();
+  appliances.filter(appliance => appliance.currency).forEach(appliance => {
+    counts.set(appliance.currency, (counts.get(appliance.currency) || 0) + 1);
+  });
+  const best = [...counts].reduce((most, entry) => (!most || entry[1] > most[1] ? entry : most), null);
+  return best ? best[0] : null;
+};
+
+const sumOf = (items, field) => items.reduce((total, item) => total + (item[field] || 0), 0);
+
+const totalsOf = (items) => ({
+  count: items.length,
+  purchasePrice: round(sumOf(items, 'purchasePrice')),
+  currentValue: round(sumOf(items, 'currentValue')),
+  // Insurers want what it would cost to replace everything, so an appliance
+  // without a replacement cost counts at what was paid for it
+  replacementCost: round(items.reduce((total, item) => total + (item.replacementCost ?? item.purchasePrice ?? 0), 0))
+});
+
+// Values every appliance with a price in `currency` and totals them by
+// category. Appliances without a price, and those in a currency the rate
+// table can't convert, are listed separately and left out of the totals.
+const buildValuationReport = (appliances, { currency, rates, now = new Date() }) => {
+  const reportCurrency = currency || mostCommonCurrency(appliances) || (rates && rates.base) || null;
+  const byCategory = new Map();
+  const unpriced = [];
+  const unconverted = [];
+
+  for (const appliance of appliances) {
+    const summary = { id: appliance._id, name: appliance.name };
+    if (!isSet(appliance.purchasePrice) && !isSet(appliance.replacementCost)) {
+      unpriced.push(summary);
+      continue;
+    }
+
+    const amounts = {
+      purchasePrice: appliance.purchasePrice,
+      currentValue: getCurrentValue(appliance, now),
+      replacementCost: appliance.replacementCost
+    };
+    const converted = Object.fromEntries(Object.entries(amounts).map(([field, amount]) => [
+      field,
+      isSet(amount) ? convert(amount, appliance.currency, reportCurrency, rates) : null
+    ]));
+    if (Object.keys(amounts).some(field => isSet(amounts[field]) && converted[field] === null)) {
+      unconverted.push({ ...summary, currency: appliance.currency });
+      continue;
+    }
+
+    const category = appliance.category || DEFAULT_CATEGORY;
+    if (!byCategory.has(category)) {
+      byCategory.set(category, []);
+    }
+    byCategory.get(category).push({
+      ...summary,
+      modelNumber: appliance.modelNumber,
+      purchaseDate: appliance.purchaseDate,
+      ageYears: Math.round(getAgeYears(appliance.purchaseDate, now) * 10) / 10,
+      originalCurrency: appliance.currency,
+      purchasePrice: round(converted.purchasePrice),
+      currentValue: round(converted.currentValue),
+      replacementCost: round(converted.replacementCost)
+    });
+  }
+
+  const categories = APPLIANCE_CATEGORIES
+    .filter(category => byCategory.has(category))
+    .map(category => ({
+      category,
+      depreciation: getDepreciationRule(category),
+      ...totalsOf(byCategory.get(category)),
+      appliances: byCategory.get(category)
+    }));
+
+  return {
+    currency: reportCurrency,
+    generatedAt: now,
+    exchangeRates: rates ? { base: rates.base, asOf: rates.asOf || null } : null,
+    totals: totalsOf(categories.flatMap(group => group.appliances)),
+    categories,
+    unpriced,
+    unconverted
+  };
+};
+
+module.exports = {
+  loadExchangeRates,
+  buildValuationReport
+};
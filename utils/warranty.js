@@ -0,0 +1,112 @@
+const { WARRANTY_EXPIRING_SOON_DAYS } = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WARRANTY_STATUS = {
+  ACTIVE: 'active',
+  EXPIRING_SOON: 'expiring_soon',
+  EXPIRED: 'expired',
+  UNKNOWN: 'unknown'
+};
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  // Clamp to the last day of the target month (e.g. Jan 31 + 1 month -> Feb 28/29)
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+};
+
+const getManufacturerExpiry = (appliance) => {
+  const months = appliance.warranty && appliance.warranty.months;
+  if (!appliance.purchaseDate || months === null || months === undefined) {
+    return null;
+  }
+  return addMonths(appliance.purchaseDate, months);
+};
+
+// Latest date on which the appliance is covered by anything: the manufacturer
+// warranty or any extended warranty / insurance policy recorded against it.
+const getCoverageEnd = (appliance) => {
+  const dates = [getManufacturerExpiry(appliance)];
+  (appliance.coverage || []).forEach(entry => dates.push(entry.endDate));
+
+  return dates
+    .filter(date => date && !isNaN(new Date(date).getTime()))
+    .map(date => new Date(date))
+    .reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+};
+
+const getDaysRemaining = (expiresAt, now = new Date()) => {
+  return Math.ceil((new Date(expiresAt).getTime() - now.getTime()) / DAY_MS);
+};
+
+const getStatus = (expiresAt, now = new Date(), soonDays = WARRANTY_EXPIRING_SOON_DAYS) => {
+  if (!expiresAt) {
+    return WARRANTY_STATUS.UNKNOWN;
+  }
+  const daysRemaining = getDaysRemaining(expiresAt, now);
+  if (daysRemaining < 0) {
+    return WARRANTY_STATUS.EXPIRED;
+  }
+  if (daysRemaining <= soonDays) {
+    return WARRANTY_STATUS.EXPIRING_SOON;
+  }
+  return WARRANTY_STATUS.ACTIVE;
+};
+
+const describeExpiry = (expiresAt, now) => ({
+  expiresAt: expiresAt || null,
+  daysRemaining: expiresAt ? getDaysRemaining(expiresAt, now) : null,
+  status: getStatus(expiresAt, now)
+});
+
+// Shape returned by the API for an appliance's warranty and coverage
+const describeWarranty = (appliance, now = new Date()) => {
+  const manufacturerExpiry = getManufacturerExpiry(appliance);
+
+  return {
+    months: appliance.warranty ? appliance.warranty.months : null,
+    ...describeExpiry(manufacturerExpiry, now),
+    coverage: (appliance.coverage || []).map(entry => ({
+      _id: entry._id,
+      type: entry.type,
+      provider: entry.provider,
+      policyNumber: entry.policyNumber,
+      receiptId: entry.receiptId || null,
+      ...describeExpiry(entry.endDate, now)
+    })),
+    overall: describeExpiry(getCoverageEnd(appliance), now)
+  };
+};
+
+// Parses durations such as "30d", "2w", "3m" or a bare number of days
+const parseWithinDays = (value, fallback = WARRANTY_EXPIRING_SOON_DAYS) => {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const match = /^(\d+)\s*([dwm]?)$/i.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  const amount = parseInt(match[1], 10);
+  const unit = match[2].toLowerCase();
+  if (unit === 'w') return amount * 7;
+  if (unit === 'm') return amount * 30;
+  return amount;
+};
+
+module.exports = {
+  DAY_MS,
+  WARRANTY_STATUS,
+  addMonths,
+  getManufacturerExpiry,
+  getCoverageEnd,
+  getDaysRemaining,
+  getStatus,
+  describeWarranty,
+  parseWithinDays
+};
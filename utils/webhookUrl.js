@@ -0,0 +1,61 @@
+const dns = require('dns');
+const net = require('net');
+const { httpError } = require('./errors');
+
+// Addresses a webhook must never reach: the server itself, the networks it
+// sits in and cloud metadata endpoints such as 169.254.169.254. One list per
+// family, since a BlockList also checks IPv4 addresses against mapped IPv6 rules.
+const blockedV4 = new net.BlockList();
+const blockedV6 = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blockedV4.addSubnet(address, prefix, 'ipv4'));
+[
+  // Unspecified and loopback
+  ['::', 127],
+  // IPv4-mapped and NAT64 addresses, which can point at any of the above
+  ['::ffff:0:0', 96], ['64:ff9b::', 96],
+  // Unique local, link-local and multicast
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedV6.addSubnet(address, prefix, 'ipv6'));
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 4) return !blockedV4.check(address, 'ipv4');
+  return family === 6 && !blockedV6.check(address, 'ipv6');
+};
+
+// Throws a 400 unless `value` is a webhook URL the server may call: http(s)
+// (https only in production) to a host whose every address is public. Checked
+// when the URL is saved and again before each delivery, since DNS can change.
+const checkWebhookUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw httpError(400, "Webhook URL is not a valid URL");
+  }
+
+  const protocols = process.env.NODE_ENV === 'production' ? ['https:'] : ['http:', 'https:'];
+  if (!protocols.includes(url.protocol)) {
+    throw httpError(400, `Webhook URL must use ${protocols.map(protocol => protocol.slice(0, -1)).join(' or ')}`);
+  }
+
+  const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    throw httpError(400, "Webhook URL host can't be resolved");
+  }
+  if (!addresses.length || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw httpError(400, "Webhook URL must point to a public address");
+  }
+  return url;
+};
+
+module.exports = {
+  isPublicAddress,
+  checkWebhookUrl
+};
@@ -0,0 +1,92 @@
+const util = require('util');
+const yauzl = require('yauzl');
+const { httpError } = require('./errors');
+
+const fromBuffer = util.promisify(yauzl.fromBuffer);
+
+const formatMB = (bytes) => `${+(bytes / (1024 * 1024)).toFixed(1)}MB`;
+
+// Turns a user-written reference to a file in an archive ("./receipts\a.pdf")
+// into the name it is stored under ("receipts/a.pdf")
+const normalizeEntryName = (name) => String(name).trim().replace(/\\/g, '/').replace(/^(\.?\/)+/, '');
+
+// A file name that is safe to use as one segment of an entry name
+const safeEntryName = (fileName) => String(fileName || 'file').replace(/[/\\\x00-\x1f]/g, '_');
+
+// Opens a ZIP archive held in memory. Entries are listed up front but only
+// decompressed when read, and none may expand past `maxEntrySize` bytes, so a
+// small archive can't unpack into something huge.
+const openZip = async (buffer, { maxEntrySize }) => {
+  let zipfile;
+  try {
+    zipfile = await fromBuffer(buffer, { lazyEntries: true, autoClose: false });
+  } catch (error) {
+    throw httpError(400, `Not a valid ZIP archive: ${error.message}`);
+  }
+
+  const entries = new Map();
+  try {
+    await new Promise((resolve, reject) => {
+      zipfile.on('entry', (entry) => {
+        if (!entry.fileName.endsWith('/')) {
+          entries.set(entry.fileName, entry);
+        }
+        zipfile.readEntry();
+      });
+      zipfile.once('end', resolve);
+      zipfile.once('error', reject);
+      zipfile.readEntry();
+    });
+  } catch (error) {
+    zipfile.close();
+    throw httpError(400, `Not a valid ZIP archive: ${error.message}`);
+  }
+
+  const openReadStream = util.promisify(zipfile.openReadStream.bind(zipfile));
+
+  // The entry's bytes, or null when the archive has no such file
+  const read = async (name) => {
+    const entry = entries.get(normalizeEntryName(name));
+    if (!entry) return null;
+    if (entry.uncompressedSize > maxEntrySize) {
+      throw httpError(413, `${entry.fileName} is too large, the limit is ${formatMB(maxEntrySize)}`);
+    }
+
+    // yauzl checks the stream against the declared size, so a lying header
+    // fails the read rather than slipping past the limit
+    const chunks = [];
+    for await (const chunk of await openReadStream(entry)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  };
+
+  return {
+    has: (name) => entries.has(normalizeEntryName(name)),
+    read,
+    close: () => zipfile.close()
+  };
+};
+
+// Appends an entry to an archiver archive and resolves once it has been
+// written, so callers adding many files only hold one in memory at a time
+const addZipEntry = (archive, data, name) => new Promise((resolve, reject) => {
+  const onEntry = () => {
+    archive.off('error', onError);
+    resolve();
+  };
+  const onError = (error) => {
+    archive.off('entry', onEntry);
+    reject(error);
+  };
+  archive.once('entry', onEntry);
+  archive.once('error', onError);
+  archive.append(data, { name });
+});
+
+module.exports = {
+  normalizeEntryName,
+  safeEntryName,
+  openZip,
+  addZipEntry
+};